@@ -0,0 +1,77 @@
+var debug = require('debug')('loopback:stormpath-audit-log');
+
+/**
+ * Stormpath Audit Log model, recording the audit events of the user model
+ * (see `StormpathUser.emitAuditEvent()`) in a datasource of your choice, eg:
+ * for compliance reviews.  It's only defined when `init()` is given the
+ * `auditLog` option.
+ *
+ * Default `StormpathAuditLog` ACLs.
+ *
+ * - DENY EVERYONE `*`
+ * - ALLOW `admin` READ
+ *
+ * @property {String} type The event type, eg: `login` or `passwordChange`
+ * @property {String} userId The ID of the user concerned, if known
+ * @property {String} accountHref The href of their Stormpath Account
+ * @property {String} ip The IP address of the request behind the event
+ * @property {String} userAgent The user agent of that request
+ * @property {String} impersonatorId The ID of the admin behind the event, when it
+ * comes from a request made with an impersonation token
+ * @property {Date} timestamp When the event happened
+ * @property {Object} data Details about the event, depending on its type
+ *
+ * @class StormpathAuditLog
+ * @inherits {PersistedModel}
+ */
+module.exports = function(StormpathAuditLog) {
+
+  /**
+   * Record an audit event.
+   *
+   * @param {Object} event The event, as emitted by the user model.
+   * @callback {Function} [callback]
+   * @param {Error} err
+   * @param {StormpathAuditLog} entry The recorded entry.
+   */
+  StormpathAuditLog.record = function(event, callback) {
+    callback = callback || function(err) {
+      if (err) debug('Cannot record the %s audit event: %s', event.type, err.message);
+    };
+
+    if (!this.dataSource) {
+      var err = new Error(this.modelName + ' is not attached to a datasource');
+      err.statusCode = 500;
+      err.code = 'DATASOURCE_NOT_ATTACHED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    this.create({
+      type: event.type,
+      userId: event.userId,
+      accountHref: event.accountHref,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      impersonatorId: event.impersonatorId,
+      timestamp: event.timestamp,
+      data: event.data
+    }, callback);
+  };
+
+  /**
+   * Record every audit event the given user model emits from now on.
+   *
+   * @param {Function} UserModel The StormpathUser model.
+   */
+  StormpathAuditLog.recordEventsOf = function(UserModel) {
+    var self = this;
+
+    UserModel.on('audit', function(event) {
+      self.record(event);
+    });
+  };
+
+};
@@ -0,0 +1,17 @@
+/**
+ * Stormpath Directory model, backed by the Directories of the Stormpath tenant.
+ *
+ * Default `StormpathDirectory` ACLs.
+ *
+ * - DENY EVERYONE `*`
+ * - ALLOW `admin` `*`
+ *
+ * @property {String} name Must be unique within the tenant
+ * @property {String} description
+ * @property {String} status `ENABLED` or `DISABLED`
+ *
+ * @class StormpathDirectory
+ * @inherits {PersistedModel}
+ */
+module.exports = function(StormpathDirectory) {
+};
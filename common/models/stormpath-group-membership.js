@@ -0,0 +1,68 @@
+/**
+ * Stormpath Group Membership model.  This is the "through" model linking
+ * `StormpathUser.groups` and `StormpathGroup.users`: creating one adds a user to
+ * a group, deleting it removes them.
+ *
+ * Memberships can only be listed for a given `userId` or `groupId`.
+ *
+ * Adding and removing members emits a `groupMembershipChange` audit event on
+ * the user model, see `StormpathUser.emitAuditEvent()`.
+ *
+ * @property {String} userId The member's `StormpathUser` ID
+ * @property {String} groupId The `StormpathGroup` ID
+ *
+ * @class StormpathGroupMembership
+ * @inherits {PersistedModel}
+ */
+module.exports = function(StormpathGroupMembership) {
+
+  /*!
+   * Emit the `groupMembershipChange` audit event of the given membership.
+   */
+  function emitMembershipChange(ctx, membership, action) {
+    var UserModel = ctx.Model.relations.user.modelTo;
+
+    UserModel.emitAuditEvent('groupMembershipChange', membership.userId, ctx.options, {
+      action: action,
+      groupId: membership.groupId,
+      membershipId: membership.id
+    });
+  }
+
+  /*!
+   * Remote calls carry the IP address and user agent of their request, the
+   * way they do for the user model.
+   */
+  StormpathGroupMembership.createOptionsFromRemotingContext = function(ctx) {
+    return this.relations.user.modelTo.createOptionsFromRemotingContext(ctx);
+  };
+
+  StormpathGroupMembership.observe('after save', function(ctx, next) {
+    if (ctx.isNewInstance && ctx.instance) {
+      emitMembershipChange(ctx, ctx.instance, 'add');
+    }
+
+    next();
+  });
+
+  /*!
+   * Deletes only say which memberships go, so they're looked up first.
+   */
+  StormpathGroupMembership.observe('before delete', function(ctx, next) {
+    ctx.Model.find({where: ctx.where}, function(err, memberships) {
+      if (err) return next(err);
+
+      ctx.hookState.memberships = memberships;
+      next();
+    });
+  });
+
+  StormpathGroupMembership.observe('after delete', function(ctx, next) {
+    (ctx.hookState.memberships || []).forEach(function(membership) {
+      emitMembershipChange(ctx, membership, 'remove');
+    });
+
+    next();
+  });
+
+};
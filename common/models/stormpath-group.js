@@ -0,0 +1,23 @@
+/**
+ * Stormpath Group model, backed by the Groups of the Stormpath Application.
+ *
+ * Default `StormpathGroup` ACLs.
+ *
+ * - DENY EVERYONE `*`
+ * - ALLOW AUTHENTICATED read access
+ * - DENY AUTHENTICATED `__get__users`, `__findById__users`, `__count__users`
+ *   and `__exists__users`: only admins can see who belongs to a group
+ * - ALLOW `admin` `*`
+ *
+ * @property {String} name Must be unique within its directory
+ * @property {String} description
+ * @property {String} status `ENABLED` or `DISABLED`
+ * @property {String} directoryId The directory this group lives in.  When
+ * creating a group without one, it goes to the Application's default group
+ * store.
+ *
+ * @class StormpathGroup
+ * @inherits {PersistedModel}
+ */
+module.exports = function(StormpathGroup) {
+};
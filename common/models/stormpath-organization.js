@@ -0,0 +1,21 @@
+/**
+ * Stormpath Organization model, backed by the Organizations of the Stormpath
+ * tenant.  An organization's directories are the ones mapped to it as account
+ * stores.
+ *
+ * Default `StormpathOrganization` ACLs.
+ *
+ * - DENY EVERYONE `*`
+ * - ALLOW `admin` `*`
+ *
+ * @property {String} name Must be unique within the tenant
+ * @property {String} nameKey A short, URL friendly, unique name for the
+ * organization, eg: `acme`
+ * @property {String} description
+ * @property {String} status `ENABLED` or `DISABLED`
+ *
+ * @class StormpathOrganization
+ * @inherits {PersistedModel}
+ */
+module.exports = function(StormpathOrganization) {
+};
@@ -1,14 +1,62 @@
 var loopback = require('loopback');
-var path = require('path');
-var SALT_WORK_FACTOR = 10;
 var crypto = require('crypto');
 var debug = require('debug')('loopback:stormpath-user');
 var assert = require('assert');
 
+var audit = require('../../lib/audit');
+var helpers = require('../../lib/helpers');
+var lockout = require('../../lib/lockout');
+var mfa = require('../../lib/mfa');
+var oauth = require('../../lib/oauth');
+var registration = require('../../lib/registration');
+var hrefToId = helpers.hrefToId;
+var idToHref = helpers.idToHref;
+
 var DEFAULT_TTL = 1209600; // 2 weeks in seconds
-var DEFAULT_RESET_PW_TTL = 15 * 60; // 15 mins in seconds
 var DEFAULT_MAX_TTL = 31556926; // 1 year in seconds
 
+// The fields users can change themselves, see `updateCurrent()`.
+var DEFAULT_PROFILE_FIELDS = ['givenName', 'middleName', 'surname', 'username', 'customData'];
+
+// Stormpath error code returned when logging in to an unverified account.
+var STORMPATH_ACCOUNT_UNVERIFIED = 7102;
+
+// The customData field recording when a password reset was last requested.
+var RESET_REQUESTED_AT = 'passwordResetRequestedAt';
+
+// The social providers Stormpath can log users in with.
+var SOCIAL_PROVIDERS = ['google', 'facebook', 'github', 'linkedin'];
+
+// The customData field holding the IDs of the user's OAuth refresh tokens
+// which can still be used, mapped to their expiry.
+var REFRESH_TOKENS = 'oauthRefreshTokens';
+
+// The customData field holding the time (in seconds) the user's tokens were
+// last revoked at: OAuth access tokens issued before then are rejected.
+var OAUTH_TOKENS_VALID_AFTER = 'oauthTokensValidAfter';
+
+// The customData field recording the user's failed login attempts, when the
+// model's lockout settings don't name a store.
+var LOGIN_LOCKOUT = 'loginLockout';
+
+// The customData fields holding the user's MFA factors, and the challenges
+// of their logins waiting for a code.
+var MFA_FACTORS = 'mfaFactors';
+var MFA_CHALLENGES = 'mfaChallenges';
+
+// The customData field flagging users who have to reset their password
+// before logging in again, see `forcePasswordReset()`.
+var PASSWORD_RESET_REQUIRED = 'passwordResetRequired';
+
+// The role allowed to manage accounts, unless the model's `adminRole`
+// setting names another one.
+var DEFAULT_ADMIN_ROLE = 'admin';
+
+var DEFAULT_IMPERSONATION_TTL = 900; // 15 minutes in seconds
+
+var DEFAULT_OAUTH_ACCESS_TOKEN_TTL = 3600; // 1 hour in seconds
+var DEFAULT_OAUTH_REFRESH_TOKEN_TTL = 5184000; // 60 days in seconds
+
 /**
  * Stormpath User model.
  * Extends LoopBack [UserModel](http://apidocs.strongloop.com./loopback/#user).
@@ -16,18 +64,36 @@ var DEFAULT_MAX_TTL = 31556926; // 1 year in seconds
  * Default `StormpathUser` ACLs.
  *
  * - DENY EVERYONE `*`
- * - ALLOW EVERYONE `create`
- * - ALLOW OWNER `deleteById`
+ * - ALLOW OWNER and `admin` `deleteById`
+ * - ALLOW EVERYONE `register`
  * - ALLOW EVERYONE `login`
  * - ALLOW EVERYONE `logout`
- * - ALLOW EVERYONE `findById`
- * - ALLOW OWNER `updateAttributes`
+ * - ALLOW EVERYONE `logoutAll`
+ * - ALLOW EVERYONE `confirm`
+ * - ALLOW EVERYONE `resendVerificationEmail`
+ * - ALLOW EVERYONE `resetPassword`
+ * - ALLOW EVERYONE `verifyResetPasswordToken`
+ * - ALLOW EVERYONE `setPassword`
+ * - ALLOW OWNER `changePassword`
+ * - ALLOW EVERYONE `verifyChallenge`
+ * - ALLOW EVERYONE `enrollChallengeFactor`
+ * - ALLOW OWNER `enrollFactor`, `verifyFactor`, `listFactors` and `removeFactor`
+ * - ALLOW `admin` `unlock`
+ * - ALLOW `admin` `enable`, `disable`, `forcePasswordReset`, `verify` and `impersonate`
+ * - ALLOW `admin` changes to the user's `groups`
+ * - ALLOW OWNER and `admin` `findById`, and reads of the user's `groups` and `directory`
+ * - ALLOW `admin` `create`, `find`, `findOne`, `count`, `exists` and `upsert`.  `updateAll` stays denied: it would change
+ *   users without revoking their access tokens or emitting audit events.
+ * - ALLOW OWNER and `admin` `updateAttributes`
+ * - ALLOW AUTHENTICATED `findCurrent`, `updateCurrent`, `deleteCurrent` and `exportCurrent`
  *
  * @property {String} username Must be unique
  * @property {String} password Hidden from remote clients
  * @property {String} email Must be valid email / unique
- * @property {Boolean} emailVerified Set when a user's email has been verified via `confirm()`
- * @property {String} verificationToken Set when `verify()` is called
+ * @property {String} status The Stormpath Account status: `ENABLED`, `DISABLED`
+ * or `UNVERIFIED` (until the user's email has been verified via `confirm()`)
+ * @property {Object} customData The Stormpath Account's customData, minus the fields declared as model properties
+ * with `"stormpath": {"customData": true}`.  Updates are merged in, and a `null` value removes a field.
  * @property {Object} settings Extends the `Model.settings` object.
  * @property {Boolean} settings.emailVerificationRequired Require the email verification
  * process before allowing a login.
@@ -35,10 +101,54 @@ var DEFAULT_MAX_TTL = 31556926; // 1 year in seconds
  * Default is `1209600` (2 weeks)
  * @property {Number} settings.maxTTL The max value a user can request a token to be alive / valid for.
  * Default is `31556926` (1 year)
- * @property {Boolean} settings.realmRequired Require a realm when logging in a user.
- * @property {String} settings.realmDelimiter When set a realm is required.
- * @property {Number} settings.resetPasswordTokenTTL Time to live for password reset `AccessToken`. Default is `900` (15 minutes).
+ * @property {Boolean} settings.realmRequired Require a realm when logging in or creating a user.  A realm is the
+ * `nameKey` of a Stormpath Organization, or the name of a Stormpath Directory.
+ * @property {String} settings.realmDelimiter When set, the realm can be given as a prefix of the email or username
+ * when logging in, eg: `acme:bob@example.com` with a delimiter of `:`.
+ * @property {Number} settings.resetPasswordTokenTTL Time to live (in seconds) for password reset tokens.  Stormpath
+ * enforces the TTL from the Directory's password policy; when this is set, tokens older than it are rejected too.
  * @property {Number} settings.saltWorkFactor The `bcrypt` salt work factor. Default is `10`.
+ * @property {Object|Boolean} settings.lockout Locks accounts and IP addresses out of logging in after too many
+ * failed attempts, when set to `true` or to an object overriding any of these defaults:
+ * @property {Number} settings.lockout.maxAttempts Failed attempts allowed per account, `0` for no limit.
+ * Default is `5`.
+ * @property {Number} settings.lockout.maxAttemptsPerIp Failed attempts allowed per IP address, `0` to not
+ * throttle IP addresses. Default is `50`.
+ * @property {Number} settings.lockout.window The time (in seconds) failed attempts are counted over. Default is `900`.
+ * @property {Number} settings.lockout.lockoutTime How long (in seconds) the first lockout lasts.  Each lockout
+ * within `window` of the previous one lasts twice as long. Default is `60`.
+ * @property {Number} settings.lockout.maxLockoutTime The longest lockout (in seconds). Default is `86400` (1 day).
+ * @property {Object} settings.lockout.store Where to record failed attempts: an object with `get(key, cb)`,
+ * `set(key, state, ttl, cb)` and `remove(key, cb)` methods, and an atomic `update(key, updater, cb)` one for
+ * concurrent attempts to be counted across processes.  By default, they're recorded in the account's customData,
+ * and in memory for IP addresses, which only counts concurrent attempts right within a single process.
+ * @property {Object|Boolean} settings.mfa Enables multi-factor authentication when set to `true` or to an object
+ * overriding any of these defaults.  Users with a verified factor log in in two steps, see `verifyChallenge()`.
+ * @property {String} settings.mfa.issuer The app name authenticator apps show. Default is `Loopback`.
+ * @property {String[]} settings.mfa.requiredGroups The groups whose members must use a factor. Default is `[]`.
+ * @property {Number} settings.mfa.challengeTTL How long (in seconds) challenges and SMS codes are valid for.
+ * Default is `300` (5 minutes).
+ * @property {Number} settings.mfa.maxAttempts The wrong codes allowed per challenge. Default is `5`.
+ * @property {Number} settings.mfa.window The TOTP time steps (of 30 seconds) codes can be off by. Default is `1`.
+ * @property {Function} settings.mfa.sendSms Sends codes to SMS factors: `function(phoneNumber, message, cb)`.
+ * @property {String} settings.adminRole The role the default ACLs let manage accounts, instead of `admin`.
+ * @property {Number} settings.impersonationTTL Time to live (in seconds) for the access tokens issued by
+ * `impersonate()`. Default is `900` (15 minutes).
+ * @property {String[]} settings.profileFields The fields users can change themselves, through `updateCurrent()`
+ * or `updateAttributes()`. Default is `givenName`, `middleName`, `surname`, `username` and `customData`.
+ * @property {Object} settings.registration How `register()` registers users:
+ * @property {Object} settings.registration.fields The registration fields, by name, as `{required, placeholder}`
+ * objects.  Fields which aren't user properties are stored in customData.  Default is `givenName` and `surname`
+ * required; optional ones default to `UNKNOWN`.
+ * @property {Object} settings.registration.passwordPolicy The `minLength`, `maxLength`, `minLowerCase`,
+ * `minUpperCase`, `minNumeric`, `minSymbol` and `minDiacritic` of passwords.  Default is the policy of Stormpath's
+ * default Directories: 8 to 100 characters, with a lowercase, an uppercase and a numeric character.
+ * @property {Boolean} settings.registration.autoLogin Log users in when they register, unless they have to verify
+ * their email. Default is `false`.
+ * @property {Function} settings.registration.preRegistration Called with the user data before the user is
+ * created: `function(data, options, cb)`.  An error rejects the registration.
+ * @property {Function} settings.registration.postRegistration Called with the new user:
+ * `function(user, options, cb)`.
  *
  * @class StormpathUser
  * @inherits {User}
@@ -88,506 +198,4118 @@ module.exports = function(StormpathUser) {
   }
 
   /**
-   * Normalize the credentials
+   * Normalize the credentials.  A realm given as `realm`, or as a prefix of
+   * the email or username, is picked up whether or not one is required.
+   *
    * @param {Object} credentials The credential object
-   * @param {Boolean} realmRequired
-   * @param {String} realmDelimiter The realm delimiter, if not set, no realm is needed
+   * @param {Boolean} realmRequired Whether a realm is required.  Checking it is
+   *   left to the caller.
+   * @param {String} realmDelimiter The realm delimiter, if not set, no realm prefix is looked for
    * @returns {Object} The normalized credential object
    */
   StormpathUser.normalizeCredentials = function(credentials, realmRequired, realmDelimiter) {
     var query = {};
     credentials = credentials || {};
-    if (!realmRequired) {
-      if (credentials.email) {
-        query.email = credentials.email;
-      } else if (credentials.username) {
-        query.username = credentials.username;
+    if (credentials.realm) {
+      query.realm = credentials.realm;
+    }
+    var parts;
+    if (credentials.email) {
+      parts = splitPrincipal(credentials.email, realmDelimiter);
+      query.email = parts[1];
+      if (parts[0]) {
+        query.realm = parts[0];
       }
-    } else {
-      if (credentials.realm) {
-        query.realm = credentials.realm;
-      }
-      var parts;
-      if (credentials.email) {
-        parts = splitPrincipal(credentials.email, realmDelimiter);
-        query.email = parts[1];
-        if (parts[0]) {
-          query.realm = parts[0];
-        }
-      } else if (credentials.username) {
-        parts = splitPrincipal(credentials.username, realmDelimiter);
-        query.username = parts[1];
-        if (parts[0]) {
-          query.realm = parts[0];
-        }
+    } else if (credentials.username) {
+      parts = splitPrincipal(credentials.username, realmDelimiter);
+      query.username = parts[1];
+      if (parts[0]) {
+        query.realm = parts[0];
       }
     }
     return query;
   };
 
+  /*!
+   * Build the error returned for an unknown or expired Stormpath `sptoken`.
+   *
+   * @param {String} sptoken The token.
+   * @return {Error}
+   */
+  function invalidTokenError(sptoken) {
+    var err = new Error('Invalid token: ' + sptoken);
+    err.statusCode = 400;
+    err.code = 'INVALID_TOKEN';
+
+    return err;
+  }
+
+  /*!
+   * Turn Stormpath's rejection of a new password (it doesn't satisfy the
+   * Directory's password policy) into a validation error.
+   *
+   * @param {Error} err The Stormpath ResourceError.
+   * @return {Error}
+   */
+  function passwordPolicyError(err) {
+    if (!(err.status >= 400 && err.status < 500)) {
+      return err;
+    }
+
+    var policyErr = new Error(err.userMessage || err.message);
+    policyErr.statusCode = 422;
+    policyErr.code = 'INVALID_PASSWORD';
+
+    return policyErr;
+  }
+
+  /*!
+   * Build the `StormpathUser` data for the given Stormpath Account resource.
+   *
+   * @param {Object} account The Stormpath Account object.
+   * @return {Object} The model data.
+   */
+  function accountToData(account) {
+    return {
+      id: hrefToId(account.href),
+      givenName: account.givenName,
+      middleName: account.middleName,
+      surname: account.surname,
+      username: account.username,
+      email: account.email,
+      status: account.status,
+      directoryId: account.directory && account.directory.href ?
+        hrefToId(account.directory.href) : undefined,
+      providerData: account.providerData && account.providerData.createdAt ?
+        helpers.providerDataToJson(account.providerData) : undefined,
+      createdAt: account.createdAt,
+      modifiedAt: account.modifiedAt
+    };
+  }
+
   /**
-   * Login a user by with the given `credentials`.
+   * Retrieve the Stormpath Application backing the datasource this model is
+   * attached to.
    *
-   * ```js
-   *    StormpathUser.login({username: 'foo', password: 'bar'}, function(err, token) {
-   *      console.log(token.id);
-   *    });
-   * ```
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Application} application The Stormpath Application object.
+   * @param {Client} client The Stormpath Client object.
+   */
+  StormpathUser.getApplication = function(callback) {
+    var dataSource = this.getDataSource();
+    var connector = dataSource && dataSource.connector;
+
+    if (!connector || typeof connector.connect !== 'function') {
+      var err = new Error(this.modelName + ' is not attached to a stormpath datasource');
+      err.statusCode = 500;
+      err.code = 'DATASOURCE_NOT_ATTACHED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    connector.connect(function(err) {
+      if (err) return callback(err);
+      callback(null, connector.application, connector.client);
+    });
+  };
+
+  /**
+   * Retrieve the Stormpath Account behind the user with the given id.
    *
-   * @param {Object} credentials username/password or email/password
-   * @param {String[]|String} [include] Optionally set it to "user" to include
-   * the user info
-   * @callback {Function} callback Callback function
-   * @param {Error} err Error object
-   * @param {AccessToken} token Access token if login is successful
+   * @param {String} id The user ID.
+   * @param {Object} [options] Query options, eg: `{expand: 'customData'}`.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Account} account The Stormpath Account object.
+   */
+  StormpathUser.getAccount = function(id, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    this.getApplication(function(err, application, client) {
+      if (err) return callback(err);
+      client.getAccount(idToHref(application, 'accounts', id), options || {}, callback);
+    });
+  };
+
+  /**
+   * Retrieve the names of the Stormpath Groups the user with the given id is a
+   * member of.
+   *
+   * @param {String} id The user ID.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {String[]} names The group names.
    */
-//  StormpathUser.login = function(credentials, include, callback) {
-//    var self = this;
-//
-//    if (typeof include === 'function') {
-//      callback = include;
-//      include = undefined;
-//    }
-//
-//    //include = (include || '');
-//    //if (Array.isArray(include)) {
-//    //  include = include.map(function(val) {
-//    //    return val.toLowerCase();
-//    //  });
-//    //} else {
-//    //  include = include.toLowerCase();
-//    //}
-//
-//    //var realmDelimiter;
-//    //// Check if realm is required
-//    //var realmRequired = !!(self.settings.realmRequired ||
-//    //  self.settings.realmDelimiter);
-//    //if (realmRequired) {
-//    //  realmDelimiter = self.settings.realmDelimiter;
-//    //}
-//    //var query = self.normalizeCredentials(credentials, realmRequired,
-//    //  realmDelimiter);
-//
-//    //if (realmRequired && !query.realm) {
-//    //  var err1 = new Error('realm is required');
-//    //  err1.statusCode = 400;
-//    //  err1.code = 'REALM_REQUIRED';
-//    //  return callback(err1);
-//    //}
-//
-//    if (!(credentials.email || credentials.username)) {
-//      var err = new Error('username or email is required');
-//
-//      err.statusCode = 400;
-//      err.code = 'USERNAME_EMAIL_REQUIRED';
-//
-//      return callback(err);
-//    }
-//
-//    if (!credentials.password) {
-//      var err = new Error('password is required');
-//
-//      err.statusCode = 400;
-//      err.code = 'PASSWORD_REQUIRED';
-//
-//      return callback(err);
-//    }
-//
-//    self.authenticate(credentials.email || credentials.username, credentials.password, function(err, account) {
-//      var defaultError = new Error('login failed');
-//      defaultError.statusCode = 401;
-//      defaultError.code = 'LOGIN_FAILED';
-//
-//      if (err) return callback(defaultError);
-//
-//      function tokenHandler(err, token) {
-//        if (err) return callback(err);
-//
-//        //if (Array.isArray(include) ? include.indexOf('user') !== -1 : include === 'user') {
-//          // NOTE(bajtos) We can't set token.user here:
-//          //  1. token.user already exists, it's a function injected by
-//          //     "AccessToken belongsTo StormpathUser" relation
-//          //  2. ModelBaseClass.toJSON() ignores own properties, thus
-//          //     the value won't be included in the HTTP response
-//          // See also loopback#161 and loopback#162
-//        //  token.__data.user = user;
-//        //}
-//
-//        return callback(err, token);
-//      }
-//
-//      //if (user.createAccessToken.length === 2) {
-//      //  user.createAccessToken(credentials.ttl, tokenHandler);
-//      //} else {
-//      //  user.createAccessToken(credentials.ttl, credentials, tokenHandler);
-//      //}
-//
-//      callback(null, account);
-//    });
-//  };
+  StormpathUser.getGroupNames = function(id, callback) {
+    this.getAccount(id, function(err, account) {
+      if (err) return callback(err);
+
+      account.getGroups(function(err, groups) {
+        if (err) return callback(err);
+
+        var names = [];
+        groups.each(function(group, cb) {
+          names.push(group.name);
+          cb();
+        }, function(err) {
+          if (err) return callback(err);
+          callback(null, names);
+        });
+      });
+    });
+  };
 
   /**
-   * Logout a user with the given accessToken id.
+   * Find the Stormpath account store a realm maps to: the Organization whose
+   * `nameKey` is the realm or, failing that, the Directory named after it.
    *
-   * ```js
-   *    StormpathUser.logout('asd0a9f8dsj9s0s3223mk', function (err) {
-  *      console.log(err || 'Logged out');
-  *    });
-   * ```
+   * @param {String} realm The realm.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} store `{href: href, organizationId: id}` or
+   *   `{href: href, directoryId: id}`, or `null` for an unknown realm.
+   */
+  StormpathUser.getRealmStore = function(realm, callback) {
+    this.getApplication(function(err, application, client) {
+      if (err) return callback(err);
+
+      var organizations = application.tenant.href + '/organizations';
+
+      client.getResource(organizations, { nameKey: realm }, function(err, found) {
+        if (err) return callback(err);
+
+        firstResource(found, function(err, organization) {
+          if (err) return callback(err);
+
+          if (organization) {
+            return callback(null, {
+              href: organization.href,
+              organizationId: hrefToId(organization.href)
+            });
+          }
+
+          client.getDirectories({ name: realm }, function(err, found) {
+            if (err) return callback(err);
+
+            firstResource(found, function(err, directory) {
+              if (err) return callback(err);
+
+              callback(null, directory ? {
+                href: directory.href,
+                directoryId: hrefToId(directory.href)
+              } : null);
+            });
+          });
+        });
+      });
+    });
+  };
+
+  /*!
+   * Retrieve the first resource of a Stormpath collection.
    *
-   * @param {String} accessTokenID
+   * @param {Object} collection The Stormpath collection.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} resource The first resource, or `null` if it's empty.
+   */
+  function firstResource(collection, callback) {
+    var first = null;
+
+    collection.each(function(resource, cb) {
+      first = first || resource;
+      cb();
+    }, function(err) {
+      callback(err, err ? null : first);
+    });
+  }
+
+  /*!
+   * Find the directory new users of a realm are created in: the realm's
+   * directory itself, or the default account store of its organization.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Object} store The realm's account store, see `getRealmStore()`.
    * @callback {Function} callback
    * @param {Error} err
+   * @param {String} directoryId The directory ID, or `null` if the realm's
+   *   organization has no directory.
    */
-//  StormpathUser.logout = function(tokenId, fn) {
-//    this.relations.accessTokens.modelTo.findById(tokenId, function(err, accessToken) {
-//      if (err) {
-//        fn(err);
-//      } else if (accessToken) {
-//        accessToken.destroy(fn);
-//      } else {
-//        fn(new Error('could not find accessToken'));
-//      }
-//    });
-//  };
+  function getRealmDirectoryId(Model, store, callback) {
+    if (store.directoryId) {
+      return process.nextTick(function() {
+        callback(null, store.directoryId);
+      });
+    }
+
+    Model.getApplication(function(err, application, client) {
+      if (err) return callback(err);
+
+      client.getResource(store.href + '/accountStoreMappings', { expand: 'accountStore' }, function(err, mappings) {
+        if (err) return callback(err);
+
+        var directoryId = null;
+        mappings.each(function(mapping, cb) {
+          var href = mapping.accountStore && mapping.accountStore.href;
+
+          if (/\/directories\//.test(href) && (!directoryId || mapping.isDefaultAccountStore)) {
+            directoryId = hrefToId(href);
+          }
+          cb();
+        }, function(err) {
+          callback(err, err ? null : directoryId);
+        });
+      });
+    });
+  }
 
   /**
-   * Compare the given `password` with the users hashed password.
+   * Find the ID of the directory new users of the given realm are created in.
    *
-   * @param {String} password The plain text password
-   * @returns {Boolean}
+   * @param {String} realm The realm.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {String} directoryId The directory ID, or `null` for an unknown
+   *   realm or one without a directory.
+   */
+  StormpathUser.getRealmDirectoryId = function(realm, callback) {
+    var self = this;
+
+    self.getRealmStore(realm, function(err, store) {
+      if (err || !store) return callback(err || null, null);
+      getRealmDirectoryId(self, store, callback);
+    });
+  };
+
+  /*!
+   * Build the error returned when a realm is required, but none was given.
+   *
+   * @return {Error}
+   */
+  function realmRequiredError() {
+    var err = new Error('realm is required');
+    err.statusCode = 400;
+    err.code = 'REALM_REQUIRED';
+
+    return err;
+  }
+
+  /**
+   * Build the options remote methods are called with, adding the IP address
+   * and user agent of the request, which audit events record, and the admin
+   * behind requests made with an impersonation token.
+   *
+   * @param {Object} ctx The remoting context.
+   * @return {Object} `{accessToken, ip, userAgent, impersonatorId}`
    */
-//  StormpathUser.prototype.hasPassword = function(plain, fn) {
-//    if (this.password && plain) {
-//      fn(null, false);
-//      //bcrypt.compare(plain, this.password, function(err, isMatch) {
-//      //  if (err) return fn(err);
-//      //  fn(null, isMatch);
-//      //});
-//    } else {
-//      fn(null, false);
-//    }
-//  };
+  StormpathUser.createOptionsFromRemotingContext = function(ctx) {
+    var options = StormpathUser.base.createOptionsFromRemotingContext.call(this, ctx);
+    var context = audit.requestOptions(ctx.req);
+
+    options.ip = context.ip;
+    options.userAgent = context.userAgent;
+    options.impersonatorId = (options.accessToken && options.accessToken.impersonatorId) || null;
+
+    return options;
+  };
 
   /**
-   * Verify a user's identity by sending them a confirmation email.
+   * Emit an audit event, both under its own type and as `audit`:
    *
    * ```js
-   *    var options = {
-   *      type: 'email',
-   *      to: user.email,
-   *      template: 'verify.ejs',
-   *      redirect: '/',
-   *      tokenGenerator: function (user, cb) { cb("random-token"); }
-   *    };
-   *
-   *    user.verify(options, next);
+   *    StormpathUser.on('audit', function(event) {
+   *      console.log(event.type, event.userId, event.ip, event.timestamp);
+   *    });
    * ```
    *
-   * @options {Object} options
-   * @property {String} type Must be 'email'.
-   * @property {String} to Email address to which verification email is sent.
-   * @property {String} from Sender email addresss, for example
-   *   `'noreply@myapp.com'`.
-   * @property {String} subject Subject line text.
-   * @property {String} text Text of email.
-   * @property {String} template Name of template that displays verification
-   *  page, for example, `'verify.ejs'.
-   * @property {String} redirect Page to which user will be redirected after
-   *  they verify their email, for example `'/'` for root URI.
-   * @property {Function} generateVerificationToken A function to be used to
-   *  generate the verification token. It must accept the user object and a
-   *  callback function. This function should NOT add the token to the user
-   *  object, instead simply execute the callback with the token! StormpathUser saving
-   *  and email sending will be handled in the `verify()` method.
-   */
-  //StormpathUser.prototype.verify = function(options, fn) {
-  //  var user = this;
-  //  var userModel = this.constructor;
-  //  assert(typeof options === 'object', 'options required when calling user.verify()');
-  //  assert(options.type, 'You must supply a verification type (options.type)');
-  //  assert(options.type === 'email', 'Unsupported verification type');
-  //  assert(options.to || this.email, 'Must include options.to when calling user.verify() or the user must have an email property');
-  //  assert(options.from, 'Must include options.from when calling user.verify() or the user must have an email property');
-
-  //  options.redirect = options.redirect || '/';
-  //  options.template = path.resolve(options.template || path.join(__dirname, '..', '..', 'templates', 'verify.ejs'));
-  //  options.user = this;
-  //  options.protocol = options.protocol || 'http';
-
-  //  var app = userModel.app;
-  //  options.host = options.host || (app && app.get('host')) || 'localhost';
-  //  options.port = options.port || (app && app.get('port')) || 3000;
-  //  options.restApiRoot = options.restApiRoot || (app && app.get('restApiRoot')) || '/api';
-  //  options.verifyHref = options.verifyHref ||
-  //    options.protocol +
-  //    '://' +
-  //    options.host +
-  //    ':' +
-  //    options.port +
-  //    options.restApiRoot +
-  //    userModel.http.path +
-  //    userModel.sharedClass.find('confirm', true).http.path +
-  //    '?uid=' +
-  //    options.user.id +
-  //    '&redirect=' +
-  //    options.redirect;
-
-  //  // Email model
-  //  var Email = options.mailer || this.constructor.email || loopback.getModelByType(loopback.Email);
-
-  //  // Set a default token generation function if one is not provided
-  //  var tokenGenerator = options.generateVerificationToken || StormpathUser.generateVerificationToken;
-
-  //  tokenGenerator(user, function(err, token) {
-  //    if (err) { return fn(err); }
-
-  //    user.verificationToken = token;
-  //    user.save(function(err) {
-  //      if (err) {
-  //        fn(err);
-  //      } else {
-  //        sendEmail(user);
-  //      }
-  //    });
-  //  });
-
-  //  // TODO - support more verification types
-  //  function sendEmail(user) {
-  //    options.verifyHref += '&token=' + user.verificationToken;
-
-  //    options.text = options.text || 'Please verify your email by opening this link in a web browser:\n\t{href}';
-
-  //    options.text = options.text.replace('{href}', options.verifyHref);
-
-  //    var template = loopback.template(options.template);
-  //    Email.send({
-  //      to: options.to || user.email,
-  //      from: options.from,
-  //      subject: options.subject || 'Thanks for Registering',
-  //      text: options.text,
-  //      html: template(options),
-  //      headers: options.headers || {}
-  //    }, function(err, email) {
-  //      if (err) {
-  //        fn(err);
-  //      } else {
-  //        fn(null, {email: email, token: user.verificationToken, uid: user.id});
-  //      }
-  //    });
-  //  }
-  //};
-
-  /**
-   * A default verification token generator which accepts the user the token is
-   * being generated for and a callback function to indicate completion.
-   * This one uses the crypto library and 64 random bytes (converted to hex)
-   * for the token. When used in combination with the user.verify() method this
-   * function will be called with the `user` object as it's context (`this`).
-   *
-   * @param {object} user The StormpathUser this token is being generated for.
-   * @param {Function} cb The generator must pass back the new token with this function call
-   */
-  //StormpathUser.generateVerificationToken = function(user, cb) {
-  //  crypto.randomBytes(64, function(err, buf) {
-  //    cb(err, buf && buf.toString('hex'));
-  //  });
-  //};
-
-  /**
-   * Confirm the user's identity.
-   *
-   * @param {Any} userId
-   * @param {String} token The validation token
-   * @param {String} redirect URL to redirect the user to once confirmed
+   * Events are emitted for `login`, `loginFailed`, `logout`, `register`,
+   * `verify`, `passwordResetRequest`, `passwordReset`, `passwordChange`,
+   * `statusChange`, `groupMembershipChange` and `impersonate`.
+   *
+   * @param {String} type The event type.
+   * @param {Account|String} user The Stormpath Account concerned, or its
+   *   href, or the user ID.  `null` when unknown, eg: on a failed login with
+   *   an unknown email.
+   * @param {Object} [options] The options of the call, holding the `ip` and
+   *   `userAgent` of the request it comes from, and its `impersonatorId`.
+   * @param {Object} [data] Details about the event.
+   */
+  StormpathUser.emitAuditEvent = function(type, user, options, data) {
+    var self = this;
+    var href = user && typeof user === 'object' ? user.href || user.id : user;
+
+    function emit(accountHref) {
+      var event = audit.buildEvent(type, accountHref, options, data);
+
+      debug('Audit event %s for %s', type, event.accountHref);
+      self.emit(type, event);
+      self.emit('audit', event);
+    }
+
+    if (!href || href.indexOf('/') !== -1) {
+      return emit(href);
+    }
+
+    self.getApplication(function(err, application) {
+      if (err) debug('Cannot resolve the href of user %s: %s', href, err.message);
+      emit(err ? null : idToHref(application, 'accounts', href));
+    });
+  };
+
+  /**
+   * Authenticate the given login (username or email) and password against the
+   * Stormpath Application.
+   *
+   * @param {String} login The username or email.
+   * @param {String} password The plain text password.
+   * @param {String} [accountStore] The href of the Organization or Directory
+   *   to authenticate against, eg: a realm's, see `getRealmStore()`.
    * @callback {Function} callback
    * @param {Error} err
+   * @param {Account} account The authenticated Stormpath Account object.
    */
-//  StormpathUser.confirm = function(uid, token, redirect, fn) {
-//    this.findById(uid, function(err, user) {
-//      if (err) {
-//        fn(err);
-//      } else {
-//        if (user && user.verificationToken === token) {
-//          user.verificationToken = undefined;
-//          user.emailVerified = true;
-//          user.save(function(err) {
-//            if (err) {
-//              fn(err);
-//            } else {
-//              fn();
-//            }
-//          });
-//        } else {
-//          if (user) {
-//            err = new Error('Invalid token: ' + token);
-//            err.statusCode = 400;
-//            err.code = 'INVALID_TOKEN';
-//          } else {
-//            err = new Error('StormpathUser not found: ' + uid);
-//            err.statusCode = 404;
-//            err.code = 'USER_NOT_FOUND';
-//          }
-//          fn(err);
-//        }
-//      }
-//    });
-//  };
-
-  /**
-   * Create a short lived acess token for temporary login. Allows users
-   * to change passwords if forgotten.
+  StormpathUser.authenticate = function(login, password, accountStore, callback) {
+    if (typeof accountStore === 'function') {
+      callback = accountStore;
+      accountStore = undefined;
+    }
+
+    this.getApplication(function(err, application) {
+      if (err) return callback(err);
+
+      var request = {
+        username: login,
+        password: password
+      };
+
+      if (accountStore) {
+        request.accountStore = accountStore;
+      }
+
+      application.authenticateAccount(request, function(err, result) {
+        if (err) return callback(err);
+        result.getAccount(callback);
+      });
+    });
+  };
+
+  /**
+   * Authenticate a user with the given `credentials`, the way `login()` does,
+   * without issuing an access token.
    *
-   * @options {Object} options
-   * @prop {String} email The user's email address
+   * The credentials can name a realm, given as `realm` or as a prefix of the
+   * email or username (`acme:bob@example.com` with a `realmDelimiter` of
+   * `:`).  The user is then authenticated against the realm's Organization or
+   * Directory only.  When the model's `realmRequired` setting is on, the realm
+   * is required.
+   *
+   * When the model's `lockout` setting is on, too many failed attempts lock
+   * the account, or the IP address they came from, out for a while: login
+   * attempts are then rejected with an `ACCOUNT_LOCKED` or `LOGIN_THROTTLED`
+   * error, whose `retryAfter` is the number of seconds left.
+   *
+   * Users whose password reset was forced (see `forcePasswordReset()`) are
+   * rejected with a `PASSWORD_RESET_REQUIRED` error until they reset it.
+   *
+   * Failed attempts emit a `loginFailed` audit event.
+   *
+   * @param {Object} credentials username/password or email/password
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the attempt comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback Callback function
+   * @param {Error} err Error object
+   * @param {Account} account The authenticated Stormpath Account object.
+   */
+  StormpathUser.authenticateCredentials = function(credentials, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    credentials = credentials || {};
+    options = options || {};
+
+    var query = self.normalizeCredentials(credentials, self.settings.realmRequired,
+      self.settings.realmDelimiter);
+    var login = query.email || query.username;
+    var err;
+
+    if (!login) {
+      err = new Error('username or email is required');
+      err.statusCode = 400;
+      err.code = 'USERNAME_EMAIL_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    if (self.settings.realmRequired && !query.realm) {
+      return process.nextTick(function() {
+        callback(realmRequiredError());
+      });
+    }
+
+    if (!credentials.password) {
+      err = new Error('password is required');
+      err.statusCode = 400;
+      err.code = 'PASSWORD_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    var defaultError = new Error('login failed');
+    defaultError.statusCode = 401;
+    defaultError.code = 'LOGIN_FAILED';
+
+    var unverifiedError = new Error('login failed as the email has not been verified');
+    unverifiedError.statusCode = 401;
+    unverifiedError.code = 'LOGIN_FAILED_EMAIL_NOT_VERIFIED';
+
+    var resetRequiredError = new Error('login failed as the password has to be reset');
+    resetRequiredError.statusCode = 401;
+    resetRequiredError.code = 'PASSWORD_RESET_REQUIRED';
+
+    // The account the attempt is for, when known.
+    var attempted = null;
+
+    function failed(err) {
+      self.emitAuditEvent('loginFailed', attempted, options, {
+        method: 'password',
+        login: login,
+        realm: query.realm || null,
+        code: err.code
+      });
+
+      callback(err);
+    }
+
+    if (!query.realm) {
+      return authenticate();
+    }
+
+    self.getRealmStore(query.realm, function(err, store) {
+      if (err) return callback(err);
+
+      if (!store) {
+        debug('Unknown realm %s', query.realm);
+        return failed(defaultError);
+      }
+
+      authenticate(store.href);
+    });
+
+    // Users who still have to go through an MFA challenge haven't logged in
+    // yet, see `verifyChallenge()`.
+    function loggedIn(err, account, callback) {
+      if (err || !self.settings.mfa) return callback(null, !err);
+
+      self.requiresMfa(account, function(err, required) {
+        callback(err, !required);
+      });
+    }
+
+    function authenticate(storeHref) {
+      if (!self.settings.lockout) {
+        return self.authenticate(login, credentials.password, storeHref, authenticated);
+      }
+
+      reserveLoginAttempt(self, storeHref, login, options.ip, function(err, lock) {
+        if (err && err.retryAfter) return failed(err);
+        if (err) return callback(err);
+
+        attempted = lock.account;
+
+        self.authenticate(login, credentials.password, storeHref, function(err, account) {
+          if (err && err.status >= 400 && err.status < 500 && err.code !== STORMPATH_ACCOUNT_UNVERIFIED) {
+            return authenticated(lock.lockedErr || err);
+          }
+
+          loggedIn(err, account, function(mfaErr, loggedIn) {
+            releaseLoginAttempt(self, lock, loggedIn, function(releaseErr) {
+              authenticated(err || mfaErr || releaseErr, account);
+            });
+          });
+        });
+      });
+    }
+
+    function authenticated(err, account) {
+      if (err && err.retryAfter) {
+        return failed(err);
+      }
+
+      // Stormpath rejects bad credentials with a 4xx status.  Anything else
+      // (network failures, 5xx responses) is not the user's fault, so we pass
+      // it through untouched.
+      if (err) {
+        debug('An error is reported from StormpathUser.authenticate: %j', err);
+
+        if (err.code === STORMPATH_ACCOUNT_UNVERIFIED) {
+          return failed(unverifiedError);
+        }
+
+        return err.status >= 400 && err.status < 500 ? failed(defaultError) : callback(err);
+      }
+
+      if (self.settings.emailVerificationRequired && account.status === 'UNVERIFIED') {
+        debug('StormpathUser email has not been verified');
+        attempted = account;
+        return failed(unverifiedError);
+      }
+
+      account.getCustomData(function(err, customData) {
+        if (err) return callback(err);
+
+        if (customData[PASSWORD_RESET_REQUIRED]) {
+          debug('StormpathUser %s has to reset their password', account.href);
+          attempted = account;
+          return failed(resetRequiredError);
+        }
+
+        callback(null, account);
+      });
+    }
+  };
+
+  /*!
+   * Update the lockout state of an account, in the model's lockout store or,
+   * without one, in the account's customData.  The customData is read again
+   * and written one update at a time per account, which only holds within
+   * this process.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {String} userId The user ID.
+   * @param {Function} updater The update, see `lockout.update()`.
    * @callback {Function} callback
    * @param {Error} err
+   * @param {Object} state The new state, or `null`.
    */
-  //StormpathUser.resetPassword = function(options, cb) {
-  //  var StormpathUserModel = this;
-  //  var ttl = StormpathUserModel.settings.resetPasswordTokenTTL || DEFAULT_RESET_PW_TTL;
-
-  //  options = options || {};
-  //  if (typeof options.email === 'string') {
-  //    StormpathUserModel.findOne({ where: {email: options.email} }, function(err, user) {
-  //      if (err) {
-  //        cb(err);
-  //      } else if (user) {
-  //        // create a short lived access token for temp login to change password
-  //        // TODO(ritch) - eventually this should only allow password change
-  //        user.accessTokens.create({ttl: ttl}, function(err, accessToken) {
-  //          if (err) {
-  //            cb(err);
-  //          } else {
-  //            cb();
-  //            StormpathUserModel.emit('resetPasswordRequest', {
-  //              email: options.email,
-  //              accessToken: accessToken,
-  //              user: user
-  //            });
-  //          }
-  //        });
-  //      } else {
-  //        cb();
-  //      }
-  //    });
-  //  } else {
-  //    var err = new Error('email is required');
-  //    err.statusCode = 400;
-  //    err.code = 'EMAIL_REQUIRED';
-  //    cb(err);
-  //  }
-  //};
-
-//  StormpathUser.validatePassword = function(plain) {
-//    if (typeof plain === 'string' && plain) {
-//      return true;
-//    }
-//    var err =  new Error('Invalid password: ' + plain);
-//    err.statusCode = 422;
-//    throw err;
-//  };
-//
-//  /*!
-//   * Setup an extended user model.
-//   */
+  function updateAccountLockout(Model, userId, updater, callback) {
+    var store = Model.settings.lockout.store;
+    var key = 'account:' + userId;
 
-  StormpathUser.setup = function() {
-    // We need to call the base class's setup method
-    StormpathUser.base.setup.call(this);
-    var StormpathUserModel = this;
+    if (store) {
+      return lockout.update(store, key, updater, callback);
+    }
 
-    // max ttl
-    this.settings.maxTTL = this.settings.maxTTL || DEFAULT_MAX_TTL;
-    this.settings.ttl = this.settings.ttl || DEFAULT_TTL;
+    lockout.serialize(key, function(done) {
+      Model.getAccount(userId, {expand: 'customData'}, function(err, account) {
+        if (err) return done(err);
 
-    //StormpathUserModel.remoteMethod(
-    //  'login',
-    //  {
-    //    description: 'Login a user with username/email and password',
-    //    accepts: [
-    //      {arg: 'credentials', type: 'object', required: true, http: {source: 'body'}},
-    //      {arg: 'include', type: 'string', http: {source: 'query' },
-    //        description: 'Related objects to include in the response. ' +
-    //        'See the description of return value for more details.'}
-    //    ],
-    //    returns: {
-    //      arg: 'accessToken', type: 'object', root: true,
-    //      description:
-    //        'The response body contains properties of the AccessToken created on login.\n' +
-    //        'Depending on the value of `include` parameter, the body may contain ' +
-    //        'additional properties:\n\n' +
-    //        '  - `user` - `{StormpathUser}` - Data of the currently logged in user. (`include=user`)\n\n'
-    //    },
-    //    http: {verb: 'post'}
-    //  }
-    //);
-
-    //StormpathUserModel.remoteMethod(
-    //  'logout',
-    //  {
-    //    description: 'Logout a user with access token',
-    //    accepts: [
-    //      {arg: 'access_token', type: 'string', required: true, http: function(ctx) {
-    //        var req = ctx && ctx.req;
-    //        var accessToken = req && req.accessToken;
-    //        var tokenID = accessToken && accessToken.id;
-
-    //        return tokenID;
-    //      }, description: 'Do not supply this argument, it is automatically extracted ' +
-    //        'from request headers.'
-    //      }
-    //    ],
-    //    http: {verb: 'all'}
-    //  }
-    //);
-
-    //StormpathUserModel.remoteMethod(
-    //  'confirm',
-    //  {
-    //    description: 'Confirm a user registration with email verification token',
-    //    accepts: [
-    //      {arg: 'uid', type: 'string', required: true},
-    //      {arg: 'token', type: 'string', required: true},
-    //      {arg: 'redirect', type: 'string'}
-    //    ],
-    //    http: {verb: 'get', path: '/confirm'}
-    //  }
-    //);
-
-    //StormpathUserModel.remoteMethod(
-    //  'resetPassword',
-    //  {
-    //    description: 'Reset password for a user with email',
-    //    accepts: [
-    //      {arg: 'options', type: 'object', required: true, http: {source: 'body'}}
-    //    ],
-    //    http: {verb: 'post', path: '/reset'}
-    //  }
-    //);
-
-    //StormpathUserModel.on('attached', function() {
-    //  StormpathUserModel.afterRemote('confirm', function(ctx, inst, next) {
-    //    if (ctx.args.redirect !== undefined) {
-    //      if (!ctx.res) {
-    //        return next(new Error('The transport does not support HTTP redirects.'));
-    //      }
-    //      ctx.res.location(ctx.args.redirect);
-    //      ctx.res.status(302);
-    //    }
-    //    next();
-    //  });
-    //});
+        var customData = account.customData;
+        var state = customData[LOGIN_LOCKOUT] || null;
+        var result = updater(state);
 
-    // default models
-    assert(loopback.Email, 'Email model must be defined before StormpathUser model');
-    StormpathUserModel.email = loopback.Email;
+        if (!result || (!result.state && !state)) {
+          return done(null, state);
+        } else if (result.state) {
+          customData[LOGIN_LOCKOUT] = result.state;
+        } else {
+          customData.remove(LOGIN_LOCKOUT);
+        }
 
-    assert(loopback.AccessToken, 'AccessToken model must be defined before StormpathUser model');
-    StormpathUserModel.accessToken = loopback.AccessToken;
+        customData.save(function(err) {
+          done(err || null, result.state || null);
+        });
+      });
+    }, callback);
+  }
 
-    return StormpathUserModel;
-  };
+  /*!
+   * Count a login attempt as a failure of the account with the given login,
+   * and of the IP address it comes from, before checking its credentials, so
+   * that concurrent attempts can't all get in under `maxAttempts`.  Attempts
+   * are rejected when either is locked out.  See `releaseLoginAttempt()` for
+   * successful attempts.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {String} [storeHref] The href of the realm's account store.
+   * @param {String} login The username or email.
+   * @param {String} [ip] The IP address.
+   * @callback {Function} callback
+   * @param {Error} err `ACCOUNT_LOCKED` or `LOGIN_THROTTLED` when locked out.
+   * @param {Object} lock `{account, ip, lockedErr}`, `account` being `null`
+   *   for an unknown login, and `lockedErr` the error to fail the attempt
+   *   with, if it locked the account or IP address out.
+   */
+  function reserveLoginAttempt(Model, storeHref, login, ip, callback) {
+    var options = Model.settings.lockout;
+    var lock = { account: null, ip: (options.maxAttemptsPerIp && ip) || null, lockedErr: null };
+    var ipResult = {};
+    var accountResult = {};
+
+    function reserveIp(callback) {
+      if (!lock.ip) return callback(null);
+
+      lockout.update(options.ipStore, 'ip:' + lock.ip,
+        lockout.reserveAttempt(options.maxAttemptsPerIp, options, ipResult), callback);
+    }
+
+    reserveIp(function(err) {
+      if (err) return callback(err);
+
+      if (ipResult.retryAfter) {
+        debug('Login attempt from locked out IP address %s', lock.ip);
+        return callback(lockout.throttledError(ipResult.retryAfter));
+      }
+
+      Model.getApplication(function(err, application, client) {
+        if (err) return callback(err);
+
+        // Logins with an @ are matched against emails, the way Stormpath does.
+        var query = {};
+        query[login.indexOf('@') === -1 ? 'username' : 'email'] = login;
+
+        client.getResource((storeHref || application.href) + '/accounts', query, function(err, accounts) {
+          if (err) return callback(err);
+
+          firstResource(accounts, function(err, account) {
+            if (err) return callback(err);
+
+            lock.account = account || null;
+
+            function reserveAccount(callback) {
+              if (!account) return callback(null);
+
+              updateAccountLockout(Model, hrefToId(account.href),
+                lockout.reserveAttempt(options.maxAttempts, options, accountResult), callback);
+            }
+
+            reserveAccount(function(err) {
+              if (err) return callback(err);
+
+              if (accountResult.retryAfter) {
+                debug('Login attempt to locked out account %s', account.href);
+
+                // The attempt never happened, as far as the IP address goes.
+                return releaseIp(Model, lock, function(err) {
+                  callback(err || lockout.accountLockedError(accountResult.retryAfter));
+                });
+              }
+
+              if (accountResult.locked) {
+                lock.lockedErr = lockout.accountLockedError(accountResult.locked);
+              } else if (ipResult.locked) {
+                lock.lockedErr = lockout.throttledError(ipResult.locked);
+              }
+
+              callback(null, lock);
+            });
+          });
+        });
+      });
+    });
+  }
+
+  /*!
+   * Give back the failure a login attempt was counted as against its IP
+   * address.
+   */
+  function releaseIp(Model, lock, callback) {
+    if (!lock.ip) {
+      return process.nextTick(function() {
+        callback(null);
+      });
+    }
+
+    lockout.update(Model.settings.lockout.ipStore, 'ip:' + lock.ip, lockout.refundAttempt(),
+      function(err) {
+        callback(err || null);
+      });
+  }
+
+  /*!
+   * Give back the failure a login attempt was counted as, once it turned out
+   * not to be a wrong password.  Once the user has logged in, including any
+   * MFA challenge, the failed attempts of their account are forgotten.  Those
+   * of the IP address are kept, as a single valid account mustn't help
+   * guessing the passwords of others.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Object} lock The attempt, see `reserveLoginAttempt()`.
+   * @param {Boolean} loggedIn Whether the user has logged in.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  function releaseLoginAttempt(Model, lock, loggedIn, callback) {
+    releaseIp(Model, lock, function(err) {
+      if (err) return callback(err);
+      if (!lock.account) return callback(null);
+
+      updateAccountLockout(Model, hrefToId(lock.account.href),
+        loggedIn ? lockout.clearAttempts() : lockout.refundAttempt(), function(err) {
+          callback(err || null);
+        });
+    });
+  }
+
+  /**
+   * Unlock the account of the user with the given id, forgetting their failed
+   * login attempts.
+   *
+   * @param {String} userId The user ID.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.unlock = function(userId, callback) {
+    var self = this;
+
+    if (!self.settings.lockout) {
+      return process.nextTick(function() {
+        callback(null);
+      });
+    }
+
+    self.getAccount(userId, function(err, account) {
+      if (err) return callback(err);
+
+      debug('Unlocking account %s', account.href);
+      updateAccountLockout(self, userId, lockout.clearAttempts(), function(err) {
+        callback(err || null);
+      });
+    });
+  };
+
+  /**
+   * Unlock this user's account, forgetting their failed login attempts.
+   *
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.prototype.unlock = function(callback) {
+    this.constructor.unlock(this.id, callback);
+  };
+
+  /**
+   * Enable this user's account, letting them log in again.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {StormpathUser} user The updated user.
+   */
+  StormpathUser.prototype.enable = function(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    this.updateAttributes({status: 'ENABLED'}, options || {}, callback);
+  };
+
+  /**
+   * Disable this user's account.  They can't log in anymore, and every access
+   * token issued to them is revoked.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {StormpathUser} user The updated user.
+   */
+  StormpathUser.prototype.disable = function(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    this.updateAttributes({status: 'DISABLED'}, options || {}, callback);
+  };
+
+  /**
+   * Force this user to reset their password: every access token issued to
+   * them is revoked, they're emailed a password reset link, and logging in
+   * with their password fails with a `PASSWORD_RESET_REQUIRED` error until
+   * they've used it (see `setPassword()`).
+   *
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.prototype.forcePasswordReset = function(options, callback) {
+    var user = this;
+    var Model = user.constructor;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    Model.getAccount(user.id, {expand: 'customData'}, function(err, account) {
+      if (err) return callback(err);
+
+      account.customData[PASSWORD_RESET_REQUIRED] = true;
+      account.customData.save(function(err) {
+        if (err) return callback(err);
+
+        debug('Forced a password reset of %s', account.href);
+        user.revokeAccessTokens(function(err) {
+          if (err) return callback(err);
+
+          Model.resetPassword({email: account.email}, options, callback);
+        });
+      });
+    });
+  };
+
+  /*!
+   * Build the error returned when an impersonation token is used for
+   * something impersonators can't do.
+   *
+   * @param {String} message The error message.
+   * @return {Error}
+   */
+  function impersonationNotAllowedError(message) {
+    var err = new Error(message);
+    err.statusCode = 403;
+    err.code = 'IMPERSONATION_NOT_ALLOWED';
+
+    return err;
+  }
+
+  /*!
+   * Declare the `impersonatorId` of impersonation tokens on the access token
+   * model, so that models with a fixed schema don't drop it, and return the
+   * access token model.
+   */
+  function declareImpersonatorId(Model) {
+    var relation = Model.relations && Model.relations.accessTokens;
+    var AccessToken = relation && relation.modelTo;
+
+    if (AccessToken && typeof AccessToken.defineProperty === 'function' &&
+        !AccessToken.definition.properties.impersonatorId) {
+      AccessToken.defineProperty('impersonatorId', {type: 'string', index: true});
+    }
+
+    return AccessToken;
+  }
+
+  /**
+   * Issue a short-lived access token for this user to an admin, so they can
+   * see the app the way the user does.  The token lasts for the model's
+   * `impersonationTTL` setting, and records the admin's ID as its
+   * `impersonatorId`.  Audit events of requests made with it hold the
+   * `impersonatorId` too, on top of the `impersonate` event emitted now.
+   *
+   * Users in the `adminRole` group can't be impersonated, and impersonation
+   * tokens can't impersonate anyone, nor manage the user's credentials or
+   * factors.  Access token models which don't store the `impersonatorId`
+   * fail with an `IMPERSONATION_NOT_SUPPORTED` error.
+   *
+   * ```js
+   *    user.impersonate({accessToken: adminToken}, function(err, token) {
+   *      console.log(token.id, token.impersonatorId);
+   *    });
+   * ```
+   *
+   * @param {Object} options
+   * @param {AccessToken} options.accessToken The admin's access token.
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {AccessToken} token The impersonation token.
+   */
+  StormpathUser.prototype.impersonate = function(options, callback) {
+    var user = this;
+    var Model = user.constructor;
+    var AccessToken = declareImpersonatorId(Model);
+    var impersonatorId = options && options.accessToken && options.accessToken.userId;
+    var err;
+
+    if (!impersonatorId) {
+      err = new Error('impersonating a user takes an admin\'s access token');
+      err.statusCode = 401;
+      err.code = 'AUTHORIZATION_REQUIRED';
+    } else if (options.accessToken.impersonatorId) {
+      err = impersonationNotAllowedError('impersonation tokens can\'t impersonate other users');
+    }
+
+    if (err) {
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    impersonatorId = String(impersonatorId);
+
+    Model.getGroupNames(user.id, function(err, names) {
+      if (err) return callback(err);
+
+      if (names.indexOf(Model.settings.adminRole) !== -1) {
+        return callback(impersonationNotAllowedError('admins can\'t be impersonated'));
+      }
+
+      user.accessTokens.create({
+        ttl: Math.min(Model.settings.impersonationTTL, Model.settings.maxTTL),
+        impersonatorId: impersonatorId
+      }, function(err, token) {
+        if (err) return callback(err);
+
+        // A token which lost its `impersonatorId` would pass for a login of
+        // the user, so make sure it's stored.
+        AccessToken.findById(token.id, function(err, stored) {
+          if (err) return callback(err);
+
+          if (!stored || stored.impersonatorId !== impersonatorId) {
+            return token.destroy(function() {
+              err = new Error('the AccessToken model does not store the impersonatorId property');
+              err.statusCode = 500;
+              err.code = 'IMPERSONATION_NOT_SUPPORTED';
+
+              callback(err);
+            });
+          }
+
+          debug('User %s impersonates %s', impersonatorId, user.id);
+          Model.emitAuditEvent('impersonate', user.id, {
+            ip: options.ip,
+            userAgent: options.userAgent,
+            impersonatorId: impersonatorId
+          }, {ttl: token.ttl});
+
+          callback(null, token);
+        });
+      });
+    });
+  };
+
+  /*!
+   * Run one of the registration hooks of the model's `registration` setting,
+   * if set.
+   */
+  function runRegistrationHook(hook, value, options, callback) {
+    if (!hook) {
+      return process.nextTick(function() {
+        callback(null);
+      });
+    }
+
+    hook(value, options, function(err) {
+      callback(err || null);
+    });
+  }
+
+  /**
+   * Register a new user, the way the model's `registration` setting says:
+   *
+   * - `email` and `password` are always required, and so are `givenName` and
+   *   `surname` unless their `fields` settings say otherwise, in which case
+   *   they get a placeholder (Stormpath requires them).  Missing fields fail
+   *   with a `FIELDS_REQUIRED` error listing them in `fields`.
+   * - Registration `fields` which aren't user properties are stored in the
+   *   user's customData.  Fields which are neither are dropped, so users
+   *   can't set their own `status`.
+   * - The password is checked against the `passwordPolicy` setting, which
+   *   should match the Directory's, failing with an `INVALID_PASSWORD` error.
+   * - `preRegistration(data, options, cb)` gets the user data before the
+   *   user is created, and can change it or reject it with an error.
+   *   `postRegistration(user, options, cb)` gets the new user.
+   * - With `autoLogin` on, users who don't have to verify their email are
+   *   logged in right away, see `login()`.
+   *
+   * ```js
+   *    StormpathUser.register({email: 'bob@example.com', password: 'Passw0rd', company: 'Acme'},
+   *      function(err, result) {
+   *        console.log(result.user.customData.company, result.accessToken);
+   *      });
+   * ```
+   *
+   * @param {Object} data The registration data.
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} result `{user, accessToken}`, the access token being
+   *   `null` unless the user was logged in.  It's an `{mfaChallenge}` object
+   *   for users who have to use a second factor.
+   */
+  StormpathUser.register = function(data, options, callback) {
+    var self = this;
+    var settings = self.settings.registration;
+    var err;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    data = data || {};
+    options = options || {};
+
+    var missing = registration.missingFields(data, settings);
+    var problems = missing.indexOf('password') === -1 ?
+      registration.passwordProblems(data.password, settings.passwordPolicy) : [];
+
+    if (missing.length) {
+      err = new Error('These fields are required: ' + missing.join(', '));
+      err.statusCode = 422;
+      err.code = 'FIELDS_REQUIRED';
+      err.fields = missing;
+    } else if (problems.length) {
+      err = new Error('The password needs ' + problems.join(', '));
+      err.statusCode = 422;
+      err.code = 'INVALID_PASSWORD';
+      err.requirements = problems;
+    }
+
+    if (err) {
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    var userData = registration.userData(data, settings);
+
+    runRegistrationHook(settings.preRegistration, userData, options, function(err) {
+      if (err) return callback(err);
+
+      self.create(userData, options, function(err, created) {
+        if (err) return callback(err);
+
+        // Stormpath decides the status (`UNVERIFIED` when the Directory
+        // verifies emails), which only the stored account holds.
+        self.findById(created.id, function(err, user) {
+          if (err) return callback(err);
+
+          runRegistrationHook(settings.postRegistration, user, options, function(err) {
+            if (err) return callback(err);
+
+            if (!settings.autoLogin || user.status !== 'ENABLED') {
+              return callback(null, {user: user, accessToken: null});
+            }
+
+            self.login({
+              email: userData.email,
+              password: userData.password,
+              realm: userData.realm
+            }, null, options, function(err, token) {
+              if (err) return callback(err);
+              callback(null, {user: user, accessToken: token});
+            });
+          });
+        });
+      });
+    });
+  };
+
+  /**
+   * Login a user by with the given `credentials`.
+   *
+   * ```js
+   *    StormpathUser.login({username: 'foo', password: 'bar'}, function(err, token) {
+   *      console.log(token.id);
+   *    });
+   * ```
+   *
+   * See `authenticateCredentials()` for logging in to a realm, and for
+   * lockouts.
+   *
+   * Users who have to use a second factor (see `requiresMfa()`) get an
+   * `{mfaChallenge}` object instead of an access token, to complete with
+   * `verifyChallenge()`.  Their `credentials` can name the `factorId` to use.
+   *
+   * @param {Object} credentials username/password or email/password
+   * @param {String[]|String} [include] Optionally set it to "user" to include
+   * the user info
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the attempt comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback Callback function
+   * @param {Error} err Error object
+   * @param {AccessToken} token Access token if login is successful
+   */
+  StormpathUser.login = function(credentials, include, options, callback) {
+    var self = this;
+
+    if (typeof include === 'function') {
+      callback = include;
+      include = undefined;
+    } else if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    credentials = credentials || {};
+
+    self.authenticateCredentials(credentials, options, function(err, account) {
+      if (err) return callback(err);
+      completeLogin(self, account, credentials, include, options, {method: 'password'}, callback);
+    });
+  };
+
+  /*!
+   * Issue an access token to the owner of the given, freshly authenticated,
+   * account.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Account} account The Stormpath Account object.
+   * @param {Object} credentials The login credentials, eg: holding a `ttl`.
+   * @param {String[]|String} include Set to "user" to include the user info.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {AccessToken} token
+   */
+  function createLoginToken(Model, account, credentials, include, callback) {
+    var user = new Model(accountToData(account));
+
+    include = (include || '');
+    if (Array.isArray(include)) {
+      include = include.map(function(val) {
+        return val.toLowerCase();
+      });
+    } else {
+      include = include.toLowerCase();
+    }
+
+    function tokenHandler(err, token) {
+      if (err) return callback(err);
+
+      if (Array.isArray(include) ? include.indexOf('user') !== -1 : include === 'user') {
+        // NOTE(bajtos) We can't set token.user here:
+        //  1. token.user already exists, it's a function injected by
+        //     "AccessToken belongsTo StormpathUser" relation
+        //  2. ModelBaseClass.toJSON() ignores own properties, thus
+        //     the value won't be included in the HTTP response
+        // See also loopback#161 and loopback#162
+        token.__data.user = user;
+      }
+
+      callback(err, token);
+    }
+
+    if (user.createAccessToken.length === 2) {
+      user.createAccessToken(credentials.ttl, tokenHandler);
+    } else {
+      user.createAccessToken(credentials.ttl, credentials, tokenHandler);
+    }
+  }
+
+  /*!
+   * Issue an access token to the owner of the given, freshly authenticated,
+   * account, or an MFA challenge when they need one.  Emits a `login` audit
+   * event once the token is issued.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Account} account The Stormpath Account object.
+   * @param {Object} credentials The login credentials.
+   * @param {String[]|String} include Set to "user" to include the user info.
+   * @param {Object} options The options of the login, eg: its `ip`.
+   * @param {Object} data The details of the `login` audit event.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {AccessToken|Object} token The access token, or `{mfaChallenge}`.
+   */
+  function completeLogin(Model, account, credentials, include, options, data, callback) {
+    startChallenge(Model, account, credentials, function(err, challenge) {
+      if (err) return callback(err);
+
+      if (challenge) {
+        debug('Login of %s waits for an MFA challenge', account.href);
+        return callback(null, {mfaChallenge: challenge});
+      }
+
+      createLoginToken(Model, account, credentials, include, function(err, token) {
+        if (err) return callback(err);
+
+        Model.emitAuditEvent('login', account, options, data);
+        callback(null, token);
+      });
+    });
+  }
+
+  /**
+   * Login a user with a social provider (Google, Facebook, GitHub or
+   * LinkedIn), given the access token or authorization code the provider
+   * handed out.  Stormpath exchanges it through the application's directory
+   * for that provider, and creates the user's account on their first login.
+   *
+   * ```js
+   *    StormpathUser.loginWithProvider({providerId: 'github', accessToken: '...'}, function(err, token) {
+   *      console.log(token.id);
+   *    });
+   * ```
+   *
+   * @param {Object} credentials `providerId`, and either `accessToken` or
+   *   `code`.  Google and LinkedIn accept both, Facebook and GitHub only
+   *   access tokens.
+   * @param {String[]|String} [include] Optionally set it to "user" to include
+   *   the user info
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the attempt comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback Callback function
+   * @param {Error} err Error object
+   * @param {AccessToken} token Access token if login is successful
+   */
+  StormpathUser.loginWithProvider = function(credentials, include, options, callback) {
+    var self = this;
+    var err;
+
+    if (typeof include === 'function') {
+      callback = include;
+      include = undefined;
+    } else if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    credentials = credentials || {};
+
+    var providerId = String(credentials.providerId || '').toLowerCase();
+
+    if (SOCIAL_PROVIDERS.indexOf(providerId) === -1) {
+      err = new Error('providerId must be one of ' + SOCIAL_PROVIDERS.join(', '));
+      err.statusCode = 400;
+      err.code = 'INVALID_PROVIDER';
+    } else if (!credentials.accessToken && !credentials.code) {
+      err = new Error('accessToken or code is required');
+      err.statusCode = 400;
+      err.code = 'PROVIDER_TOKEN_REQUIRED';
+    }
+
+    if (err) {
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    var providerData = { providerId: providerId };
+    if (credentials.accessToken) {
+      providerData.accessToken = credentials.accessToken;
+    } else {
+      providerData.code = credentials.code;
+    }
+
+    self.getApplication(function(err, application) {
+      if (err) return callback(err);
+
+      application.getAccount({providerData: providerData}, {expand: 'providerData'}, function(err, result) {
+        // Stormpath rejects tokens the provider doesn't accept with a 4xx
+        // status, anything else isn't the user's fault.
+        if (err && err.status >= 400 && err.status < 500) {
+          debug('%s login failed: %s', providerId, err.userMessage || err.message);
+
+          err = new Error('login failed');
+          err.statusCode = 401;
+          err.code = 'LOGIN_FAILED';
+
+          self.emitAuditEvent('loginFailed', null, options, {
+            method: 'provider',
+            providerId: providerId,
+            code: err.code
+          });
+
+          return callback(err);
+        } else if (err) {
+          return callback(err);
+        }
+
+        if (result.account.status !== 'ENABLED') {
+          err = new Error('login failed');
+          err.statusCode = 401;
+          err.code = 'LOGIN_FAILED';
+
+          self.emitAuditEvent('loginFailed', result.account, options, {
+            method: 'provider',
+            providerId: providerId,
+            code: err.code
+          });
+
+          return callback(err);
+        }
+
+        if (result.created) {
+          debug('Created account %s on its first %s login', result.account.href, providerId);
+          self.emitAuditEvent('register', result.account, options, {providerId: providerId});
+        }
+
+        completeLogin(self, result.account, credentials, include, options,
+          {method: 'provider', providerId: providerId}, callback);
+      });
+    });
+  };
+
+  /**
+   * Logout a user with the given accessToken id.
+   *
+   * ```js
+   *    StormpathUser.logout('asd0a9f8dsj9s0s3223mk', function (err) {
+   *      console.log(err || 'Logged out');
+   *    });
+   * ```
+   *
+   * @param {String} accessTokenID
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.logout = function(tokenId, options, callback) {
+    var self = this;
+    var err;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    if (!tokenId) {
+      err = new Error('accessToken is required to logout');
+      err.statusCode = 401;
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    if (oauth.isJwt(tokenId)) {
+      return self.revokeOAuthToken(tokenId, options, callback);
+    }
+
+    self.relations.accessTokens.modelTo.findById(tokenId, function(err, accessToken) {
+      if (err) {
+        callback(err);
+      } else if (accessToken) {
+        accessToken.destroy(function(err) {
+          if (err) return callback(err);
+
+          self.emitAuditEvent('logout', accessToken.userId, options);
+          callback(null);
+        });
+      } else {
+        err = new Error('could not find accessToken');
+        err.statusCode = 401;
+        callback(err);
+      }
+    });
+  };
+
+  /**
+   * Revoke every access token issued to the user with the given id, logging
+   * them out of all of their sessions.
+   *
+   * ```js
+   *    StormpathUser.revokeAccessTokens('4Wc9UfTBNv6TmYDqy3Mszk', function(err, info) {
+   *      console.log(err || info.count + ' sessions revoked');
+   *    });
+   * ```
+   *
+   * @param {String} userId The user ID.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} info The result of the delete, `info.count` holds the
+   *   number of tokens revoked.  The user's OAuth tokens are revoked too, but
+   *   not counted, see `validateOAuthToken()`.
+   */
+  StormpathUser.revokeAccessTokens = function(userId, callback) {
+    var AccessToken = this.relations.accessTokens.modelTo;
+
+    revokeOAuthTokens(this, userId, function(err) {
+      if (err) return callback(err);
+
+      // Apps only using OAuth tokens don't need an AccessToken datasource.
+      if (!AccessToken.dataSource) return callback(null, {count: 0});
+
+      AccessToken.destroyAll({userId: userId}, callback);
+    });
+  };
+
+  /**
+   * Revoke every access token issued to this user.
+   *
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} info The result of the delete.
+   */
+  StormpathUser.prototype.revokeAccessTokens = function(callback) {
+    this.constructor.revokeAccessTokens(this.id, callback);
+  };
+
+  /**
+   * Logout the owner of the given accessToken id from all of their sessions.
+   *
+   * @param {String} accessTokenID
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} info The result of the delete.
+   */
+  StormpathUser.logoutAll = function(tokenId, options, callback) {
+    var self = this;
+    var err;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    function revoke(userId) {
+      self.revokeAccessTokens(userId, function(err, info) {
+        if (err) return callback(err);
+
+        self.emitAuditEvent('logout', userId, options, {all: true});
+        callback(null, info);
+      });
+    }
+
+    if (!tokenId) {
+      err = new Error('accessToken is required to logout');
+      err.statusCode = 401;
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    if (oauth.isJwt(tokenId)) {
+      var claims = self.verifyOAuthToken(tokenId);
+
+      if (!claims) {
+        err = new Error('invalid accessToken');
+        err.statusCode = 401;
+
+        return process.nextTick(function() {
+          callback(err);
+        });
+      }
+
+      return revoke(claims.sub);
+    }
+
+    self.relations.accessTokens.modelTo.findById(tokenId, function(err, accessToken) {
+      if (err) {
+        callback(err);
+      } else if (accessToken) {
+        revoke(accessToken.userId);
+      } else {
+        err = new Error('could not find accessToken');
+        err.statusCode = 401;
+        callback(err);
+      }
+    });
+  };
+
+  /*!
+   * Read the OAuth settings of the given model, with their defaults.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @return {Object} `{secret: String, accessTokenTTL: Number, refreshTokenTTL: Number}`
+   */
+  function oauthSettings(Model) {
+    var settings = Model.settings.oauth || {};
+    var dataSource = Model.getDataSource();
+
+    return {
+      secret: settings.secret || (dataSource && dataSource.settings.apiKeySecret),
+      accessTokenTTL: settings.accessTokenTTL || DEFAULT_OAUTH_ACCESS_TOKEN_TTL,
+      refreshTokenTTL: settings.refreshTokenTTL || DEFAULT_OAUTH_REFRESH_TOKEN_TTL
+    };
+  }
+
+  /*!
+   * Build the error returned for a refresh token which can't be used.
+   *
+   * @return {Error}
+   */
+  function invalidRefreshTokenError() {
+    var err = new Error('Invalid refresh token');
+    err.statusCode = 400;
+    err.code = 'INVALID_REFRESH_TOKEN';
+
+    return err;
+  }
+
+  /*!
+   * Update the refresh tokens recorded in the customData of the given
+   * account, dropping the expired ones along the way.
+   *
+   * @param {Account} account The Stormpath Account object, with its customData
+   *   expanded.
+   * @param {Function} update Called with the `{id: expiry}` refresh tokens to
+   *   update.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  function updateRefreshTokens(account, update, callback) {
+    var now = Math.floor(Date.now() / 1000);
+    var tokens = {};
+
+    Object.keys(account.customData[REFRESH_TOKENS] || {}).forEach(function(id) {
+      if (account.customData[REFRESH_TOKENS][id] > now) {
+        tokens[id] = account.customData[REFRESH_TOKENS][id];
+      }
+    });
+
+    update(tokens);
+
+    account.customData[REFRESH_TOKENS] = tokens;
+    account.customData.save(function(err) {
+      callback(err || null);
+    });
+  }
+
+  /*!
+   * Revoke every OAuth token issued to the user with the given id so far:
+   * their refresh tokens are forgotten, and their access tokens rejected.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {String} userId The user ID.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  function revokeOAuthTokens(Model, userId, callback) {
+    if (!Model.settings.oauth) {
+      return process.nextTick(function() {
+        callback(null);
+      });
+    }
+
+    Model.getAccount(userId, {expand: 'customData'}, function(err, account) {
+      if (err && err.status === 404) return callback(null);
+      if (err) return callback(err);
+
+      if (account.customData[REFRESH_TOKENS]) {
+        account.customData.remove(REFRESH_TOKENS);
+      }
+
+      account.customData[OAUTH_TOKENS_VALID_AFTER] = Math.floor(Date.now() / 1000);
+      account.customData.save(function(err) {
+        callback(err || null);
+      });
+    });
+  }
+
+  /*!
+   * Issue a new OAuth access token and refresh token to the owner of the given
+   * account.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Account} account The Stormpath Account object, with its customData
+   *   expanded.
+   * @param {String} [replaces] The ID of the refresh token the new one
+   *   replaces, which can't be used anymore.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} tokens The OAuth token response.
+   */
+  function issueOAuthTokens(Model, account, replaces, callback) {
+    var settings = oauthSettings(Model);
+    var now = Math.floor(Date.now() / 1000);
+    var userId = hrefToId(account.href);
+
+    var refreshClaims = {
+      jti: crypto.randomBytes(16).toString('hex'),
+      iat: now,
+      exp: now + settings.refreshTokenTTL,
+      sub: userId,
+      stt: 'refresh'
+    };
+
+    updateRefreshTokens(account, function(tokens) {
+      delete tokens[replaces];
+      tokens[refreshClaims.jti] = refreshClaims.exp;
+    }, function(err) {
+      if (err) return callback(err);
+
+      var response = issueOAuthAccessToken(Model, userId, refreshClaims.jti);
+      response.refresh_token = oauth.sign(refreshClaims, settings.secret);
+
+      callback(null, response);
+    });
+  }
+
+  /*!
+   * Issue a new OAuth access token to the user with the given id.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {String} userId The user ID.
+   * @param {String} [refreshTokenId] The ID of the refresh token issued along.
+   * @return {Object} The OAuth token response.
+   */
+  function issueOAuthAccessToken(Model, userId, refreshTokenId) {
+    var settings = oauthSettings(Model);
+    var now = Math.floor(Date.now() / 1000);
+
+    var claims = {
+      jti: crypto.randomBytes(16).toString('hex'),
+      iat: now,
+      exp: now + settings.accessTokenTTL,
+      sub: userId,
+      stt: 'access'
+    };
+
+    if (refreshTokenId) {
+      claims.rti = refreshTokenId;
+    }
+
+    return {
+      access_token: oauth.sign(claims, settings.secret),
+      token_type: 'Bearer',
+      expires_in: settings.accessTokenTTL
+    };
+  }
+
+  /**
+   * Issue a new OAuth access token (a signed JWT) and refresh token to the user
+   * with the given id.
+   *
+   * @param {String|Account} user The user ID, or their Stormpath Account.
+   * @param {Object} [options]
+   * @param {Boolean} [options.refreshToken] Set to `false` to only issue an
+   *   access token.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} tokens The OAuth token response: `access_token`,
+   *   `token_type`, `expires_in` and `refresh_token`.
+   */
+  StormpathUser.createOAuthTokens = function(user, options, callback) {
+    var self = this;
+    var userId = typeof user === 'string' ? user : hrefToId(user.href);
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    options = options || {};
+
+    if (!oauthSettings(self).secret) {
+      var err = new Error('No secret to sign OAuth tokens with');
+      err.statusCode = 500;
+      err.code = 'OAUTH_SECRET_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    if (options.refreshToken === false) {
+      return process.nextTick(function() {
+        callback(null, issueOAuthAccessToken(self, userId));
+      });
+    }
+
+    self.getAccount(userId, {expand: 'customData'}, function(err, account) {
+      if (err) return callback(err);
+      issueOAuthTokens(self, account, null, callback);
+    });
+  };
+
+  /**
+   * Verify the given OAuth access token, without any call to Stormpath: the
+   * token may have been revoked since, see `validateOAuthToken()`.
+   *
+   * @param {String} token The access token.
+   * @return {Object} The token's JWT claims, `sub` being the user ID, or
+   *   `null` if the token is invalid or expired.
+   */
+  StormpathUser.verifyOAuthToken = function(token) {
+    var claims = oauth.verify(token, oauthSettings(this).secret);
+    return claims && claims.stt === 'access' ? claims : null;
+  };
+
+  /**
+   * Verify the given OAuth access token, the way `verifyOAuthToken()` does,
+   * and check that its user is still enabled, and hasn't had their tokens
+   * revoked since it was issued (see `revokeAccessTokens()`), as happens when
+   * they change their password.  That takes the user's account, which the
+   * datasource's `cache` saves calling Stormpath for.
+   *
+   * @param {String} token The access token.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} claims The token's JWT claims, `sub` being the user ID,
+   *   or `null` if the token is invalid, expired or revoked.
+   */
+  StormpathUser.validateOAuthToken = function(token, callback) {
+    var claims = this.verifyOAuthToken(token);
+
+    if (!claims) {
+      return process.nextTick(function() {
+        callback(null, null);
+      });
+    }
+
+    this.getAccount(claims.sub, {expand: 'customData'}, function(err, account) {
+      if (err && err.status === 404) return callback(null, null);
+      if (err) return callback(err);
+
+      if (account.status !== 'ENABLED' || claims.iat < (account.customData[OAUTH_TOKENS_VALID_AFTER] || 0)) {
+        debug('Revoked OAuth access token of %s', account.href);
+        return callback(null, null);
+      }
+
+      callback(null, claims);
+    });
+  };
+
+  /**
+   * Exchange the given OAuth refresh token for a new access token and refresh
+   * token.  Refresh tokens can only be used once: using one again revokes all
+   * of the user's refresh tokens, as it's likely to have been stolen.
+   *
+   * @param {String} refreshToken The refresh token.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} tokens The OAuth token response.
+   */
+  StormpathUser.refreshOAuthTokens = function(refreshToken, callback) {
+    var self = this;
+    var err;
+
+    if (!refreshToken) {
+      err = new Error('refresh_token is required');
+      err.statusCode = 400;
+      err.code = 'REFRESH_TOKEN_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    var claims = oauth.verify(refreshToken, oauthSettings(self).secret);
+
+    if (!claims || claims.stt !== 'refresh') {
+      return process.nextTick(function() {
+        callback(invalidRefreshTokenError());
+      });
+    }
+
+    self.getAccount(claims.sub, {expand: 'customData'}, function(err, account) {
+      if (err && err.status === 404) return callback(invalidRefreshTokenError());
+      if (err) return callback(err);
+
+      if (account.status !== 'ENABLED') {
+        return callback(invalidRefreshTokenError());
+      }
+
+      if (!(account.customData[REFRESH_TOKENS] || {})[claims.jti]) {
+        debug('Refresh token %s of user %s was used again, revoking them all', claims.jti, claims.sub);
+
+        return self.revokeAccessTokens(claims.sub, function(err) {
+          callback(err || invalidRefreshTokenError());
+        });
+      }
+
+      issueOAuthTokens(self, account, claims.jti, callback);
+    });
+  };
+
+  /**
+   * Revoke the given OAuth refresh token, or the refresh token the given
+   * access token was issued with.  Access tokens are never looked up, so they
+   * stay valid until they expire.  Revoking a refresh token emits a `logout`
+   * audit event.
+   *
+   * @param {String} token The access token or refresh token.
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.revokeOAuthToken = function(token, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    var claims = oauth.verify(token, oauthSettings(self).secret, true);
+    var refreshTokenId = claims && (claims.stt === 'refresh' ? claims.jti : claims.rti);
+
+    if (!refreshTokenId) {
+      return process.nextTick(function() {
+        callback(null);
+      });
+    }
+
+    self.getAccount(claims.sub, {expand: 'customData'}, function(err, account) {
+      if (err && err.status === 404) return callback(null);
+      if (err) return callback(err);
+
+      updateRefreshTokens(account, function(tokens) {
+        delete tokens[refreshTokenId];
+      }, function(err) {
+        if (err) return callback(err);
+
+        self.emitAuditEvent('logout', account, options, {oauth: true});
+        callback(null);
+      });
+    });
+  };
+
+  /*!
+   * Convert a Stormpath ApiKey into what we hand out to its owner.
+   *
+   * @param {ApiKey} apiKey The Stormpath ApiKey object.
+   * @param {Boolean} [withSecret] Include the secret, which is only handed out
+   *   when the key is created.
+   * @return {Object} `{id: String, status: String, secret: String}`
+   */
+  function apiKeyToData(apiKey, withSecret) {
+    var data = {
+      id: apiKey.id,
+      status: apiKey.status
+    };
+
+    if (withSecret) {
+      data.secret = apiKey.secret;
+    }
+
+    return data;
+  }
+
+  /*!
+   * Build the error returned for API key credentials which can't be used.
+   *
+   * @return {Error}
+   */
+  function invalidApiKeyError() {
+    var err = new Error('Invalid API key');
+    err.statusCode = 401;
+    err.code = 'INVALID_API_KEY';
+
+    return err;
+  }
+
+  /*!
+   * Build the error returned for logging out with API key credentials.
+   *
+   * @return {Error}
+   */
+  function apiKeyLogoutError() {
+    var err = new Error('API key credentials can\'t be logged out, revoke the key instead');
+    err.statusCode = 400;
+    err.code = 'API_KEY_LOGOUT';
+
+    return err;
+  }
+
+  /**
+   * Create a new API key for this user, for machine clients to authenticate
+   * as them with HTTP Basic or the OAuth `client_credentials` grant.  The
+   * secret is only ever handed out here.
+   *
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} apiKey `{id: String, secret: String, status: String}`
+   */
+  StormpathUser.prototype.createApiKey = function(callback) {
+    this.constructor.getAccount(this.id, function(err, account) {
+      if (err) return callback(err);
+
+      account.createApiKey(function(err, apiKey) {
+        if (err) return callback(err);
+        callback(null, apiKeyToData(apiKey, true));
+      });
+    });
+  };
+
+  /**
+   * List the API keys of this user, without their secrets.
+   *
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object[]} apiKeys `{id: String, status: String}` objects.
+   */
+  StormpathUser.prototype.listApiKeys = function(callback) {
+    this.constructor.getAccount(this.id, function(err, account) {
+      if (err) return callback(err);
+
+      account.getApiKeys(function(err, apiKeys) {
+        if (err) return callback(err);
+
+        var keys = [];
+        apiKeys.each(function(apiKey, cb) {
+          keys.push(apiKeyToData(apiKey));
+          cb();
+        }, function(err) {
+          if (err) return callback(err);
+          callback(null, keys);
+        });
+      });
+    });
+  };
+
+  /**
+   * Revoke one of this user's API keys, which can't be used anymore.
+   *
+   * @param {String} apiKeyId The API key ID.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.prototype.revokeApiKey = function(apiKeyId, callback) {
+    this.constructor.getAccount(this.id, function(err, account) {
+      if (err) return callback(err);
+
+      account.getApiKeys({id: apiKeyId}, function(err, apiKeys) {
+        if (err) return callback(err);
+
+        var apiKey = apiKeys.items && apiKeys.items[0];
+
+        if (!apiKey || apiKey.id !== apiKeyId) {
+          err = new Error('Unknown API key "' + apiKeyId + '"');
+          err.statusCode = 404;
+          err.code = 'API_KEY_NOT_FOUND';
+
+          return callback(err);
+        }
+
+        apiKey.delete(function(err) {
+          callback(err || null);
+        });
+      });
+    });
+  };
+
+  /**
+   * Authenticate the owner of the given API key.  Disabled keys, and keys of
+   * disabled accounts, are rejected.
+   *
+   * @param {String} apiKeyId The API key ID.
+   * @param {String} secret The API key secret.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Account} account The authenticated Stormpath Account object.
+   */
+  StormpathUser.authenticateApiKey = function(apiKeyId, secret, callback) {
+    var err;
+
+    if (!apiKeyId || !secret) {
+      err = new Error('An API key ID and secret are required');
+      err.statusCode = 401;
+      err.code = 'API_KEY_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    this.getApplication(function(err, application) {
+      if (err) return callback(err);
+
+      application.getApiKey(apiKeyId, function(err, apiKey) {
+        if (err && err.status === 404) return callback(invalidApiKeyError());
+        if (err) return callback(err);
+
+        if (!helpers.safeEqual(String(apiKey.secret), secret)) {
+          return callback(invalidApiKeyError());
+        }
+
+        if (apiKey.status !== 'ENABLED' || apiKey.account.status !== 'ENABLED') {
+          debug('API key %s or its account is disabled', apiKeyId);
+          return callback(invalidApiKeyError());
+        }
+
+        callback(null, apiKey.account);
+      });
+    });
+  };
+
+  /*!
+   * Build the error returned by MFA methods when the model's `mfa` setting is
+   * off.
+   *
+   * @return {Error}
+   */
+  function mfaDisabledError() {
+    var err = new Error('Multi-factor authentication is not enabled');
+    err.statusCode = 400;
+    err.code = 'MFA_NOT_ENABLED';
+
+    return err;
+  }
+
+  /*!
+   * Build the error returned for a wrong or reused MFA code.
+   *
+   * @return {Error}
+   */
+  function invalidMfaCodeError() {
+    var err = new Error('Invalid code');
+    err.statusCode = 401;
+    err.code = 'INVALID_MFA_CODE';
+
+    return err;
+  }
+
+  /*!
+   * Build the error returned for an MFA challenge without a factor yet.
+   *
+   * @return {Error}
+   */
+  function mfaEnrollmentRequiredError() {
+    var err = new Error('A factor must be enrolled first');
+    err.statusCode = 400;
+    err.code = 'MFA_ENROLLMENT_REQUIRED';
+
+    return err;
+  }
+
+  /*!
+   * Build the error returned for an unknown or expired MFA challenge.
+   *
+   * @return {Error}
+   */
+  function invalidChallengeError() {
+    var err = new Error('Invalid or expired challenge');
+    err.statusCode = 401;
+    err.code = 'INVALID_MFA_CHALLENGE';
+
+    return err;
+  }
+
+  /*!
+   * Build the error returned for an unknown factor.
+   *
+   * @param {String} factorId The factor ID.
+   * @return {Error}
+   */
+  function factorNotFoundError(factorId) {
+    var err = new Error('Unknown factor "' + factorId + '"');
+    err.statusCode = 404;
+    err.code = 'FACTOR_NOT_FOUND';
+
+    return err;
+  }
+
+  /*!
+   * Build the data of a factor handed out to clients, without its secrets.
+   *
+   * @param {Object} factor The factor, as recorded in customData.
+   * @param {Boolean} masked Whether to hide most of the phone number, for
+   *   users who haven't logged in yet.
+   * @return {Object}
+   */
+  function factorToData(factor, masked) {
+    var data = {
+      id: factor.id,
+      type: factor.type,
+      status: factor.status,
+      createdAt: new Date(factor.createdAt)
+    };
+
+    if (factor.phoneNumber) {
+      data.phoneNumber = masked ? mfa.maskPhoneNumber(factor.phoneNumber) : factor.phoneNumber;
+    }
+
+    return data;
+  }
+
+  /*!
+   * Find one of the factors of the given account.
+   *
+   * @param {Account} account The Stormpath Account object, with its customData
+   *   expanded.
+   * @param {String} factorId The factor ID.
+   * @return {Object} The factor, or `undefined`.
+   */
+  function findFactor(account, factorId) {
+    return (account.customData[MFA_FACTORS] || []).filter(function(factor) {
+      return factor.id === factorId;
+    })[0];
+  }
+
+  /*!
+   * Text a code to the given phone number, with the model's `mfa.sendSms`
+   * function.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {String} phoneNumber The phone number.
+   * @param {String} code The code.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  function sendSmsCode(Model, phoneNumber, code, callback) {
+    var sendSms = Model.settings.mfa.sendSms;
+
+    if (!sendSms) {
+      var err = new Error('The mfa.sendSms setting is required to send codes by SMS');
+      err.statusCode = 500;
+      err.code = 'SMS_NOT_CONFIGURED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    sendSms(phoneNumber, 'Your verification code is ' + code, function(err) {
+      callback(err || null);
+    });
+  }
+
+  /*!
+   * Add a new, unverified factor to the given account.  TOTP factors get a
+   * secret, SMS factors get a code texted to them.  The account's customData
+   * isn't saved.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Account} account The Stormpath Account object, with its customData
+   *   expanded.
+   * @param {Object} data `{type: 'totp'}` or `{type: 'sms', phoneNumber}`.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} factor The factor, as recorded in customData.
+   * @param {Object} result The factor's data, along with the `secret` and
+   *   `otpauthUri` of TOTP factors.
+   */
+  function addFactor(Model, account, data, callback) {
+    var err;
+
+    data = data || {};
+
+    if (mfa.FACTOR_TYPES.indexOf(data.type) === -1) {
+      err = new Error('type must be one of ' + mfa.FACTOR_TYPES.join(', '));
+      err.statusCode = 400;
+      err.code = 'INVALID_FACTOR_TYPE';
+    } else if (data.type === 'sms' && !/^\+?[0-9 ().-]{6,20}$/.test(data.phoneNumber || '')) {
+      err = new Error('A valid phoneNumber is required');
+      err.statusCode = 400;
+      err.code = 'PHONE_NUMBER_REQUIRED';
+    }
+
+    if (err) {
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    var factor = {
+      id: crypto.randomBytes(12).toString('hex'),
+      type: data.type,
+      status: 'UNVERIFIED',
+      createdAt: Date.now()
+    };
+    var result = factorToData(factor);
+
+    function recordFactor() {
+      account.customData[MFA_FACTORS] = (account.customData[MFA_FACTORS] || []).concat(factor);
+      callback(null, factor, result);
+    }
+
+    if (factor.type === 'totp') {
+      factor.secret = mfa.generateSecret();
+      result.secret = factor.secret;
+      result.otpauthUri = mfa.otpauthUri(factor.secret, account.email, Model.settings.mfa.issuer);
+
+      return process.nextTick(recordFactor);
+    }
+
+    var code = mfa.generateCode();
+
+    factor.phoneNumber = result.phoneNumber = data.phoneNumber;
+    factor.codeHash = mfa.hashCode(code, factor.id);
+    factor.codeExpiresAt = Date.now() + Model.settings.mfa.challengeTTL * 1000;
+
+    sendSmsCode(Model, factor.phoneNumber, code, function(err) {
+      if (err) return callback(err);
+      recordFactor();
+    });
+  }
+
+  /*!
+   * Check a code against a factor.  TOTP codes can only be used once.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Object} factor The factor, as recorded in customData.
+   * @param {String} code The code.
+   * @param {Object} pending The factor or challenge an SMS code was sent for.
+   * @return {Boolean}
+   */
+  function checkFactorCode(Model, factor, code, pending) {
+    var now = Date.now();
+
+    if (factor.type === 'sms') {
+      return !!pending.codeHash && pending.codeExpiresAt > now &&
+        helpers.safeEqual(mfa.hashCode(String(code || ''), factor.id), pending.codeHash);
+    }
+
+    var step = mfa.verifyTotp(factor.secret, code, Model.settings.mfa.window, now);
+
+    if (step === -1 || step <= (factor.lastStep || -1)) {
+      return false;
+    }
+
+    factor.lastStep = step;
+    return true;
+  }
+
+  /**
+   * Enroll a new factor for this user: a TOTP authenticator app, or a phone
+   * receiving codes by SMS.  The factor is only used once verified, see
+   * `verifyFactor()`.
+   *
+   * TOTP factors come with their `secret`, and an `otpauthUri` to show as a
+   * QR code for authenticator apps to scan.  They're only ever handed out
+   * here.
+   *
+   * @param {Object} data `{type: 'totp'}` or `{type: 'sms', phoneNumber}`.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} factor `{id, type, status, createdAt}`, and `secret` and
+   *   `otpauthUri` or `phoneNumber`.
+   */
+  StormpathUser.prototype.enrollFactor = function(data, callback) {
+    var Model = this.constructor;
+
+    if (!Model.settings.mfa) {
+      return process.nextTick(function() {
+        callback(mfaDisabledError());
+      });
+    }
+
+    Model.getAccount(this.id, {expand: 'customData'}, function(err, account) {
+      if (err) return callback(err);
+
+      addFactor(Model, account, data, function(err, factor, result) {
+        if (err) return callback(err);
+
+        account.customData.save(function(err) {
+          if (err) return callback(err);
+          callback(null, result);
+        });
+      });
+    });
+  };
+
+  /**
+   * Verify a newly enrolled factor with a code it generated or received, so
+   * that it's used from now on.
+   *
+   * @param {String} factorId The factor ID.
+   * @param {String} code The code.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} factor `{id, type, status, createdAt}`
+   */
+  StormpathUser.prototype.verifyFactor = function(factorId, code, callback) {
+    var Model = this.constructor;
+
+    if (!Model.settings.mfa) {
+      return process.nextTick(function() {
+        callback(mfaDisabledError());
+      });
+    }
+
+    Model.getAccount(this.id, {expand: 'customData'}, function(err, account) {
+      if (err) return callback(err);
+
+      var factor = findFactor(account, factorId);
+
+      if (!factor) {
+        return callback(factorNotFoundError(factorId));
+      }
+
+      if (!checkFactorCode(Model, factor, code, factor)) {
+        return callback(invalidMfaCodeError());
+      }
+
+      factor.status = 'VERIFIED';
+      delete factor.codeHash;
+      delete factor.codeExpiresAt;
+
+      account.customData.save(function(err) {
+        if (err) return callback(err);
+        callback(null, factorToData(factor));
+      });
+    });
+  };
+
+  /**
+   * List the factors of this user, without their secrets.
+   *
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object[]} factors `{id, type, status, createdAt}` objects, with
+   *   the `phoneNumber` of SMS factors.
+   */
+  StormpathUser.prototype.listFactors = function(callback) {
+    this.constructor.getAccount(this.id, {expand: 'customData'}, function(err, account) {
+      if (err) return callback(err);
+
+      callback(null, (account.customData[MFA_FACTORS] || []).map(function(factor) {
+        return factorToData(factor);
+      }));
+    });
+  };
+
+  /**
+   * Remove one of this user's factors.
+   *
+   * @param {String} factorId The factor ID.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.prototype.removeFactor = function(factorId, callback) {
+    this.constructor.getAccount(this.id, {expand: 'customData'}, function(err, account) {
+      if (err) return callback(err);
+
+      if (!findFactor(account, factorId)) {
+        return callback(factorNotFoundError(factorId));
+      }
+
+      account.customData[MFA_FACTORS] = account.customData[MFA_FACTORS].filter(function(factor) {
+        return factor.id !== factorId;
+      });
+
+      account.customData.save(function(err) {
+        callback(err || null);
+      });
+    });
+  };
+
+  /*!
+   * Retrieve the given account along with its customData, if its owner has to
+   * go through an MFA challenge to log in, see `requiresMfa()`.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Account} account The Stormpath Account object.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Account} account The Stormpath Account object, with its
+   *   customData expanded, or `null` if no challenge is needed.
+   */
+  function getMfaAccount(Model, account, callback) {
+    var options = Model.settings.mfa;
+    var userId = hrefToId(account.href);
+
+    if (!options) {
+      return process.nextTick(function() {
+        callback(null, null);
+      });
+    }
+
+    Model.getAccount(userId, {expand: 'customData'}, function(err, account) {
+      if (err) return callback(err);
+
+      var verified = (account.customData[MFA_FACTORS] || []).some(function(factor) {
+        return factor.status === 'VERIFIED';
+      });
+
+      if (verified || !options.requiredGroups.length) {
+        return callback(null, verified ? account : null);
+      }
+
+      Model.getGroupNames(userId, function(err, names) {
+        if (err) return callback(err);
+
+        callback(null, names.some(function(name) {
+          return options.requiredGroups.indexOf(name) !== -1;
+        }) ? account : null);
+      });
+    });
+  }
+
+  /**
+   * Check whether the owner of the given account has to go through an MFA
+   * challenge to log in: they have a verified factor, or they belong to one
+   * of the groups in the model's `mfa.requiredGroups` setting.
+   *
+   * @param {Account} account The Stormpath Account object.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Boolean} required
+   */
+  StormpathUser.requiresMfa = function(account, callback) {
+    getMfaAccount(this, account, function(err, account) {
+      callback(err || null, !!account);
+    });
+  };
+
+  /*!
+   * Start an MFA challenge for the owner of the given account, if they need
+   * one to log in, see `requiresMfa()`.  Users with a verified factor get a
+   * `PENDING` challenge, with a code texted to them for SMS factors.  Users
+   * without any get an `ENROLLMENT_REQUIRED` one, and need to enroll a factor
+   * with `enrollChallengeFactor()` first.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Account} account The Stormpath Account object.
+   * @param {Object} credentials The login credentials, eg: holding a `ttl`
+   *   or the `factorId` to use.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} challenge The challenge, or `null` if none is needed.
+   */
+  function startChallenge(Model, account, credentials, callback) {
+    getMfaAccount(Model, account, function(err, account) {
+      if (err || !account) return callback(err || null, null);
+
+      var now = Date.now();
+      var factors = (account.customData[MFA_FACTORS] || []).filter(function(factor) {
+        return factor.status === 'VERIFIED';
+      });
+      var factor = factors.filter(function(factor) {
+        return factor.id === credentials.factorId;
+      })[0] || factors[0];
+      var key = crypto.randomBytes(16).toString('hex');
+      var challenge = {
+        factorId: factor ? factor.id : null,
+        expiresAt: now + Model.settings.mfa.challengeTTL * 1000,
+        attempts: 0,
+        ttl: credentials.ttl
+      };
+      var challenges = {};
+
+      Object.keys(account.customData[MFA_CHALLENGES] || {}).forEach(function(key) {
+        if (account.customData[MFA_CHALLENGES][key].expiresAt > now) {
+          challenges[key] = account.customData[MFA_CHALLENGES][key];
+        }
+      });
+      challenges[key] = challenge;
+
+      function sendCode(callback) {
+        if (!(factor && factor.type === 'sms')) return callback(null);
+
+        var code = mfa.generateCode();
+        challenge.codeHash = mfa.hashCode(code, factor.id);
+        challenge.codeExpiresAt = challenge.expiresAt;
+        sendSmsCode(Model, factor.phoneNumber, code, callback);
+      }
+
+      sendCode(function(err) {
+        if (err) return callback(err);
+
+        account.customData[MFA_CHALLENGES] = challenges;
+        account.customData.save(function(err) {
+          if (err) return callback(err);
+
+          callback(null, {
+            id: hrefToId(account.href) + '.' + key,
+            status: factor ? 'PENDING' : 'ENROLLMENT_REQUIRED',
+            factor: factor ? factorToData(factor, true) : null,
+            factors: factors.map(function(factor) {
+              return factorToData(factor, true);
+            }),
+            expiresAt: new Date(challenge.expiresAt)
+          });
+        });
+      });
+    });
+  }
+
+  /*!
+   * Look up a pending MFA challenge, along with the Stormpath Account it
+   * belongs to.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {String} challengeId The challenge ID.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Account} account The Stormpath Account object, with its customData
+   *   expanded.
+   * @param {Object} challenge The challenge, as recorded in customData.
+   * @param {String} key The challenge's key in customData.
+   */
+  function getChallenge(Model, challengeId, callback) {
+    var parts = String(challengeId || '').split('.');
+
+    if (!Model.settings.mfa) {
+      return process.nextTick(function() {
+        callback(mfaDisabledError());
+      });
+    } else if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      return process.nextTick(function() {
+        callback(invalidChallengeError());
+      });
+    }
+
+    Model.getAccount(parts[0], {expand: 'customData'}, function(err, account) {
+      if (err && err.status >= 400 && err.status < 500) return callback(invalidChallengeError());
+      if (err) return callback(err);
+
+      var challenge = (account.customData[MFA_CHALLENGES] || {})[parts[1]];
+
+      if (!challenge || challenge.expiresAt <= Date.now() || account.status !== 'ENABLED') {
+        return callback(invalidChallengeError());
+      }
+
+      callback(null, account, challenge, parts[1]);
+    });
+  }
+
+  /**
+   * Enroll a factor for a user who has to use one to log in, but hasn't
+   * enrolled any yet: their login returned an `ENROLLMENT_REQUIRED`
+   * challenge.  The factor is verified along with the challenge, see
+   * `verifyChallenge()`.
+   *
+   * @param {Object} data `{challengeId, type: 'totp'}` or `{challengeId,
+   *   type: 'sms', phoneNumber}`.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} factor See `enrollFactor()`.
+   */
+  StormpathUser.enrollChallengeFactor = function(data, callback) {
+    var self = this;
+
+    data = data || {};
+
+    getChallenge(self, data.challengeId, function(err, account, challenge) {
+      if (err) return callback(err);
+
+      var enrolled = challenge.factorId && findFactor(account, challenge.factorId);
+
+      if (enrolled && enrolled.status === 'VERIFIED') {
+        err = new Error('The challenge is for an enrolled factor');
+        err.statusCode = 400;
+        err.code = 'FACTOR_ALREADY_ENROLLED';
+
+        return callback(err);
+      }
+
+      addFactor(self, account, data, function(err, factor, result) {
+        if (err) return callback(err);
+
+        challenge.factorId = factor.id;
+        challenge.codeHash = factor.codeHash;
+        challenge.codeExpiresAt = factor.codeExpiresAt;
+
+        account.customData.save(function(err) {
+          if (err) return callback(err);
+          callback(null, result);
+        });
+      });
+    });
+  };
+
+  /**
+   * Complete a login with the MFA challenge it returned, and a code from the
+   * challenge's factor.  A challenge only allows the model's
+   * `mfa.maxAttempts` wrong codes.  When the model's `lockout` setting is on,
+   * wrong codes are also counted as failed login attempts of the account,
+   * whose earlier failures are only forgotten once the code is right; codes
+   * for a locked out account are rejected with an `ACCOUNT_LOCKED` error.
+   *
+   * ```js
+   *    StormpathUser.login({email: 'foo@bar.com', password: 'bar'}, function(err, result) {
+   *      var challenge = result.mfaChallenge;
+   *      StormpathUser.verifyChallenge({challengeId: challenge.id, code: '123456'}, function(err, token) {
+   *        console.log(token.id);
+   *      });
+   *    });
+   * ```
+   *
+   * @param {Object} data `{challengeId, code}`
+   * @param {String[]|String} [include] Optionally set it to "user" to include
+   *   the user info
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the attempt comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {AccessToken} token Access token if the code is right.
+   */
+  StormpathUser.verifyChallenge = function(data, include, options, callback) {
+    var self = this;
+
+    if (typeof include === 'function') {
+      callback = include;
+      include = undefined;
+    } else if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    data = data || {};
+    options = options || {};
+
+    var lockoutOptions = self.settings.lockout;
+    var result = {};
+    var lockedErr = null;
+
+    function failed(account, factorId, err) {
+      self.emitAuditEvent('loginFailed', account, options, {
+        method: 'mfa',
+        factorId: factorId,
+        code: err.code
+      });
+
+      callback(err);
+    }
+
+    // Like password attempts, codes are counted as failures of the account
+    // before being checked, see `reserveLoginAttempt()`.
+    function reserveAttempt(account, callback) {
+      if (!lockoutOptions) return callback(null);
+
+      updateAccountLockout(self, hrefToId(account.href),
+        lockout.reserveAttempt(lockoutOptions.maxAttempts, lockoutOptions, result), callback);
+    }
+
+    function releaseAttempt(account, valid, callback) {
+      if (!lockoutOptions || !valid) return callback(null);
+
+      updateAccountLockout(self, hrefToId(account.href), lockout.clearAttempts(), function(err) {
+        callback(err || null);
+      });
+    }
+
+    getChallenge(self, data.challengeId, function(err, account, challenge) {
+      if (err) return callback(err);
+
+      if (!(challenge.factorId && findFactor(account, challenge.factorId))) {
+        return callback(mfaEnrollmentRequiredError());
+      }
+
+      reserveAttempt(account, function(err) {
+        if (err) return callback(err);
+
+        if (result.retryAfter) {
+          debug('MFA code for locked out account %s', account.href);
+          return failed(account, challenge.factorId, lockout.accountLockedError(result.retryAfter));
+        }
+
+        if (result.locked) {
+          lockedErr = lockout.accountLockedError(result.locked);
+        }
+
+        checkChallenge(self, data, function(err, account, factor, challenge, valid) {
+          if (err) return callback(err);
+
+          releaseAttempt(account, valid, function(err) {
+            if (err) return callback(err);
+            if (!valid) return failed(account, factor.id, lockedErr || invalidMfaCodeError());
+
+            createLoginToken(self, account, {ttl: challenge.ttl}, include, function(err, token) {
+              if (err) return callback(err);
+
+              self.emitAuditEvent('login', account, options, {method: 'mfa', factorId: factor.id});
+              callback(null, token);
+            });
+          });
+        });
+      });
+    });
+  };
+
+  /*!
+   * Check a code against an MFA challenge, counting wrong ones.  The
+   * challenge is read again and written one check at a time per account,
+   * which only holds within this process.
+   *
+   * @param {Function} Model The StormpathUser model.
+   * @param {Object} data `{challengeId, code}`
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Account} account The Stormpath Account object.
+   * @param {Object} factor The challenge's factor.
+   * @param {Object} challenge The challenge.
+   * @param {Boolean} valid Whether the code is right.
+   */
+  function checkChallenge(Model, data, callback) {
+    var userId = String(data.challengeId).split('.')[0];
+
+    lockout.serialize('account:' + userId, function(done) {
+      getChallenge(Model, data.challengeId, function(err, account, challenge, key) {
+        if (err) return done(err);
+
+        var factor = challenge.factorId && findFactor(account, challenge.factorId);
+
+        if (!factor) return done(mfaEnrollmentRequiredError());
+
+        var valid = checkFactorCode(Model, factor, data.code, challenge);
+
+        if (valid) {
+          factor.status = 'VERIFIED';
+          delete factor.codeHash;
+          delete factor.codeExpiresAt;
+          delete account.customData[MFA_CHALLENGES][key];
+        } else if (++challenge.attempts >= Model.settings.mfa.maxAttempts) {
+          debug('Too many wrong codes for MFA challenge of %s', account.href);
+          delete account.customData[MFA_CHALLENGES][key];
+        }
+
+        account.customData.save(function(err) {
+          done(err || null, account, factor, challenge, valid);
+        });
+      });
+    }, callback);
+  }
+
+  /*!
+   * Re-authenticate the given user against Stormpath with the given password.
+   * With `settings.lockout` on, the check counts towards the lockout of the
+   * user's account and of the IP address like a login does, or anyone holding
+   * an access token could guess the password.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the check comes from.
+   * @callback {Function} callback
+   * @param {Error} err `ACCOUNT_LOCKED` or `LOGIN_THROTTLED` when locked out.
+   * @param {Account} account The user's Stormpath Account object, or `null`
+   *   if the password doesn't match.
+   */
+  function authenticateUser(user, plain, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    var login = user.email || user.username;
+
+    if (!(login && plain)) {
+      return process.nextTick(function() {
+        callback(null, null);
+      });
+    }
+
+    var Model = user.constructor;
+
+    function authenticated(err, account) {
+      if (err && err.status >= 400 && err.status < 500) {
+        return callback(null, null);
+      } else if (err) {
+        return callback(err);
+      }
+
+      callback(null, hrefToId(account.href) === String(user.id) ? account : null);
+    }
+
+    Model.getApplication(function(err, application) {
+      if (err) return callback(err);
+
+      // Logins are only unique within a directory, so stick to the user's own.
+      var accountStore = user.directoryId ?
+        idToHref(application, 'directories', user.directoryId) : undefined;
+
+      if (!Model.settings.lockout) {
+        return Model.authenticate(login, plain, accountStore, authenticated);
+      }
+
+      reserveLoginAttempt(Model, accountStore, login, options && options.ip, function(err, lock) {
+        if (err) return callback(err);
+
+        Model.authenticate(login, plain, accountStore, function(err, account) {
+          // Wrong passwords keep the failure they were counted as.
+          if (err && err.status >= 400 && err.status < 500) {
+            return lock.lockedErr ? callback(lock.lockedErr) : authenticated(err);
+          }
+
+          releaseLoginAttempt(Model, lock, !err, function(releaseErr) {
+            authenticated(err || releaseErr, account);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Check the given `password` against the user's password in Stormpath.
+   *
+   * @param {String} password The plain text password
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Boolean} isMatch
+   */
+  StormpathUser.prototype.hasPassword = function(plain, callback) {
+    authenticateUser(this, plain, function(err, account) {
+      if (err) return callback(err);
+      callback(null, !!account);
+    });
+  };
+
+  /**
+   * Change this user's password.  The current password is checked against
+   * Stormpath first, counting as a login attempt towards `settings.lockout`,
+   * and every access token issued to the user is revoked once the new one is
+   * set.
+   *
+   * ```js
+   *    user.changePassword('old-pass', 'n3w-Pass!', function(err) {
+   *      console.log(err || 'Password changed');
+   *    });
+   * ```
+   *
+   * @param {String} oldPassword The current plain text password
+   * @param {String} newPassword The new plain text password
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.prototype.changePassword = function(oldPassword, newPassword, options, callback) {
+    var user = this;
+    var err;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    if (!newPassword) {
+      err = new Error('newPassword is required');
+      err.statusCode = 400;
+      err.code = 'PASSWORD_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    authenticateUser(user, oldPassword, options, function(err, account) {
+      if (err) return callback(err);
+
+      if (!account) {
+        err = new Error('Invalid current password');
+        err.statusCode = 400;
+        err.code = 'INVALID_CURRENT_PASSWORD';
+
+        return callback(err);
+      }
+
+      account.password = newPassword;
+      account.save(function(err) {
+        if (err) return callback(passwordPolicyError(err));
+
+        user.constructor.emitAuditEvent('passwordChange', account, options);
+
+        user.revokeAccessTokens(function(err) {
+          callback(err || null);
+        });
+      });
+    });
+  };
+
+  /*!
+   * Build the error returned when a user's own update touches fields they
+   * can't change, see `settings.profileFields`.
+   */
+  function fieldsNotEditableError(fields) {
+    var err = new Error('These fields can\'t be changed: ' + fields.join(', '));
+    err.statusCode = 400;
+    err.code = 'FIELDS_NOT_EDITABLE';
+    err.fields = fields;
+
+    return err;
+  }
+
+  /*!
+   * The fields of the given update which aren't among the fields users can
+   * change themselves.
+   */
+  function notEditableFields(Model, data) {
+    return Object.keys(data || {}).filter(function(key) {
+      return Model.settings.profileFields.indexOf(key) === -1;
+    });
+  }
+
+  /**
+   * Find the user with the given id, who's the one currently logged in when
+   * called remotely, as `GET /StormpathUsers/me`.
+   *
+   * @param {String} userId The user ID.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {StormpathUser} user
+   */
+  StormpathUser.findCurrent = function(userId, callback) {
+    var self = this;
+
+    self.findById(userId, function(err, user) {
+      if (err) return callback(err);
+
+      if (!user) {
+        err = new Error('Unknown "' + self.modelName + '" id "' + userId + '".');
+        err.statusCode = 404;
+        err.code = 'MODEL_NOT_FOUND';
+
+        return callback(err);
+      }
+
+      callback(null, user);
+    });
+  };
+
+  /**
+   * Update the profile of the user with the given id, who's the one currently
+   * logged in when called remotely, as `PATCH /StormpathUsers/me`.
+   *
+   * Only the fields listed in `settings.profileFields` can be changed, so
+   * users can't change their `status`, or their `email` without going through
+   * verification again.  Updates touching any other field fail with a
+   * `FIELDS_NOT_EDITABLE` error.
+   *
+   * ```js
+   *    StormpathUser.updateCurrent(userId, {givenName: 'Robert'}, function(err, user) {
+   *      console.log(user.givenName);
+   *    });
+   * ```
+   *
+   * @param {String} userId The user ID.
+   * @param {Object} data The fields to update.
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {StormpathUser} user The updated user.
+   */
+  StormpathUser.updateCurrent = function(userId, data, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    var fields = notEditableFields(this, data);
+
+    if (fields.length) {
+      return process.nextTick(function() {
+        callback(fieldsNotEditableError(fields));
+      });
+    }
+
+    this.findCurrent(userId, function(err, user) {
+      if (err) return callback(err);
+
+      user.updateAttributes(data || {}, options || {}, callback);
+    });
+  };
+
+  /**
+   * Delete the account of the user with the given id, who's the one currently
+   * logged in when called remotely, as `DELETE /StormpathUsers/me`.  Their
+   * password is checked against Stormpath first, the way `changePassword()`
+   * checks it, and every access token issued to them is revoked.
+   *
+   * ```js
+   *    StormpathUser.deleteCurrent(userId, 'pass', function(err) {
+   *      console.log(err || 'Account deleted');
+   *    });
+   * ```
+   *
+   * @param {String} userId The user ID.
+   * @param {String} password The user's plain text password.
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.deleteCurrent = function(userId, password, options, callback) {
+    var self = this;
+    var err;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    if (!password) {
+      err = new Error('password is required');
+      err.statusCode = 400;
+      err.code = 'PASSWORD_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    self.findCurrent(userId, function(err, user) {
+      if (err) return callback(err);
+
+      authenticateUser(user, password, options, function(err, account) {
+        if (err) return callback(err);
+
+        if (!account) {
+          err = new Error('Invalid current password');
+          err.statusCode = 400;
+          err.code = 'INVALID_CURRENT_PASSWORD';
+
+          return callback(err);
+        }
+
+        self.destroyById(user.id, options || {}, function(err) {
+          if (err) return callback(err);
+
+          debug('User %s deleted their account', user.id);
+          self.revokeAccessTokens(user.id, function(err) {
+            callback(err || null);
+          });
+        });
+      });
+    });
+  };
+
+  /**
+   * Export everything kept about the user with the given id, who's the one
+   * currently logged in when called remotely, as `GET
+   * /StormpathUsers/me/export`: their account, customData and group
+   * memberships.
+   *
+   * @param {String} userId The user ID.
+   * @callback {Function} callback
+   * @param {Error} err
+   * @param {Object} data `{account, customData, groupMemberships,
+   *   exportedAt}`, where each group membership holds its `group`.
+   */
+  StormpathUser.exportCurrent = function(userId, callback) {
+    var Membership = this.relations.groups.modelThrough;
+
+    this.findCurrent(userId, function(err, user) {
+      if (err) return callback(err);
+
+      user.groups(function(err, groups) {
+        if (err) return callback(err);
+
+        Membership.find({where: {userId: user.id}}, function(err, memberships) {
+          if (err) return callback(err);
+
+          var account = user.toJSON();
+          var customData = account.customData || {};
+          delete account.customData;
+
+          callback(null, {
+            account: account,
+            customData: customData,
+            groupMemberships: memberships.map(function(membership) {
+              var data = membership.toJSON();
+
+              data.group = groups.filter(function(group) {
+                return String(group.id) === String(membership.groupId);
+              }).map(function(group) {
+                return group.toJSON();
+              })[0] || null;
+
+              return data;
+            }),
+            exportedAt: new Date()
+          });
+        });
+      });
+    });
+  };
+
+  /**
+   * Ask Stormpath to (re)send the account verification email to this user.
+   * Stormpath only sends it while the account is `UNVERIFIED`, and the link in
+   * the email carries an `sptoken` which should be handed to `confirm()`.
+   *
+   * ```js
+   *    user.verify(function(err) {
+   *      console.log(err || 'Verification email sent');
+   *    });
+   * ```
+   *
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.prototype.verify = function(callback) {
+    var user = this;
+    var err;
+
+    if (user.status !== 'UNVERIFIED') {
+      err = new Error('StormpathUser is already verified: ' + user.id);
+      err.statusCode = 400;
+      err.code = 'USER_ALREADY_VERIFIED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    user.constructor.getApplication(function(err, application) {
+      if (err) return callback(err);
+
+      application.resendVerificationEmail({login: user.email}, function(err) {
+        callback(err || null);
+      });
+    });
+  };
+
+  /**
+   * Resend the account verification email for the unverified account with the
+   * given email address.
+   *
+   * To avoid leaking which email addresses have accounts, this succeeds
+   * whether or not a matching unverified account exists.
+   *
+   * @options {Object} options
+   * @prop {String} email The user's email address
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.resendVerificationEmail = function(options, callback) {
+    var err;
+
+    options = options || {};
+    if (typeof options.email !== 'string') {
+      err = new Error('email is required');
+      err.statusCode = 400;
+      err.code = 'EMAIL_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    this.getApplication(function(err, application) {
+      if (err) return callback(err);
+
+      application.resendVerificationEmail({login: options.email}, function(err) {
+        if (err && err.status >= 400 && err.status < 500) {
+          debug('Not sending a verification email to %s: %s', options.email, err.message);
+          err = null;
+        }
+
+        callback(err || null);
+      });
+    });
+  };
+
+  /**
+   * Confirm the user's identity using the `sptoken` Stormpath put into their
+   * verification email.  This marks their Stormpath Account as `ENABLED`.
+   *
+   * @param {String} sptoken The email verification token
+   * @param {String} redirect URL to redirect the user to once confirmed
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.confirm = function(sptoken, redirect, options, callback) {
+    var self = this;
+
+    if (typeof redirect === 'function') {
+      callback = redirect;
+      redirect = undefined;
+    } else if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    self.getApplication(function(err, application, client) {
+      if (err) return callback(err);
+
+      client.getCurrentTenant(function(err, tenant) {
+        if (err) return callback(err);
+
+        tenant.verifyAccountEmail(sptoken, function(err, account) {
+          if (err && err.status === 404) {
+            return callback(invalidTokenError(sptoken));
+          } else if (err) {
+            return callback(err);
+          }
+
+          self.emitAuditEvent('verify', account, options);
+          callback(null);
+        });
+      });
+    });
+  };
+
+  /**
+   * Start the Stormpath password reset workflow for the user with the given
+   * email address.  Stormpath emails them a link carrying an `sptoken`, which
+   * is later handed to `setPassword()`.
+   *
+   * To avoid leaking which email addresses have accounts, this succeeds
+   * whether or not a matching account exists.
+   *
+   * @options {Object} options
+   * @prop {String} email The user's email address
+   * @param {Object} [context]
+   * @param {String} [context.ip] The IP address the request comes from.
+   * @param {String} [context.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.resetPassword = function(options, context, callback) {
+    var self = this;
+    var err;
+
+    if (typeof context === 'function') {
+      callback = context;
+      context = undefined;
+    }
+
+    options = options || {};
+    if (typeof options.email !== 'string') {
+      err = new Error('email is required');
+      err.statusCode = 400;
+      err.code = 'EMAIL_REQUIRED';
+
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+
+    self.getApplication(function(err, application, client) {
+      if (err) return callback(err);
+
+      application.sendPasswordResetEmail(options.email, function(err, token) {
+        if (err && err.status >= 400 && err.status < 500) {
+          debug('Not sending a password reset email to %s: %s', options.email, err.message);
+          return callback();
+        } else if (err) {
+          return callback(err);
+        }
+
+        self.emitAuditEvent('passwordResetRequest', token.account.href, context);
+
+        // When the model has its own reset token TTL, remember when this reset
+        // was requested so we can enforce it once the token comes back.
+        if (!self.settings.resetPasswordTokenTTL) {
+          return callback();
+        }
+
+        client.getAccount(token.account.href, {expand: 'customData'}, function(err, account) {
+          if (err) return callback(err);
+
+          account.customData[RESET_REQUESTED_AT] = Date.now();
+          account.customData.save(function(err) {
+            callback(err || null);
+          });
+        });
+      });
+    });
+  };
+
+  /*!
+   * Look up the password reset token, along with the Stormpath Account it
+   * belongs to, making sure it is still valid.
+   */
+  function getPasswordResetAccount(Model, sptoken, callback) {
+    Model.getApplication(function(err, application, client) {
+      if (err) return callback(err);
+
+      application.verifyPasswordResetToken(sptoken, function(err, token) {
+        if (err && err.status === 404) {
+          return callback(invalidTokenError(sptoken));
+        } else if (err) {
+          return callback(err);
+        }
+
+        client.getAccount(token.account.href, {expand: 'customData'}, function(err, account) {
+          if (err) return callback(err);
+
+          var ttl = Model.settings.resetPasswordTokenTTL;
+          var requestedAt = account.customData[RESET_REQUESTED_AT];
+
+          if (ttl && requestedAt && Date.now() - requestedAt > ttl * 1000) {
+            debug('Password reset token for %s has outlived resetPasswordTokenTTL', account.href);
+            return callback(invalidTokenError(sptoken));
+          }
+
+          callback(null, account);
+        });
+      });
+    });
+  }
+
+  /**
+   * Check that a password reset token is still valid, without using it up.
+   *
+   * @param {String} sptoken The password reset token
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.verifyResetPasswordToken = function(sptoken, callback) {
+    getPasswordResetAccount(this, sptoken, function(err) {
+      callback(err || null);
+    });
+  };
+
+  /**
+   * Set a new password using a password reset token.  The token is used up,
+   * every access token previously issued to the user is revoked, and a forced
+   * password reset (see `forcePasswordReset()`) is over.
+   *
+   * @param {String} sptoken The password reset token
+   * @param {String} newPassword The new plain text password
+   * @param {Object} [options]
+   * @param {String} [options.ip] The IP address the request comes from.
+   * @param {String} [options.userAgent] The user agent it comes from.
+   * @callback {Function} callback
+   * @param {Error} err
+   */
+  StormpathUser.setPassword = function(sptoken, newPassword, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    getPasswordResetAccount(self, sptoken, function(err, account) {
+      if (err) return callback(err);
+
+      self.getApplication(function(err, application) {
+        if (err) return callback(err);
+
+        application.resetPassword(sptoken, newPassword, function(err) {
+          if (err && err.status === 404) {
+            return callback(invalidTokenError(sptoken));
+          } else if (err) {
+            return callback(passwordPolicyError(err));
+          }
+
+          self.emitAuditEvent('passwordReset', account, options);
+
+          self.revokeAccessTokens(hrefToId(account.href), function(err) {
+            if (err) return callback(err);
+
+            var fields = [RESET_REQUESTED_AT, PASSWORD_RESET_REQUIRED].filter(function(key) {
+              return account.customData[key] !== undefined;
+            });
+
+            if (!fields.length) return callback();
+
+            fields.forEach(function(key) {
+              account.customData.remove(key);
+            });
+            account.customData.save(function(err) {
+              callback(err || null);
+            });
+          });
+        });
+      });
+    });
+  };
+
+  /*!
+   * Setup an extended user model.
+   */
+
+  StormpathUser.setup = function() {
+    // We need to call the base class's setup method
+    StormpathUser.base.setup.call(this);
+    var StormpathUserModel = this;
+
+    // max ttl
+    this.settings.maxTTL = this.settings.maxTTL || DEFAULT_MAX_TTL;
+    this.settings.ttl = this.settings.ttl || DEFAULT_TTL;
+    this.settings.lockout = lockout.normalizeOptions(this.settings.lockout);
+    this.settings.mfa = mfa.normalizeOptions(this.settings.mfa);
+    this.settings.profileFields = this.settings.profileFields || DEFAULT_PROFILE_FIELDS;
+    this.settings.registration = registration.normalizeOptions(this.settings.registration);
+    this.settings.impersonationTTL = this.settings.impersonationTTL || DEFAULT_IMPERSONATION_TTL;
+
+    // The default ACLs grant account management to the `admin` role, which
+    // the `adminRole` setting can rename.
+    var adminRole = this.settings.adminRole = this.settings.adminRole || DEFAULT_ADMIN_ROLE;
+
+    (this.settings.acls || []).forEach(function(acl) {
+      if (acl.principalType === 'ROLE' && acl.principalId === DEFAULT_ADMIN_ROLE) {
+        acl.principalId = adminRole;
+      }
+    });
+
+    // The IP address and user agent of the request, which audit events record,
+    // see `createOptionsFromRemotingContext()`.
+    var optionsArg = {
+      arg: 'options', type: 'object', http: 'optionsFromRequest',
+      description: 'Do not supply this argument, it is automatically extracted ' +
+        'from the request.'
+    };
+
+    // The ID of the user currently logged in, which `/me` methods work on.
+    var currentUserArg = {
+      arg: 'userId', type: 'string', required: true, http: function(ctx) {
+        var req = ctx && ctx.req;
+        var accessToken = req && req.accessToken;
+
+        return accessToken && accessToken.userId;
+      }, description: 'Do not supply this argument, it is automatically extracted ' +
+        'from the access token.'
+    };
+
+    StormpathUserModel.remoteMethod(
+      'register',
+      {
+        description: 'Register a new user, logging them in when the model\'s ' +
+          '`registration.autoLogin` setting is on and they don\'t have to verify their email',
+        accepts: [
+          {arg: 'data', type: 'object', required: true, http: {source: 'body'}},
+          optionsArg
+        ],
+        returns: {arg: 'registration', type: 'object', root: true},
+        http: {verb: 'post', path: '/register'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'login',
+      {
+        description: 'Login a user with username/email and password',
+        accepts: [
+          {arg: 'credentials', type: 'object', required: true, http: {source: 'body'}},
+          {arg: 'include', type: 'string', http: {source: 'query' },
+            description: 'Related objects to include in the response. ' +
+            'See the description of return value for more details.'},
+          optionsArg
+        ],
+        returns: {
+          arg: 'accessToken', type: 'object', root: true,
+          description:
+            'The response body contains properties of the AccessToken created on login.\n' +
+            'Depending on the value of `include` parameter, the body may contain ' +
+            'additional properties:\n\n' +
+            '  - `user` - `{StormpathUser}` - Data of the currently logged in user. (`include=user`)\n\n'
+        },
+        http: {verb: 'post'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'loginWithProvider',
+      {
+        description: 'Login a user with a Google, Facebook, GitHub or LinkedIn ' +
+          'access token or authorization code',
+        accepts: [
+          {arg: 'credentials', type: 'object', required: true, http: {source: 'body'},
+            description: '`providerId`, and either `accessToken` or `code`'},
+          {arg: 'include', type: 'string', http: {source: 'query' },
+            description: 'Related objects to include in the response. ' +
+            'See the description of return value for more details.'},
+          optionsArg
+        ],
+        returns: {
+          arg: 'accessToken', type: 'object', root: true,
+          description:
+            'The response body contains properties of the AccessToken created on login.\n' +
+            'Depending on the value of `include` parameter, the body may contain ' +
+            'additional properties:\n\n' +
+            '  - `user` - `{StormpathUser}` - Data of the currently logged in user. (`include=user`)\n\n'
+        },
+        http: {verb: 'post', path: '/login-with-provider'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'logout',
+      {
+        description: 'Logout a user with access token',
+        accepts: [
+          {arg: 'access_token', type: 'string', required: true, http: function(ctx) {
+            var req = ctx && ctx.req;
+            var accessToken = req && req.accessToken;
+            var tokenID = accessToken && accessToken.id;
+
+            return tokenID;
+          }, description: 'Do not supply this argument, it is automatically extracted ' +
+            'from request headers.'
+          },
+          optionsArg
+        ],
+        http: {verb: 'all'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'logoutAll',
+      {
+        description: 'Logout a user from all of their sessions by revoking every ' +
+          'access token issued to them',
+        accepts: [
+          {arg: 'access_token', type: 'string', required: true, http: function(ctx) {
+            var req = ctx && ctx.req;
+            var accessToken = req && req.accessToken;
+            var tokenID = accessToken && accessToken.id;
+
+            return tokenID;
+          }, description: 'Do not supply this argument, it is automatically extracted ' +
+            'from request headers.'
+          },
+          optionsArg
+        ],
+        returns: {arg: 'info', type: 'object', root: true},
+        http: {verb: 'post'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'changePassword',
+      {
+        description: 'Change the password of a user, given their current password',
+        isStatic: false,
+        accepts: [
+          {arg: 'oldPassword', type: 'string', required: true, http: {source: 'form'}},
+          {arg: 'newPassword', type: 'string', required: true, http: {source: 'form'}},
+          optionsArg
+        ],
+        http: {verb: 'post', path: '/change-password'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'createApiKey',
+      {
+        description: 'Create an API key for a user.  Its secret is only returned now',
+        isStatic: false,
+        returns: {arg: 'apiKey', type: 'object', root: true},
+        http: {verb: 'post', path: '/apiKeys'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'listApiKeys',
+      {
+        description: 'List the API keys of a user',
+        isStatic: false,
+        returns: {arg: 'apiKeys', type: 'array', root: true},
+        http: {verb: 'get', path: '/apiKeys'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'revokeApiKey',
+      {
+        description: 'Revoke one of the API keys of a user',
+        isStatic: false,
+        accepts: [
+          {arg: 'apiKeyId', type: 'string', required: true, http: {source: 'path'}}
+        ],
+        http: {verb: 'delete', path: '/apiKeys/:apiKeyId'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'enrollFactor',
+      {
+        description: 'Enroll a TOTP or SMS factor for a user.  The secret of TOTP ' +
+          'factors is only returned now',
+        isStatic: false,
+        accepts: [
+          {arg: 'data', type: 'object', required: true, http: {source: 'body'},
+            description: '`{type: "totp"}` or `{type: "sms", phoneNumber}`'}
+        ],
+        returns: {arg: 'factor', type: 'object', root: true},
+        http: {verb: 'post', path: '/factors'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'verifyFactor',
+      {
+        description: 'Verify a newly enrolled factor with a code',
+        isStatic: false,
+        accepts: [
+          {arg: 'factorId', type: 'string', required: true, http: {source: 'path'}},
+          {arg: 'code', type: 'string', required: true, http: {source: 'form'}}
+        ],
+        returns: {arg: 'factor', type: 'object', root: true},
+        http: {verb: 'post', path: '/factors/:factorId/verify'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'listFactors',
+      {
+        description: 'List the MFA factors of a user',
+        isStatic: false,
+        returns: {arg: 'factors', type: 'array', root: true},
+        http: {verb: 'get', path: '/factors'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'removeFactor',
+      {
+        description: 'Remove one of the MFA factors of a user',
+        isStatic: false,
+        accepts: [
+          {arg: 'factorId', type: 'string', required: true, http: {source: 'path'}}
+        ],
+        http: {verb: 'delete', path: '/factors/:factorId'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'verifyChallenge',
+      {
+        description: 'Complete a login with the MFA challenge it returned and a code',
+        accepts: [
+          {arg: 'data', type: 'object', required: true, http: {source: 'body'},
+            description: '`{challengeId, code}`'},
+          {arg: 'include', type: 'string', http: {source: 'query' },
+            description: 'Related objects to include in the response. ' +
+            'See the description of return value for more details.'},
+          optionsArg
+        ],
+        returns: {
+          arg: 'accessToken', type: 'object', root: true,
+          description:
+            'The response body contains properties of the AccessToken created on login.\n' +
+            'Depending on the value of `include` parameter, the body may contain ' +
+            'additional properties:\n\n' +
+            '  - `user` - `{StormpathUser}` - Data of the currently logged in user. (`include=user`)\n\n'
+        },
+        http: {verb: 'post', path: '/verify-challenge'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'enrollChallengeFactor',
+      {
+        description: 'Enroll a factor for a user whose login requires one, given ' +
+          'the MFA challenge it returned',
+        accepts: [
+          {arg: 'data', type: 'object', required: true, http: {source: 'body'},
+            description: '`{challengeId, type: "totp"}` or `{challengeId, type: "sms", phoneNumber}`'}
+        ],
+        returns: {arg: 'factor', type: 'object', root: true},
+        http: {verb: 'post', path: '/enroll-challenge-factor'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'unlock',
+      {
+        description: 'Unlock the account of a user locked out after too many failed ' +
+          'login attempts',
+        isStatic: false,
+        http: {verb: 'post', path: '/unlock'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'enable',
+      {
+        description: 'Enable the account of a user',
+        isStatic: false,
+        accepts: [optionsArg],
+        returns: {arg: 'user', type: 'object', root: true},
+        http: {verb: 'post', path: '/enable'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'disable',
+      {
+        description: 'Disable the account of a user, revoking their access tokens',
+        isStatic: false,
+        accepts: [optionsArg],
+        returns: {arg: 'user', type: 'object', root: true},
+        http: {verb: 'post', path: '/disable'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'forcePasswordReset',
+      {
+        description: 'Force a user to reset their password before logging in again, ' +
+          'revoking their access tokens and emailing them a password reset link',
+        isStatic: false,
+        accepts: [optionsArg],
+        http: {verb: 'post', path: '/force-password-reset'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'verify',
+      {
+        description: 'Resend the verification email of a user whose account is ' +
+          'still unverified',
+        isStatic: false,
+        http: {verb: 'post', path: '/verify'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'impersonate',
+      {
+        description: 'Issue a short-lived access token to act as a user',
+        isStatic: false,
+        accepts: [optionsArg],
+        returns: {arg: 'accessToken', type: 'object', root: true},
+        http: {verb: 'post', path: '/impersonate'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'findCurrent',
+      {
+        description: 'Get the user currently logged in',
+        accepts: [currentUserArg],
+        returns: {arg: 'user', type: 'object', root: true},
+        http: {verb: 'get', path: '/me'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'updateCurrent',
+      {
+        description: 'Update the profile of the user currently logged in.  Only the ' +
+          'fields in the model\'s `profileFields` setting can be changed',
+        accepts: [
+          currentUserArg,
+          {arg: 'data', type: 'object', required: true, http: {source: 'body'}},
+          optionsArg
+        ],
+        returns: {arg: 'user', type: 'object', root: true},
+        http: {verb: 'patch', path: '/me'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'deleteCurrent',
+      {
+        description: 'Delete the account of the user currently logged in, given their ' +
+          'password',
+        accepts: [
+          currentUserArg,
+          {arg: 'password', type: 'string', required: true, http: {source: 'form'}},
+          optionsArg
+        ],
+        http: {verb: 'del', path: '/me'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'exportCurrent',
+      {
+        description: 'Export the account, customData and group memberships of the ' +
+          'user currently logged in',
+        accepts: [currentUserArg],
+        returns: {arg: 'data', type: 'object', root: true},
+        http: {verb: 'get', path: '/me/export'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'confirm',
+      {
+        description: 'Confirm a user registration with the email verification token ' +
+          'Stormpath sent them',
+        accepts: [
+          {arg: 'sptoken', type: 'string', required: true},
+          {arg: 'redirect', type: 'string'},
+          optionsArg
+        ],
+        http: {verb: 'get', path: '/confirm'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'resendVerificationEmail',
+      {
+        description: 'Resend the verification email for an unverified user',
+        accepts: [
+          {arg: 'options', type: 'object', required: true, http: {source: 'body'}}
+        ],
+        http: {verb: 'post', path: '/verify'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'resetPassword',
+      {
+        description: 'Reset password for a user with email',
+        accepts: [
+          {arg: 'options', type: 'object', required: true, http: {source: 'body'}},
+          {arg: 'context', type: 'object', http: 'optionsFromRequest',
+            description: optionsArg.description}
+        ],
+        http: {verb: 'post', path: '/reset'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'verifyResetPasswordToken',
+      {
+        description: 'Check that a password reset token is still valid',
+        accepts: [
+          {arg: 'sptoken', type: 'string', required: true}
+        ],
+        http: {verb: 'get', path: '/reset-password'}
+      }
+    );
+
+    StormpathUserModel.remoteMethod(
+      'setPassword',
+      {
+        description: 'Set a new password using a password reset token',
+        accepts: [
+          {arg: 'sptoken', type: 'string', required: true},
+          {arg: 'newPassword', type: 'string', required: true},
+          optionsArg
+        ],
+        http: {verb: 'post', path: '/reset-password'}
+      }
+    );
+
+    StormpathUserModel.on('attached', function() {
+      StormpathUserModel.afterRemote('confirm', function(ctx, inst, next) {
+        if (ctx.args.redirect !== undefined) {
+          if (!ctx.res) {
+            return next(new Error('The transport does not support HTTP redirects.'));
+          }
+          ctx.res.location(ctx.args.redirect);
+          ctx.res.status(302);
+        }
+        next();
+      });
+
+      // Requests authenticated with API key credentials have no access token
+      // to revoke, see `lib/api-keys.js`.
+      ['logout', 'logoutAll'].forEach(function(method) {
+        StormpathUserModel.beforeRemote(method, function(ctx, unused, next) {
+          var accessToken = ctx.req && ctx.req.accessToken;
+
+          if (accessToken && accessToken.apiKey) {
+            return next(apiKeyLogoutError());
+          }
+
+          next();
+        });
+      });
+
+      // Users updating themselves are held to the same fields as through
+      // `updateCurrent()`.
+      StormpathUserModel.beforeRemote('prototype.updateAttributes', function(ctx, inst, next) {
+        var accessToken = ctx.req && ctx.req.accessToken;
+        var fields = notEditableFields(StormpathUserModel, ctx.args.data);
+
+        if (accessToken && String(accessToken.userId) === String(ctx.instance.id) &&
+            fields.length) {
+          return next(fieldsNotEditableError(fields));
+        }
+
+        next();
+      });
+
+      // Impersonation tokens are short-lived, and can't be turned into
+      // credentials or factors which outlive them.
+      declareImpersonatorId(StormpathUserModel);
+
+      [
+        'prototype.changePassword',
+        'prototype.createApiKey',
+        'prototype.revokeApiKey',
+        'prototype.enrollFactor',
+        'prototype.verifyFactor',
+        'prototype.removeFactor'
+      ].forEach(function(method) {
+        StormpathUserModel.beforeRemote(method, function(ctx, inst, next) {
+          var accessToken = ctx.req && ctx.req.accessToken;
+
+          if (accessToken && accessToken.impersonatorId) {
+            return next(impersonationNotAllowedError(
+              'impersonation tokens can\'t manage credentials or factors'));
+          }
+
+          next();
+        });
+      });
+
+      // Lockouts tell the client when to try again, be it logging in, sending
+      // the MFA code or checking the current password.
+      ['login', 'verifyChallenge', 'prototype.changePassword', 'deleteCurrent'].forEach(function(method) {
+        StormpathUserModel.afterRemoteError(method, function(ctx, next) {
+          if (ctx.error && ctx.error.retryAfter && ctx.res) {
+            ctx.res.set('Retry-After', String(ctx.error.retryAfter));
+          }
+          next();
+        });
+      });
+    });
+
+    // default models
+    assert(loopback.Email, 'Email model must be defined before StormpathUser model');
+    StormpathUserModel.email = loopback.Email;
+
+    assert(loopback.AccessToken, 'AccessToken model must be defined before StormpathUser model');
+    StormpathUserModel.accessToken = loopback.AccessToken;
+
+    return StormpathUserModel;
+  };
+
+  /*!
+   * Stormpath never hands passwords back, so users read from it don't have
+   * one.  Only new users need a password.
+   */
+  StormpathUser.validatesPresenceOf('password', { if: 'isNewRecord' });
+
+  /*!
+   * Whenever a user's password changes or their account gets disabled, revoke
+   * all of their access tokens so existing sessions stop working right away.
+   */
+  StormpathUser.observe('before save', function(ctx, next) {
+    var data = ctx.data || ctx.instance;
+
+    ctx.hookState.revokeAccessTokens = !ctx.isNewInstance && !!data &&
+      !!(data.password || data.status === 'DISABLED');
+
+    next();
+  });
+
+  StormpathUser.observe('after save', function(ctx, next) {
+    if (!(ctx.hookState.revokeAccessTokens && ctx.instance)) {
+      return next();
+    }
+
+    ctx.instance.revokeAccessTokens(function(err) {
+      next(err);
+    });
+  });
+
+  /*!
+   * Emit the `register`, `statusChange` and `passwordChange` audit events of
+   * users saved through the model.  Updates don't always say what the status
+   * was, so it's looked up when they change it.
+   */
+  StormpathUser.observe('before save', function(ctx, next) {
+    var data = ctx.data || ctx.instance;
+
+    if (ctx.isNewInstance || !data) {
+      return next();
+    }
+
+    ctx.hookState.passwordChanged = !!data.password;
+
+    var current = ctx.currentInstance;
+    var id = data.id || (current && current.id);
+
+    if (!data.status) {
+      return next();
+    } else if (current && current.status) {
+      ctx.hookState.previousStatus = current.status;
+      return next();
+    } else if (!id) {
+      return next();
+    }
+
+    ctx.Model.getAccount(id, function(err, account) {
+      if (err && err.status === 404) return next();
+      if (err) return next(err);
+
+      ctx.hookState.previousStatus = account.status;
+      next();
+    });
+  });
+
+  StormpathUser.observe('after save', function(ctx, next) {
+    var Model = ctx.Model;
+    var user = ctx.instance;
+    var previousStatus = ctx.hookState.previousStatus;
+
+    if (!user) {
+      return next();
+    } else if (ctx.isNewInstance) {
+      Model.emitAuditEvent('register', user.id, ctx.options);
+      return next();
+    }
+
+    if (previousStatus && user.status && previousStatus !== user.status) {
+      Model.emitAuditEvent('statusChange', user.id, ctx.options, {
+        from: previousStatus,
+        to: user.status
+      });
+    }
+
+    if (ctx.hookState.passwordChanged) {
+      Model.emitAuditEvent('passwordChange', user.id, ctx.options);
+    }
+
+    next();
+  });
+
+  /*!
+   * Create users in the directory of their realm, eg:
+   * `StormpathUser.create({realm: 'acme', email: 'bob@example.com', ...})`.
+   * The realm is required when the model's `realmRequired` setting is on,
+   * unless a `directoryId` is given instead.
+   */
+  StormpathUser.observe('before save', function(ctx, next) {
+    var Model = ctx.Model;
+
+    if (!(ctx.isNewInstance && ctx.instance)) {
+      return next();
+    }
+
+    var realm = ctx.instance.realm;
+    ctx.instance.unsetAttribute('realm');
+
+    if (!realm) {
+      return next(Model.settings.realmRequired && !ctx.instance.directoryId ?
+        realmRequiredError() : null);
+    }
+
+    Model.getRealmStore(realm, function(err, store) {
+      if (err) return next(err);
+
+      if (!store) {
+        err = new Error('Unknown realm: ' + realm);
+        err.statusCode = 422;
+        err.code = 'INVALID_REALM';
+
+        return next(err);
+      }
+
+      getRealmDirectoryId(Model, store, function(err, directoryId) {
+        if (err) return next(err);
+
+        if (!directoryId) {
+          err = new Error('The realm ' + realm + ' has no directory to create users in');
+          err.statusCode = 422;
+          err.code = 'INVALID_REALM';
+
+          return next(err);
+        }
+
+        ctx.instance.directoryId = directoryId;
+        next();
+      });
+    });
+  });
+
+  /*!
+   * Scope queries to a realm, eg: `StormpathUser.find({where: {realm: 'acme'}})`
+   * only finds the users of the `acme` Organization or Directory.
+   */
+  StormpathUser.observe('access', function(ctx, next) {
+    var where = ctx.query.where;
+
+    if (!(where && where.realm)) {
+      return next();
+    }
+
+    var realm = where.realm;
+    delete where.realm;
+
+    ctx.Model.getRealmStore(realm, function(err, store) {
+      if (err) return next(err);
+
+      if (!store) {
+        // Nobody belongs to an unknown realm.
+        where.id = { inq: [] };
+      } else if (store.organizationId) {
+        where.organizationId = store.organizationId;
+      } else {
+        where.directoryId = store.directoryId;
+      }
+
+      next();
+    });
+  });
 
   /*!
    * Setup the base user.
@@ -0,0 +1,68 @@
+'use strict';
+
+var debug = require('debug')('loopback:stormpath:api-keys');
+
+var helpers = require('./helpers');
+
+/**
+ * Build a middleware which authenticates requests carrying API key
+ * credentials in an HTTP Basic `Authorization` header, as the user owning the
+ * key.  Put it before Loopback's own `loopback.token()` middleware, which then
+ * leaves the request alone.
+ *
+ * Requests with invalid credentials, or credentials of a disabled key or
+ * account, are treated as anonymous.  Requests without Basic credentials are
+ * left to `loopback.token()`.
+ *
+ * The request's access token is flagged with `apiKey: true`: it isn't a
+ * session, so it can't be logged out of.
+ *
+ * @param {Object} app The Loopback app.
+ * @return {Function} The middleware.
+ */
+function authenticate(app) {
+  return function(req, res, next) {
+    var credentials = helpers.parseBasicAuth(req.headers.authorization);
+
+    if (req.accessToken !== undefined || !credentials) {
+      return next();
+    }
+
+    var StormpathUser = app.loopback.StormpathUser;
+
+    StormpathUser.authenticateApiKey(credentials.id, credentials.secret, function(err, account) {
+      if (err && err.code !== 'INVALID_API_KEY' && err.code !== 'API_KEY_REQUIRED') {
+        return next(err);
+      } else if (err) {
+        debug('Rejected API key %s: %s', credentials.id, err.message);
+        req.accessToken = null;
+        return next();
+      }
+
+      // Loopback only needs the user ID, and the rest mimics an AccessToken.
+      req.accessToken = {
+        id: credentials.id,
+        userId: helpers.hrefToId(account.href),
+        ttl: 0,
+        created: new Date(),
+        apiKey: true
+      };
+
+      next();
+    });
+  };
+}
+
+/**
+ * Mount the API key authentication middleware.
+ *
+ * @param {Object} app The Loopback app.
+ */
+function init(app) {
+  app.middleware('auth:before', authenticate(app));
+}
+
+module.exports = {
+  authenticate: authenticate,
+  init: init
+};
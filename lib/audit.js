@@ -0,0 +1,51 @@
+'use strict';
+
+var hrefToId = require('./helpers').hrefToId;
+
+/**
+ * Extract what audit events record about the request a call comes from.  The
+ * IP address is Express's `req.ip`: behind a proxy or a load balancer, that's
+ * the proxy's, unless the app's `trust proxy` setting is on.
+ *
+ * @param {Object} req The HTTP request.
+ * @return {Object} `{ip, userAgent}`
+ */
+function requestOptions(req) {
+  return {
+    ip: (req && req.ip) || null,
+    userAgent: (req && req.headers && req.headers['user-agent']) || null
+  };
+}
+
+/**
+ * Build an audit event.
+ *
+ * @param {String} type The event type, eg: `login`.
+ * @param {String} accountHref The href of the Stormpath Account concerned,
+ *   or `null` when unknown, eg: on a failed login with an unknown email.
+ * @param {Object} [options] The options of the call, holding the `ip` and
+ *   `userAgent` of the request it comes from, and the `impersonatorId` of the
+ *   admin behind it when made with an impersonation token.
+ * @param {Object} [data] Details about the event.
+ * @return {Object} `{type, userId, accountHref, ip, userAgent,
+ *   impersonatorId, timestamp, data}`
+ */
+function buildEvent(type, accountHref, options, data) {
+  options = options || {};
+
+  return {
+    type: type,
+    userId: accountHref ? hrefToId(accountHref) : null,
+    accountHref: accountHref || null,
+    ip: options.ip || null,
+    userAgent: options.userAgent || null,
+    impersonatorId: options.impersonatorId || null,
+    timestamp: new Date(),
+    data: data || {}
+  };
+}
+
+module.exports = {
+  requestOptions: requestOptions,
+  buildEvent: buildEvent
+};
@@ -0,0 +1,547 @@
+'use strict';
+
+var async = require('async');
+var debug = require('debug')('loopback:stormpath:cache');
+var url = require('url');
+
+/**
+ * The default number of entries the in-memory store keeps.
+ */
+var DEFAULT_MAX = 1000;
+
+/**
+ * The default time to live of cached responses, in seconds.
+ */
+var DEFAULT_TTL = 60;
+
+/**
+ * Query parameters which expand, order and page a response.  Responses to
+ * requests with any other parameter (searches) are never cached, as there's
+ * no telling which writes change them.
+ */
+var CACHEABLE_PARAMS = ['expand', 'orderBy', 'offset', 'limit'];
+
+/**
+ * The resources whose sub-collections (eg: the groups of an account) are
+ * cached.  Those of applications, directories and organizations change
+ * whenever an account is created anywhere.
+ */
+var CACHED_PARENTS = ['accounts', 'groups'];
+
+/**
+ * The default cache store: a least recently used cache, in memory.  Apps
+ * running several processes can plug in a shared store instead (eg: on
+ * Redis), with the same `get()`, `set()` and `remove()` methods.  Values are
+ * strings.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.max] The number of entries to keep.  Default is
+ *   1000.
+ * @class LruStore
+ */
+function LruStore(options) {
+  this.max = (options && options.max) || DEFAULT_MAX;
+  this.entries = {};
+  this.size = 0;
+
+  // The entries form a list, from the most recently used (`head`) to the
+  // least recently used (`tail`).
+  this.head = null;
+  this.tail = null;
+}
+
+/*!
+ * Take an entry out of the list.
+ */
+LruStore.prototype.unlink = function(entry) {
+  if (entry.prev) entry.prev.next = entry.next;
+  if (entry.next) entry.next.prev = entry.prev;
+  if (this.head === entry) this.head = entry.next;
+  if (this.tail === entry) this.tail = entry.prev;
+
+  entry.prev = entry.next = null;
+};
+
+/*!
+ * Put an entry at the head of the list.
+ */
+LruStore.prototype.link = function(entry) {
+  entry.next = this.head;
+  if (this.head) this.head.prev = entry;
+  this.head = entry;
+  this.tail = this.tail || entry;
+};
+
+/*!
+ * Drop an entry.
+ */
+LruStore.prototype.drop = function(entry) {
+  this.unlink(entry);
+  delete this.entries[entry.key];
+  this.size--;
+};
+
+/**
+ * Retrieve the value of the given key.
+ *
+ * @param {String} key The key.
+ * @callback {Function} callback
+ * @param {Error} err
+ * @param {String} value The value, or `null` if there's none.
+ */
+LruStore.prototype.get = function(key, callback) {
+  var entry = this.entries[key];
+
+  if (entry && entry.expiresAt <= Date.now()) {
+    this.drop(entry);
+    entry = null;
+  } else if (entry) {
+    this.unlink(entry);
+    this.link(entry);
+  }
+
+  process.nextTick(function() {
+    callback(null, entry ? entry.value : null);
+  });
+};
+
+/**
+ * Store the value of the given key, dropping the least recently used entry
+ * when the store is full.
+ *
+ * @param {String} key The key.
+ * @param {String} value The value.
+ * @param {Number} ttl How long to keep it, in seconds.
+ * @callback {Function} callback
+ * @param {Error} err
+ */
+LruStore.prototype.set = function(key, value, ttl, callback) {
+  var entry = this.entries[key];
+
+  if (entry) {
+    this.unlink(entry);
+  } else {
+    entry = this.entries[key] = { key: key };
+    this.size++;
+  }
+
+  entry.value = value;
+  entry.expiresAt = Date.now() + ttl * 1000;
+  this.link(entry);
+
+  while (this.size > this.max) {
+    this.drop(this.tail);
+  }
+
+  process.nextTick(function() {
+    callback(null);
+  });
+};
+
+/**
+ * Drop the value of the given key.
+ *
+ * @param {String} key The key.
+ * @callback {Function} callback
+ * @param {Error} err
+ */
+LruStore.prototype.remove = function(key, callback) {
+  if (this.entries[key]) {
+    this.drop(this.entries[key]);
+  }
+
+  process.nextTick(function() {
+    callback(null);
+  });
+};
+
+/**
+ * Split the path of a Stormpath href into its segments, eg:
+ * `['accounts', 'abc', 'groups']`.
+ *
+ * @param {String} href The href, absolute or relative to the API root.
+ * @return {String[]} The segments.
+ */
+function hrefSegments(href) {
+  var segments = (url.parse(String(href || '')).pathname || '').split('/').filter(Boolean);
+
+  // Skip the API version.
+  return /^v\d+$/.test(segments[0]) ? segments.slice(1) : segments;
+}
+
+/**
+ * Find the resource whose changes make the response to the given href stale:
+ * the resource itself, or the parent of a sub-collection or customData.
+ *
+ * @param {String} href The href.
+ * @return {String} The resource, eg: `accounts/abc`, or `null`.
+ */
+function ownerOf(href) {
+  var segments = hrefSegments(href);
+  return segments.length >= 2 ? segments[0] + '/' + segments[1] : null;
+}
+
+/**
+ * Build the cache key of a request, if its response can be cached.
+ *
+ * @param {Object} request The SDK request: `{uri, method, query}`.
+ * @return {Object} `{key, owner, region}`, or `null`.
+ */
+function cacheEntry(request) {
+  var segments = hrefSegments(request.uri);
+  var query = request.query || {};
+  var keys = Object.keys(query).sort();
+  var region;
+
+  if ((request.method || 'GET') !== 'GET') {
+    return null;
+  }
+
+  if (keys.some(function(key) { return CACHEABLE_PARAMS.indexOf(key) === -1; })) {
+    return null;
+  }
+
+  if (segments.length === 2) {
+    region = segments[0];
+  } else if (segments.length === 3 && segments[2] === 'customData') {
+    region = 'customData';
+  } else if (segments.length === 3 && CACHED_PARENTS.indexOf(segments[0]) !== -1) {
+    region = segments[2];
+  } else {
+    return null;
+  }
+
+  return {
+    key: 'stormpath:' + segments.join('/') + '?' + keys.map(function(key) {
+      return key + '=' + query[key];
+    }).join('&'),
+    owner: segments[0] + '/' + segments[1],
+    region: region
+  };
+}
+
+/**
+ * A cache of the responses of Stormpath, sitting between the Stormpath SDK and
+ * the API.  Responses to reads of resources (eg: accounts, with their
+ * customData expanded) and of the sub-collections of accounts and groups
+ * (eg: the groups of an account) are cached.  Whatever is written to
+ * Stormpath (eg: saving an account or its customData, deleting it, adding it
+ * to a group) evicts the responses about the resources it changes.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.store] The store, see `LruStore`.  Default is a
+ *   `LruStore`.
+ * @param {Number} [options.max] The number of entries the default store
+ *   keeps.  Default is 1000.
+ * @param {Number} [options.ttl] The default time to live of responses, in
+ *   seconds.  Default is 60.
+ * @param {Object} [options.ttls] Times to live per resource, eg: `{groups:
+ *   600, customData: 30}`.  `0` turns caching off for a resource.
+ * @class Cache
+ */
+function Cache(options) {
+  options = options || {};
+
+  this.store = options.store || new LruStore({ max: options.max });
+  this.ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+  this.ttls = options.ttls || {};
+  this.stats = { hits: 0, misses: 0, invalidations: 0, errors: 0, regions: {} };
+}
+
+/**
+ * Find the time to live of a resource's responses.
+ *
+ * @param {String} region The resource, eg: `accounts`.
+ * @return {Number} The TTL in seconds.
+ */
+Cache.prototype.getTTL = function(region) {
+  return this.ttls[region] === undefined ? this.ttl : this.ttls[region];
+};
+
+/*!
+ * Count a hit or a miss.
+ */
+Cache.prototype.count = function(region, hit) {
+  var stats = this.stats.regions[region] = this.stats.regions[region] || { hits: 0, misses: 0 };
+
+  stats[hit ? 'hits' : 'misses']++;
+  this.stats[hit ? 'hits' : 'misses']++;
+};
+
+/*!
+ * Report a failure of the store.  The cache is then skipped, rather than
+ * failing requests.
+ */
+Cache.prototype.failed = function(err) {
+  debug('Cache store failure: %s', err.message);
+  this.stats.errors++;
+};
+
+/**
+ * Retrieve the statistics of the cache.
+ *
+ * @return {Object} `{hits, misses, hitRatio, invalidations, errors,
+ *   regions}`, `regions` holding the `{hits, misses, hitRatio}` of each
+ *   resource.
+ */
+Cache.prototype.getStats = function() {
+  function ratio(stats) {
+    return stats.hits + stats.misses ? stats.hits / (stats.hits + stats.misses) : 0;
+  }
+
+  var stats = this.stats;
+  var regions = {};
+
+  Object.keys(stats.regions).forEach(function(region) {
+    regions[region] = {
+      hits: stats.regions[region].hits,
+      misses: stats.regions[region].misses,
+      hitRatio: ratio(stats.regions[region])
+    };
+  });
+
+  return {
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRatio: ratio(stats),
+    invalidations: stats.invalidations,
+    errors: stats.errors,
+    regions: regions
+  };
+};
+
+/**
+ * Reset the statistics of the cache.
+ */
+Cache.prototype.resetStats = function() {
+  this.stats = { hits: 0, misses: 0, invalidations: 0, errors: 0, regions: {} };
+};
+
+/*!
+ * Remember that the response stored under the given key is about the given
+ * resource, so that it can be evicted along with it.
+ */
+Cache.prototype.index = function(owner, key, callback) {
+  var self = this;
+  var indexKey = 'stormpath-index:' + owner;
+
+  self.store.get(indexKey, function(err, keys) {
+    if (err) return callback(err);
+
+    keys = keys ? JSON.parse(keys) : [];
+
+    if (keys.indexOf(key) !== -1) {
+      return callback(null);
+    }
+
+    keys.push(key);
+
+    // The index has to outlive every response it lists.
+    var ttl = Math.max.apply(Math, [self.ttl].concat(Object.keys(self.ttls).map(function(region) {
+      return self.ttls[region];
+    })));
+
+    self.store.set(indexKey, JSON.stringify(keys), ttl, callback);
+  });
+};
+
+/**
+ * Evict every cached response about the resource with the given href: the
+ * resource itself, its customData and its sub-collections.
+ *
+ * @param {String} href The resource href.
+ * @callback {Function} callback
+ * @param {Error} err
+ */
+Cache.prototype.invalidate = function(href, callback) {
+  var self = this;
+  var owner = ownerOf(href);
+  var indexKey = 'stormpath-index:' + owner;
+
+  callback = callback || function() {};
+
+  if (!owner) {
+    return process.nextTick(function() {
+      callback(null);
+    });
+  }
+
+  self.store.get(indexKey, function(err, keys) {
+    if (err) return callback(err);
+    if (!keys) return callback(null);
+
+    debug('Evicting the cached responses about %s', owner);
+    self.stats.invalidations++;
+
+    async.each(JSON.parse(keys).concat(indexKey), function(key, cb) {
+      self.store.remove(key, cb);
+    }, function(err) {
+      callback(err || null);
+    });
+  });
+};
+
+/*!
+ * Find the resources a write changes, going by the request and Stormpath's
+ * response to it, eg: both the account and the group of a group membership.
+ */
+Cache.prototype.changedBy = function(request, body, callback) {
+  var hrefs = [request.uri];
+  var segments = hrefSegments(request.uri);
+
+  if (body) {
+    hrefs.push(body.href, body.account && body.account.href, body.group && body.group.href);
+  }
+
+  if (request.body) {
+    hrefs.push(request.body.account && request.body.account.href,
+      request.body.group && request.body.group.href);
+  }
+
+  // Deleting a group membership only gives its href, but the membership
+  // itself has most likely been read, and cached, just before: on its own or
+  // as part of a collection.
+  if (request.method !== 'DELETE' || segments[0] !== 'groupMemberships') {
+    return process.nextTick(function() {
+      callback(null, hrefs);
+    });
+  }
+
+  var store = this.store;
+
+  store.get('stormpath-index:' + ownerOf(request.uri), function(err, keys) {
+    if (err || !keys) return callback(err || null, hrefs);
+
+    async.eachSeries(JSON.parse(keys), function(key, cb) {
+      store.get(key, function(err, cached) {
+        if (err || !cached) return cb(err);
+
+        cached = JSON.parse(cached);
+        (cached.items || [cached]).forEach(function(membership) {
+          if (membership && membership.href === request.uri) {
+            hrefs.push(membership.account && membership.account.href,
+              membership.group && membership.group.href);
+          }
+        });
+
+        cb();
+      });
+    }, function(err) {
+      callback(err || null, hrefs);
+    });
+  });
+};
+
+/**
+ * Wrap a Stormpath SDK request executor so that its requests go through the
+ * cache.
+ *
+ * @param {Object} executor The request executor.
+ * @return {Object} The caching request executor.
+ */
+Cache.prototype.wrap = function(executor) {
+  var self = this;
+
+  return {
+    cache: self,
+    // The SDK reads the API key from its request executor.
+    options: executor.options,
+
+    execute: function(request, callback) {
+      var entry = cacheEntry(request);
+
+      if (entry && self.getTTL(entry.region) > 0) {
+        return self.read(executor, request, entry, callback);
+      } else if ((request.method || 'GET') === 'GET') {
+        return executor.execute(request, callback);
+      }
+
+      self.write(executor, request, callback);
+    }
+  };
+};
+
+/*!
+ * Read a response from the cache, or from Stormpath, caching it.
+ */
+Cache.prototype.read = function(executor, request, entry, callback) {
+  var self = this;
+
+  self.store.get(entry.key, function(err, cached) {
+    if (err) self.failed(err);
+
+    if (cached) {
+      self.count(entry.region, true);
+      return callback(null, JSON.parse(cached));
+    }
+
+    self.count(entry.region, false);
+
+    executor.execute(request, function(err, body) {
+      if (err) return callback(err);
+
+      // The SDK changes the resources it builds from the response, so they
+      // mustn't share anything with the cache.
+      var value = JSON.stringify(body);
+
+      self.store.set(entry.key, value, self.getTTL(entry.region), function(err) {
+        if (err) {
+          self.failed(err);
+          return callback(null, body);
+        }
+
+        // A collection goes stale along with any of its items, eg: an
+        // account's groups when one of them gets renamed.
+        var owners = [entry.owner].concat((body && body.items || []).map(function(item) {
+          return item && ownerOf(item.href);
+        }));
+
+        async.eachSeries(owners.filter(function(owner, index) {
+          return owner && owners.indexOf(owner) === index;
+        }), function(owner, cb) {
+          self.index(owner, entry.key, function(err) {
+            if (err) self.failed(err);
+            cb();
+          });
+        }, function() {
+          callback(null, body);
+        });
+      });
+    });
+  });
+};
+
+/*!
+ * Send a write to Stormpath, evicting the cached responses it makes stale.
+ */
+Cache.prototype.write = function(executor, request, callback) {
+  var self = this;
+
+  executor.execute(request, function(err, body) {
+    var result = arguments;
+
+    self.changedBy(request, err ? null : body, function(changedErr, hrefs) {
+      if (changedErr) self.failed(changedErr);
+
+      hrefs = (hrefs || [request.uri]).filter(function(href, index, hrefs) {
+        return href && hrefs.indexOf(href) === index;
+      });
+
+      async.each(hrefs, function(href, cb) {
+        self.invalidate(href, function(err) {
+          if (err) self.failed(err);
+          cb();
+        });
+      }, function() {
+        callback.apply(null, result);
+      });
+    });
+  });
+};
+
+module.exports = {
+  LruStore: LruStore,
+  Cache: Cache,
+  cacheEntry: cacheEntry,
+  ownerOf: ownerOf
+};
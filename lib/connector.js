@@ -0,0 +1,1412 @@
+'use strict';
+
+var async = require('async');
+var debug = require('debug')('loopback:stormpath:connector');
+var stormpathConnector = require('loopback-connector-stormpath');
+
+var Cache = require('./cache').Cache;
+var helpers = require('./helpers');
+var MockStormpath = require('./mock');
+
+/**
+ * Build a function which lists a sub-collection of a parent resource, eg: the
+ * groups of a directory.
+ *
+ * @param {String} parent The parent resource collection, eg: `directories`.
+ * @param {String} name The sub-collection name, eg: `groups`.
+ * @return {Function} The listing function.
+ */
+function subCollection(parent, name) {
+  return function(connector, id, query, callback) {
+    var href = helpers.idToHref(connector.application, parent, id) + '/' + name;
+    connector.client.getResource(href, query, callback);
+  };
+}
+
+/**
+ * Query parameters which expand, order and page a Stormpath collection, rather
+ * than search it.
+ */
+var PAGING_PARAMS = ['expand', 'orderBy', 'offset', 'limit'];
+
+/**
+ * The largest page of a collection Stormpath serves.
+ */
+var MAX_PAGE_SIZE = 100;
+
+/**
+ * Iterate over the resources of a Stormpath collection, fetching it a page at
+ * a time, until `max` resources were read.
+ *
+ * @param {Function} fetch Fetches a page of the collection, given its query:
+ *   `function(query, callback)`.
+ * @param {Object} query The query, its `offset` being where to start from.
+ * @param {Number} max How many resources to read, or `0` for all of them.
+ * @param {Function} iterator Called with each resource.
+ * @param {Function} callback The callback function.
+ */
+function eachResource(fetch, query, max, iterator, callback) {
+  var offset = query.offset || 0;
+  var read = 0;
+
+  (function nextPage() {
+    var pageQuery = {};
+
+    Object.keys(query).forEach(function(key) {
+      pageQuery[key] = query[key];
+    });
+    pageQuery.offset = offset;
+    pageQuery.limit = max ? Math.min(max - read, MAX_PAGE_SIZE) : MAX_PAGE_SIZE;
+
+    fetch(pageQuery, function(err, collection) {
+      if (err) return callback(err);
+
+      var items = collection.items || [];
+      items.forEach(iterator);
+
+      read += items.length;
+      offset += items.length;
+
+      if (items.length < pageQuery.limit || (max && read >= max)) {
+        return callback();
+      }
+
+      nextPage();
+    });
+  })();
+}
+
+/**
+ * Wrap a page of resources so it can be read like a Stormpath collection.
+ *
+ * @param {Object[]} items The resources.
+ * @param {Number} [size] The size of the whole collection.  Default is the
+ *   number of resources.
+ * @return {Object} The collection-alike.
+ */
+function arrayCollection(items, size) {
+  return {
+    size: size === undefined ? items.length : size,
+    items: items
+  };
+}
+
+/**
+ * List the directories mapped to an organization as account stores.  Stormpath
+ * can't search these, so the query is run here.
+ *
+ * @param {Object} connector The connector.
+ * @param {String} id The organization ID.
+ * @param {Object} query The search query.
+ * @param {Function} callback The callback function.
+ */
+function organizationDirectories(connector, id, query, callback) {
+  var href = helpers.idToHref(connector.application, 'organizations', id) + '/accountStoreMappings';
+  var directories = [];
+
+  eachResource(function(pageQuery, cb) {
+    pageQuery.expand = 'accountStore';
+    connector.client.getResource(href, pageQuery, cb);
+  }, {}, 0, function(mapping) {
+    var store = mapping.accountStore;
+
+    var matches = /\/directories\//.test(store.href) && Object.keys(query).every(function(key) {
+      return PAGING_PARAMS.indexOf(key) !== -1 || helpers.matchesSearch(store[key], query[key]);
+    });
+
+    if (matches) {
+      directories.push(store);
+    }
+  }, function(err) {
+    if (err) return callback(err);
+
+    if (query.orderBy) {
+      directories.sort(helpers.compareBy(query.orderBy));
+    }
+
+    var offset = query.offset || 0;
+    callback(null, arrayCollection(directories.slice(offset, offset + (query.limit || directories.length)),
+      directories.length));
+  });
+}
+
+/**
+ * The Stormpath resources a model can be backed by.  Models pick one with
+ * their `stormpath.resource` setting, and default to `accounts`:
+ *
+ *   "stormpath": {
+ *     "resource": "groups"
+ *   }
+ *
+ * Every resource lists:
+ *
+ * - `fields`: the attributes Loopback can read, write and search on.
+ * - `links`: foreign keys, mapped to the linked resource attribute they're
+ *   read from, eg: a group's `directoryId` comes from its `directory` link.
+ * - `scopes`: foreign keys which can be used to list the resource, and how.
+ *   This is what relations use to find related resources.
+ * - `readOnly`: linked resources expanded along with the resource, which
+ *   Loopback can read but never write, mapped to how they're converted.
+ * - `get`, `list` and `create`: how to retrieve, list and create it.
+ */
+var RESOURCES = {
+  accounts: {
+    fields: ['givenName', 'middleName', 'surname', 'username', 'email', 'status'],
+    customData: true,
+    links: {
+      directoryId: 'directory'
+    },
+    scopes: {
+      directoryId: subCollection('directories', 'accounts'),
+      organizationId: subCollection('organizations', 'accounts')
+    },
+    readOnly: {
+      providerData: helpers.providerDataToJson
+    },
+    get: function(connector, href, query, callback) {
+      connector.client.getAccount(href, query, callback);
+    },
+    list: function(connector, query, callback) {
+      connector.application.getAccounts(query, callback);
+    },
+    create: function(connector, data, parents, callback) {
+      if (!parents.directoryId) {
+        return connector.application.createAccount(data, callback);
+      }
+
+      var href = helpers.idToHref(connector.application, 'directories', parents.directoryId);
+      connector.client.getDirectory(href, function(err, directory) {
+        if (err) return callback(err);
+        directory.createAccount(data, callback);
+      });
+    }
+  },
+
+  groups: {
+    fields: ['name', 'description', 'status'],
+    links: {
+      directoryId: 'directory'
+    },
+    scopes: {
+      directoryId: subCollection('directories', 'groups')
+    },
+    get: function(connector, href, query, callback) {
+      connector.client.getGroup(href, query, callback);
+    },
+    list: function(connector, query, callback) {
+      connector.application.getGroups(query, callback);
+    },
+    create: function(connector, data, parents, callback) {
+      if (!parents.directoryId) {
+        return connector.application.createGroup(data, callback);
+      }
+
+      var href = helpers.idToHref(connector.application, 'directories', parents.directoryId);
+      connector.client.getDirectory(href, function(err, directory) {
+        if (err) return callback(err);
+        directory.createGroup(data, callback);
+      });
+    }
+  },
+
+  directories: {
+    fields: ['name', 'description', 'status'],
+    scopes: {
+      organizationId: organizationDirectories
+    },
+    get: function(connector, href, query, callback) {
+      connector.client.getDirectory(href, query, callback);
+    },
+    list: function(connector, query, callback) {
+      connector.client.getDirectories(query, callback);
+    },
+    create: function(connector, data, parents, callback) {
+      connector.client.createDirectory(data, function(err, directory) {
+        if (err || !parents.organizationId) return callback(err, directory);
+
+        connector.client.createResource(helpers.idToHref(connector.application, 'organizationAccountStoreMappings'), {
+          organization: { href: helpers.idToHref(connector.application, 'organizations', parents.organizationId) },
+          accountStore: { href: directory.href }
+        }, function(err) {
+          callback(err, directory);
+        });
+      });
+    }
+  },
+
+  organizations: {
+    fields: ['name', 'nameKey', 'description', 'status'],
+    get: function(connector, href, query, callback) {
+      connector.client.getResource(href, query, callback);
+    },
+    list: function(connector, query, callback) {
+      connector.client.getResource(connector.application.tenant.href + '/organizations', query, callback);
+    },
+    create: function(connector, data, parents, callback) {
+      connector.client.createResource(helpers.idToHref(connector.application, 'organizations'), data, callback);
+    }
+  },
+
+  groupMemberships: {
+    fields: [],
+    links: {
+      userId: 'account',
+      groupId: 'group'
+    },
+    scopes: {
+      userId: subCollection('accounts', 'groupMemberships'),
+      groupId: subCollection('groups', 'accountMemberships')
+    },
+    get: function(connector, href, query, callback) {
+      connector.client.getGroupMembership(href, query, callback);
+    },
+    create: function(connector, data, parents, callback) {
+      connector.client.createResource(helpers.idToHref(connector.application, 'groupMemberships'), {
+        account: { href: helpers.idToHref(connector.application, 'accounts', parents.userId) },
+        group: { href: helpers.idToHref(connector.application, 'groups', parents.groupId) }
+      }, callback);
+    }
+  }
+};
+
+/**
+ * The collection each resource type lives in, used to build hrefs from IDs.
+ */
+Object.keys(RESOURCES).forEach(function(name) {
+  RESOURCES[name].collection = name;
+});
+
+/**
+ * Fields Stormpath manages itself, which are never written.
+ */
+var READ_ONLY_FIELDS = ['id', 'href', 'createdAt', 'modifiedAt'];
+
+/**
+ * Find the Stormpath resource type backing the given model, as set by the
+ * model's `stormpath` setting:
+ *
+ *   "stormpath": {
+ *     "resource": "accounts",
+ *     "privateCustomData": ["passwordResetRequestedAt"]
+ *   }
+ *
+ * where `privateCustomData` lists the customData fields the model keeps to
+ * itself, which are never read nor written through the connector.
+ *
+ * @param {Object} connector The connector.
+ * @param {String} model The model name.
+ * @return {Object} The resource type.
+ */
+function resourceType(connector, model) {
+  var definition = connector._models[model];
+  var settings = definition && definition.settings && definition.settings.stormpath;
+  var name = (settings && settings.resource) || 'accounts';
+
+  if (!RESOURCES[name]) {
+    throw new Error('Unknown Stormpath resource "' + name + '" for model ' + model);
+  }
+
+  var type = Object.create(RESOURCES[name]);
+  type.customFields = type.customData ? customDataFields(definition) : [];
+  type.privateFields = (settings && settings.privateCustomData) || [];
+
+  return type;
+}
+
+/**
+ * Find the model properties stored in the resource's customData, declared
+ * like so:
+ *
+ *   "preferences": {
+ *     "type": "object",
+ *     "stormpath": {
+ *       "customData": true
+ *     }
+ *   }
+ *
+ * @param {Object} definition The model definition.
+ * @return {String[]} The property names.
+ */
+function customDataFields(definition) {
+  var properties = (definition && definition.properties) || {};
+
+  return Object.keys(properties).filter(function(key) {
+    var settings = properties[key] && properties[key].stormpath;
+    return !!(settings && settings.customData);
+  });
+}
+
+/**
+ * Convert a Stormpath resource into JSON.
+ *
+ * @param {Object} type The resource type.
+ * @param {Object} resource The Stormpath resource.
+ * @return {Object} The JSON representation of this resource.
+ */
+function toJson(type, resource) {
+  var data = { id: helpers.hrefToId(resource.href) };
+
+  type.fields.concat(['createdAt', 'modifiedAt']).forEach(function(field) {
+    if (resource[field] !== undefined) {
+      data[field] = resource[field];
+    }
+  });
+
+  Object.keys(type.links || {}).forEach(function(key) {
+    var link = resource[type.links[key]];
+    if (link && link.href) {
+      data[key] = helpers.hrefToId(link.href);
+    }
+  });
+
+  // Unexpanded links only hold an href.
+  Object.keys(type.readOnly || {}).forEach(function(key) {
+    if (resource[key] && resource[key].createdAt) {
+      data[key] = type.readOnly[key](resource[key]);
+    }
+  });
+
+  // Declared customData fields are read like any other field, the rest of the
+  // customData is available as a whole.
+  if (type.customData && resource.customData && resource.customData.createdAt) {
+    data.customData = {};
+    Object.keys(resource.customData).forEach(function(key) {
+      var value = resource.customData[key];
+
+      if (READ_ONLY_FIELDS.indexOf(key) !== -1 || typeof value === 'function' ||
+          type.privateFields.indexOf(key) !== -1) {
+        return;
+      } else if (type.customFields.indexOf(key) !== -1) {
+        data[key] = value;
+      } else {
+        data.customData[key] = value;
+      }
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Build the query expanding what's read along with resources of the given
+ * type: their customData and read-only links.
+ *
+ * @param {Object} type The resource type.
+ * @return {Object} The query, eg: `{expand: 'customData,providerData'}`.
+ */
+function expandQuery(type) {
+  var expand = (type.customData ? ['customData'] : []).concat(Object.keys(type.readOnly || {}));
+  return expand.length ? { expand: expand.join(',') } : {};
+}
+
+/**
+ * Turn the dates Stormpath hands back as strings into `Date` objects, for the
+ * model properties typed as dates.
+ *
+ * @param {Object} definition The model definition.
+ * @param {Object} data The model data.
+ * @return {Object} The model data.
+ */
+function castDates(definition, data) {
+  var properties = (definition && definition.properties) || {};
+
+  Object.keys(properties).forEach(function(key) {
+    if (properties[key] && properties[key].type === Date && typeof data[key] === 'string') {
+      data[key] = new Date(data[key]);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Split Loopback model data into the resource's own attributes, its parent
+ * resources (foreign keys) and, for resources supporting it, customData.
+ *
+ * @param {Object} type The resource type.
+ * @param {Object} data The model data.
+ * @return {Object} `{attributes: {}, parents: {}, customData: {}}`
+ */
+function splitData(type, data) {
+  var parentKeys = Object.keys(type.links || {}).concat(Object.keys(type.scopes || {}));
+  var result = { attributes: {}, parents: {}, customData: {} };
+
+  Object.keys(data).forEach(function(key) {
+    var value = data[key];
+
+    if (value === undefined || READ_ONLY_FIELDS.indexOf(key) !== -1 ||
+        (type.readOnly && type.readOnly[key])) {
+      return;
+    } else if (parentKeys.indexOf(key) !== -1) {
+      result.parents[key] = value;
+    } else if (type.fields.indexOf(key) !== -1 || (type.customData && key === 'password')) {
+      result.attributes[key] = value;
+    } else if (type.customData && key === 'customData' && value && typeof value === 'object') {
+      Object.keys(value).forEach(function(customKey) {
+        if (type.privateFields.indexOf(customKey) === -1) {
+          result.customData[customKey] = value[customKey];
+        }
+      });
+    } else if (type.customData && type.privateFields.indexOf(key) === -1) {
+      result.customData[key] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * The where filter operators of range conditions.
+ */
+var RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+
+/**
+ * Fields Stormpath can search by range, on top of customData fields.
+ */
+var DATE_FIELDS = ['createdAt', 'modifiedAt'];
+
+/**
+ * Build the error for filters Stormpath can't run.  They're rejected, rather
+ * than silently giving wrong results.
+ *
+ * @param {String} message The error message.
+ * @return {Error}
+ */
+function unsupportedFilterError(message) {
+  var err = new Error(message);
+  err.statusCode = 400;
+  err.code = 'UNSUPPORTED_FILTER';
+
+  return err;
+}
+
+/**
+ * Check whether the given where filter condition is a plain value match.
+ *
+ * @param {*} value The condition.
+ * @return {Boolean}
+ */
+function isPlainValue(value) {
+  return typeof value === 'string' || typeof value === 'number' ||
+    typeof value === 'boolean' || value instanceof Date;
+}
+
+/**
+ * Check whether the given where filter condition only holds range operators,
+ * eg: `{gt: date}`.
+ *
+ * @param {*} cond The condition.
+ * @return {Boolean}
+ */
+function isRange(cond) {
+  return !!cond && typeof cond === 'object' && !isPlainValue(cond) && Object.keys(cond).every(function(op) {
+    return RANGE_OPERATORS.indexOf(op) !== -1;
+  });
+}
+
+/**
+ * Flatten a where filter: the clauses of `and` are merged into the filter,
+ * along with the range conditions on the same property, eg:
+ * `{and: [{createdAt: {gte: a}}, {createdAt: {lt: b}}]}` becomes
+ * `{createdAt: {gte: a, lt: b}}`.  Stormpath searches can't express `or`.
+ *
+ * @param {Object} where The Loopback where filter.
+ * @return {Object} The flat where filter.
+ * @throws {Error} For filters Stormpath can't run.
+ */
+function flattenWhere(where) {
+  var flat = {};
+
+  (function merge(where) {
+    Object.keys(where || {}).forEach(function(key) {
+      var cond = where[key];
+
+      if (key === 'and' && Array.isArray(cond)) {
+        return cond.forEach(merge);
+      } else if (key === 'or' || key === 'nor') {
+        throw unsupportedFilterError('Stormpath searches don\'t support "' + key + '" filters');
+      } else if (flat[key] === undefined) {
+        flat[key] = cond;
+      } else if (isRange(flat[key]) && isRange(cond)) {
+        var range = {};
+        [flat[key], cond].forEach(function(ops) {
+          Object.keys(ops).forEach(function(op) {
+            range[op] = ops[op];
+          });
+        });
+        flat[key] = range;
+      } else {
+        throw unsupportedFilterError('Stormpath searches support a single condition on ' + key);
+      }
+    });
+  })(where);
+
+  return flat;
+}
+
+/**
+ * Read the values a where filter condition matches: either a single value, or
+ * a list of values through `eq` or `inq`.
+ *
+ * @param {*} cond The where filter condition.
+ * @return {Array} The values.
+ */
+function conditionValues(cond) {
+  if (cond && typeof cond === 'object' && Array.isArray(cond.inq)) {
+    return cond.inq;
+  } else if (cond && typeof cond === 'object' && cond.eq !== undefined) {
+    return [cond.eq];
+  }
+
+  return [cond];
+}
+
+/**
+ * Find the name Stormpath searches the given property under.
+ *
+ * @param {Object} type The resource type.
+ * @param {String} key The property.
+ * @return {String} The search parameter, eg: `customData.plan`.
+ * @throws {Error} For properties Stormpath can't search on.
+ */
+function searchParameter(type, key) {
+  if (type.fields.indexOf(key) !== -1 || DATE_FIELDS.indexOf(key) !== -1) {
+    return key;
+  } else if (type.customData && type.customFields.indexOf(key) !== -1) {
+    return 'customData.' + key;
+  } else if (type.customData && key.indexOf('customData.') === 0) {
+    return key;
+  }
+
+  throw unsupportedFilterError('Stormpath ' + type.collection + ' can\'t be searched on ' + key);
+}
+
+/**
+ * Convert a value into a Stormpath search value.
+ *
+ * @param {*} value The value.
+ * @return {String|Number|Boolean}
+ */
+function searchValue(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Translate a `like` pattern into a Stormpath wildcard search.  Stormpath
+ * only matches prefixes, suffixes or substrings, so `%` (or `*`) wildcards
+ * are only supported at the start or end of the pattern.
+ *
+ * @param {String} pattern The pattern, eg: `%@example.com`.
+ * @return {String} The search value, eg: `*@example.com`.
+ * @throws {Error} For patterns Stormpath can't search with.
+ */
+function likeSearchValue(pattern) {
+  if (typeof pattern !== 'string' || !/^[%*]?[^%*^$()[\]{}|\\+?]*[%*]?$/.test(pattern)) {
+    throw unsupportedFilterError('Stormpath searches only support like patterns with a % wildcard ' +
+      'at their start or end, not ' + pattern);
+  }
+
+  return pattern.replace(/%/g, '*');
+}
+
+/**
+ * Translate a range condition into a Stormpath range search, eg:
+ * `{gte: a, lt: b}` becomes `[a, b)`.
+ *
+ * @param {String} key The property.
+ * @param {Object} cond The range condition.
+ * @return {String} The search value.
+ * @throws {Error} For conditions Stormpath can't search with.
+ */
+function rangeSearchValue(key, cond) {
+  var from = '';
+  var to = '';
+  var open = '[';
+  var close = ']';
+
+  if ((cond.gt !== undefined && cond.gte !== undefined) || (cond.lt !== undefined && cond.lte !== undefined) ||
+      (cond.between !== undefined && Object.keys(cond).length > 1)) {
+    throw unsupportedFilterError('Stormpath searches support a single range on ' + key);
+  }
+
+  if (cond.between !== undefined) {
+    if (!Array.isArray(cond.between) || cond.between.length !== 2) {
+      throw unsupportedFilterError('between needs two values');
+    }
+
+    from = searchValue(cond.between[0]);
+    to = searchValue(cond.between[1]);
+  }
+
+  if (cond.gt !== undefined || cond.gte !== undefined) {
+    open = cond.gt !== undefined ? '(' : '[';
+    from = searchValue(cond.gt !== undefined ? cond.gt : cond.gte);
+  }
+
+  if (cond.lt !== undefined || cond.lte !== undefined) {
+    close = cond.lt !== undefined ? ')' : ']';
+    to = searchValue(cond.lt !== undefined ? cond.lt : cond.lte);
+  }
+
+  return open + from + ', ' + to + close;
+}
+
+/**
+ * Build the Stormpath search queries out of a flat Loopback where filter (see
+ * `flattenWhere()`).  Stormpath matches values case-insensitively, and
+ * supports:
+ *
+ * - plain matches, or `eq`, against the resource's fields, its declared
+ *   customData fields, or `customData.`-prefixed ones, eg:
+ *   `{'customData.plan': 'pro'}`;
+ * - `like` (or `ilike`) with a `%` wildcard at the start or end, eg:
+ *   `{email: {like: '%@example.com'}}`;
+ * - `gt`, `gte`, `lt`, `lte` and `between` on `createdAt`, `modifiedAt` and
+ *   customData fields;
+ * - `inq`, which takes a search per value.
+ *
+ * IDs and foreign keys aren't searched on, but looked up.
+ *
+ * @param {Object} type The resource type.
+ * @param {Object} where The flat Loopback where filter.
+ * @return {Object[]} The Stormpath queries, whose results add up.
+ * @throws {Error} For filters Stormpath can't run.
+ */
+function buildQueries(type, where) {
+  var query = {};
+  var inq = null;
+
+  Object.keys(where).forEach(function(key) {
+    var cond = where[key];
+    var ops = cond && typeof cond === 'object' && !isPlainValue(cond) ? Object.keys(cond) : [];
+
+    if (key === 'id' || (type.links && type.links[key]) || (type.scopes && type.scopes[key])) {
+      if (ops.length && (ops.length > 1 || (ops[0] !== 'inq' && ops[0] !== 'eq'))) {
+        throw unsupportedFilterError('Stormpath ' + type.collection + ' can only be looked up by ' + key +
+          ' with plain, eq or inq conditions');
+      }
+      return;
+    }
+
+    var parameter = searchParameter(type, key);
+    var op = ops.filter(function(op) {
+      return op !== 'options';
+    });
+
+    if (isPlainValue(cond)) {
+      query[parameter] = searchValue(cond);
+    } else if (op.length === 1 && op[0] === 'eq' && isPlainValue(cond.eq)) {
+      query[parameter] = searchValue(cond.eq);
+    } else if (op.length === 1 && (op[0] === 'like' || op[0] === 'ilike')) {
+      query[parameter] = likeSearchValue(cond[op[0]]);
+    } else if (op.length === 1 && op[0] === 'inq' && Array.isArray(cond.inq)) {
+      if (inq) {
+        throw unsupportedFilterError('Stormpath searches support inq on a single property');
+      }
+      inq = { parameter: parameter, values: cond.inq };
+    } else if (op.length && isRange(cond)) {
+      if (DATE_FIELDS.indexOf(key) === -1 && parameter.indexOf('customData.') !== 0) {
+        throw unsupportedFilterError('Stormpath can only search ' + key + ' by value, not by range');
+      }
+      query[parameter] = rangeSearchValue(key, cond);
+    } else {
+      throw unsupportedFilterError('Stormpath searches don\'t support ' +
+        (op.length ? 'the ' + op.join(', ') + ' operator on ' : 'this condition on ') + key);
+    }
+  });
+
+  if (!inq) {
+    return [query];
+  }
+
+  return inq.values.map(function(value) {
+    var valueQuery = {};
+
+    Object.keys(query).forEach(function(key) {
+      valueQuery[key] = query[key];
+    });
+    valueQuery[inq.parameter] = searchValue(value);
+
+    return valueQuery;
+  });
+}
+
+/**
+ * Check whether the given resource JSON matches Stormpath search queries, for
+ * resources which were looked up rather than searched.
+ *
+ * @param {Object} type The resource type.
+ * @param {Object} data The resource JSON.
+ * @param {Object[]} queries The Stormpath queries.
+ * @return {Boolean} Whether it matches any of the queries.
+ */
+function matchesQueries(type, data, queries) {
+  return queries.some(function(query) {
+    return Object.keys(query).every(function(parameter) {
+      var key = parameter.replace(/^customData\./, '');
+      var value = parameter === key || type.customFields.indexOf(key) !== -1 ?
+        data[key] : (data.customData || {})[key];
+
+      return helpers.matchesSearch(value, query[parameter]);
+    });
+  });
+}
+
+/**
+ * Build the Stormpath `orderBy` parameter out of a Loopback order filter.
+ * Stormpath only orders by the resource's fields.
+ *
+ * @param {Object} type The resource type.
+ * @param {String|String[]} order The Loopback order filter, eg:
+ *   `'surname ASC'` or `['surname ASC', 'givenName DESC']`.
+ * @return {String} The orderBy parameter, eg: `surname asc,givenName desc`,
+ *   or `undefined` without an order.
+ * @throws {Error} For fields Stormpath can't order by.
+ */
+function buildOrderBy(type, order) {
+  if (!order) return undefined;
+
+  return [].concat(order).join(',').split(',').map(function(clause) {
+    var parts = clause.trim().split(/\s+/);
+    var direction = (parts[1] || 'ASC').toUpperCase();
+
+    if (type.fields.indexOf(parts[0]) === -1 && DATE_FIELDS.indexOf(parts[0]) === -1) {
+      throw unsupportedFilterError('Stormpath ' + type.collection + ' can\'t be ordered by ' + parts[0]);
+    } else if (direction !== 'ASC' && direction !== 'DESC') {
+      throw unsupportedFilterError('Invalid order direction ' + parts[1]);
+    }
+
+    return parts[0] + ' ' + direction.toLowerCase();
+  }).join(',');
+}
+
+/**
+ * Check whether the given resource JSON matches the foreign keys of a where
+ * filter.  Listing a resource through one of its scopes only narrows it down
+ * by that scope, so the others are checked here.
+ *
+ * @param {Object} type The resource type.
+ * @param {Object} data The resource JSON.
+ * @param {Object} where The Loopback where filter.
+ * @return {Boolean} Whether the resource matches.
+ */
+function matchesLinks(type, data, where) {
+  return Object.keys(type.links || {}).every(function(key) {
+    if (where[key] === undefined) return true;
+
+    return conditionValues(where[key]).some(function(value) {
+      return String(value) === String(data[key]);
+    });
+  });
+}
+
+/**
+ * The connector methods we replace on the `loopback-connector-stormpath`
+ * connector.  That connector only knows about Stormpath Accounts and doesn't
+ * look up resources by ID, so we take care of all CRUD operations here, and
+ * rely on it for connecting and authenticating.
+ */
+var methods = {};
+
+/**
+ * Make sure we're connected to Stormpath before running the given function.
+ *
+ * @param {Function} callback The callback to hand connection errors to.
+ * @param {Function} fn The function to run once connected.
+ */
+methods.whenConnected = function(callback, fn) {
+  this.connect(function(err) {
+    if (err) return callback(err);
+    fn();
+  });
+};
+
+/**
+ * Retrieve a resource by ID.
+ *
+ * @param {Object} type The resource type.
+ * @param {String} id The resource ID.
+ * @param {Object} [query] The query, eg: `{expand: 'customData'}`.
+ * @param {Function} callback The callback function, called with `null` when
+ *   the resource doesn't exist.
+ */
+methods.getResourceById = function(type, id, query, callback) {
+  var self = this;
+
+  if (typeof query === 'function') {
+    callback = query;
+    query = {};
+  }
+
+  self.whenConnected(callback, function() {
+    var href = helpers.idToHref(self.application, type.collection, id);
+
+    type.get(self, href, query, function(err, resource) {
+      if (err && err.status === 404) return callback(null, null);
+      callback(err, resource);
+    });
+  });
+};
+
+/**
+ * Find the foreign key of a where filter the resources are listed by, if any.
+ *
+ * @param {Object} type The resource type.
+ * @param {Object} where The Loopback where filter.
+ * @return {String} The foreign key, eg: `directoryId`.
+ */
+function findScope(type, where) {
+  return Object.keys(type.scopes || {}).filter(function(key) {
+    return where[key] !== undefined;
+  })[0];
+}
+
+/**
+ * Find the Stormpath searches to run for the given where filter: one per
+ * query, within each of the collections the where filter lists resources by.
+ *
+ * @param {Object} type The resource type.
+ * @param {Object} where The Loopback where filter.
+ * @param {Object[]} queries The Stormpath queries, see `buildQueries()`.
+ * @param {Function} callback The callback function, called with an array of
+ *   `{fetch: function(query, callback), parents: {}}` objects, `fetch`
+ *   fetching a page of the search.
+ */
+methods.findSearches = function(type, where, queries, callback) {
+  var self = this;
+  var scope = findScope(type, where);
+
+  if (!scope && !type.list) {
+    var err = new Error('Stormpath ' + type.collection + ' can only be listed by ' +
+      Object.keys(type.scopes).join(' or '));
+    err.statusCode = 400;
+
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  self.whenConnected(callback, function() {
+    var searches = [];
+
+    (scope ? conditionValues(where[scope]) : [null]).forEach(function(id) {
+      var parents = {};
+      if (scope) parents[scope] = id;
+
+      queries.forEach(function(query) {
+        searches.push({
+          parents: parents,
+          fetch: function(pageQuery, cb) {
+            Object.keys(query).forEach(function(key) {
+              pageQuery[key] = query[key];
+            });
+
+            if (scope) return type.scopes[scope](self, id, pageQuery, cb);
+            type.list(self, pageQuery, cb);
+          }
+        });
+      });
+    });
+
+    callback(null, searches);
+  });
+};
+
+/**
+ * Create a new model instance for the given data.
+ *
+ * @param {String} model The model name.
+ * @param {Object} data The model data.
+ * @param {Function} [callback] The callback function.
+ */
+methods.create = function(model, data, callback) {
+  var self = this;
+  var type = resourceType(self, model);
+  var split = splitData(type, data);
+
+  // `null` clears a customData field, so there's nothing to store for it yet.
+  Object.keys(split.customData).forEach(function(key) {
+    if (split.customData[key] === null) {
+      delete split.customData[key];
+    }
+  });
+
+  if (Object.keys(split.customData).length) {
+    split.attributes.customData = split.customData;
+  }
+
+  self.whenConnected(callback, function() {
+    type.create(self, split.attributes, split.parents, function(err, resource) {
+      if (err) return callback(err);
+      callback(null, helpers.hrefToId(resource.href));
+    });
+  });
+};
+
+/**
+ * Find a model instance by ID.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The model ID.
+ * @param {Function} [callback] The callback function.
+ */
+methods.find = function(model, id, callback) {
+  var self = this;
+  var type = resourceType(self, model);
+
+  self.getResourceById(type, id, expandQuery(type), function(err, resource) {
+    if (err) return callback(err);
+    callback(null, resource ? castDates(self._models[model], toJson(type, resource)) : null);
+  });
+};
+
+/**
+ * Check if a model instance exists by ID.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The model ID.
+ * @param {Function} [callback] The callback function.
+ */
+methods.exists = function(model, id, callback) {
+  this.find(model, id, function(err, data) {
+    callback(err, !!data);
+  });
+};
+
+/**
+ * Parse the where filter of a find or count into the Stormpath queries it
+ * translates to.
+ *
+ * @param {Object} type The resource type.
+ * @param {Object} where The Loopback where filter.
+ * @return {Object} `{where: Object, queries: Object[]}`, the flat where
+ *   filter and the queries, or `{error: Error}` if Stormpath can't run it.
+ */
+function parseWhere(type, where) {
+  try {
+    where = flattenWhere(where);
+    return { where: where, queries: buildQueries(type, where) };
+  } catch (err) {
+    return { error: err };
+  }
+}
+
+/**
+ * Check whether the resources matching a where filter need narrowing down
+ * further than what Stormpath searches for, because of foreign keys other
+ * than the one they're listed by.
+ *
+ * @param {Object} type The resource type.
+ * @param {Object} where The flat Loopback where filter.
+ * @return {Boolean}
+ */
+function isNarrowed(type, where) {
+  var scope = findScope(type, where);
+
+  return Object.keys(type.links || {}).some(function(key) {
+    return key !== scope && where[key] !== undefined;
+  });
+}
+
+/**
+ * Find matching model instances by the filter.  The where filter is turned
+ * into Stormpath searches (see `buildQueries()`), ordered and paged by
+ * Stormpath whenever a single search is enough.  Otherwise, the results of
+ * the searches are merged, ordered and paged here.
+ *
+ * @param {String} model The model name.
+ * @param {Object} filter The filter.
+ * @param {Function} [callback] The callback function.
+ */
+methods.all = function(model, filter, callback) {
+  var self = this;
+  var type = resourceType(self, model);
+
+  filter = filter || {};
+
+  var parsed = parseWhere(type, filter.where);
+  var orderBy;
+
+  try {
+    orderBy = buildOrderBy(type, filter.order);
+  } catch (err) {
+    parsed.error = parsed.error || err;
+  }
+
+  if (parsed.error) {
+    return process.nextTick(function() {
+      callback(parsed.error);
+    });
+  }
+
+  var where = parsed.where;
+  var skip = filter.skip || filter.offset || 0;
+  var limit = filter.limit || 0;
+
+  function done(err, results, paged) {
+    if (err) return callback(err);
+
+    if (!paged) {
+      if (orderBy) {
+        results.sort(helpers.compareBy(orderBy));
+      }
+
+      results = results.slice(skip);
+      if (limit) {
+        results = results.slice(0, limit);
+      }
+    }
+
+    results.forEach(function(data) {
+      castDates(self._models[model], data);
+    });
+
+    if (!filter.include) return callback(null, results);
+    self._models[model].model.include(results, filter.include, {}, callback);
+  }
+
+  // Looking resources up by ID is a direct fetch, rather than a search.
+  if (where.id !== undefined) {
+    return async.mapSeries(conditionValues(where.id), function(id, cb) {
+      self.getResourceById(type, id, expandQuery(type), cb);
+    }, function(err, resources) {
+      if (err) return callback(err);
+
+      done(null, resources.filter(Boolean).map(function(resource) {
+        return toJson(type, resource);
+      }).filter(function(data) {
+        return matchesQueries(type, data, parsed.queries) && matchesLinks(type, data, where);
+      }));
+    });
+  }
+
+  var query = expandQuery(type);
+  if (orderBy) {
+    query.orderBy = orderBy;
+  }
+
+  self.findSearches(type, where, parsed.queries, function(err, searches) {
+    if (err) return callback(err);
+
+    // A single search is paged by Stormpath.
+    var paged = searches.length === 1 && !isNarrowed(type, where);
+    if (paged) {
+      query.offset = skip;
+    }
+
+    var results = [];
+    async.eachSeries(searches, function(search, cb) {
+      eachResource(search.fetch, query, paged ? limit : 0, function(resource) {
+        var data = toJson(type, resource);
+
+        Object.keys(search.parents).forEach(function(key) {
+          data[key] = search.parents[key];
+        });
+
+        if (matchesLinks(type, data, where)) {
+          results.push(data);
+        }
+      }, cb);
+    }, function(err) {
+      done(err, results, paged);
+    });
+  });
+};
+
+/**
+ * Count the number of instances for the given model.  Stormpath counts the
+ * results of its searches, without them being read.
+ *
+ * @param {String} model The model name.
+ * @param {Function} [callback] The callback function.
+ * @param {Object} where The where filter.
+ */
+methods.count = function(model, callback, where) {
+  var self = this;
+  var type = resourceType(self, model);
+  var parsed = parseWhere(type, where);
+
+  if (parsed.error) {
+    return process.nextTick(function() {
+      callback(parsed.error);
+    });
+  }
+
+  where = parsed.where;
+
+  // Search sizes only account for the collection they were listed through,
+  // so anything narrower has to be counted by hand.
+  if (where.id !== undefined || isNarrowed(type, where)) {
+    return self.all(model, { where: where }, function(err, results) {
+      callback(err, err ? null : results.length);
+    });
+  }
+
+  self.findSearches(type, where, parsed.queries, function(err, searches) {
+    if (err) return callback(err);
+
+    async.mapSeries(searches, function(search, cb) {
+      search.fetch({ limit: 1 }, function(err, collection) {
+        cb(err, err ? null : collection.size);
+      });
+    }, function(err, sizes) {
+      if (err) return callback(err);
+
+      callback(null, sizes.reduce(function(total, size) {
+        return total + size;
+      }, 0));
+    });
+  });
+};
+
+/**
+ * Update the attributes of the model instance with the given ID.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The model ID.
+ * @param {Object} data The model data to update.
+ * @param {Function} [callback] The callback function.
+ */
+methods.updateAttributes = function(model, id, data, callback) {
+  var type = resourceType(this, model);
+  var query = type.customData ? { expand: 'customData' } : {};
+
+  this.getResourceById(type, id, query, function(err, resource) {
+    if (err) return callback(err);
+
+    if (!resource) {
+      err = new Error('No ' + model + ' found for id ' + id);
+      err.statusCode = 404;
+      err.code = 'NOT_FOUND';
+
+      return callback(err);
+    }
+
+    var split = splitData(type, data);
+
+    Object.keys(split.attributes).forEach(function(key) {
+      resource[key] = split.attributes[key];
+    });
+
+    // Only the given customData fields change, and `null` removes one.
+    Object.keys(split.customData).forEach(function(key) {
+      if (split.customData[key] === null) {
+        resource.customData.remove(key);
+      } else {
+        resource.customData[key] = split.customData[key];
+      }
+    });
+
+    debug('Saving %s %s', model, id);
+    resource.save(function(err) {
+      if (err) return callback(err);
+      callback(null, toJson(type, resource));
+    });
+  });
+};
+
+/**
+ * Save the model instance for the given data.
+ *
+ * @param {String} model The model name.
+ * @param {Object} data The model data.
+ * @param {Function} [callback] The callback function.
+ */
+methods.save = function(model, data, callback) {
+  this.updateAttributes(model, data.id, data, function(err) {
+    callback(err || null);
+  });
+};
+
+/**
+ * Update if the model instance exists with the same ID or create a new
+ * instance.
+ *
+ * @param {String} model The model name.
+ * @param {Object} data The model instance data.
+ * @param {Function} [callback] The callback function.
+ */
+methods.updateOrCreate = function(model, data, callback) {
+  var self = this;
+
+  function create() {
+    self.create(model, data, function(err, id) {
+      if (err) return callback(err);
+      self.find(model, id, callback);
+    });
+  }
+
+  if (data.id === undefined) {
+    return create();
+  }
+
+  self.exists(model, data.id, function(err, exists) {
+    if (err) return callback(err);
+    if (!exists) return create();
+
+    self.updateAttributes(model, data.id, data, callback);
+  });
+};
+
+/**
+ * Update all matching instances.
+ *
+ * @param {String} model The model name.
+ * @param {Object} where The where filter.
+ * @param {Object} data The property/value pairs to be updated.
+ * @param {Function} [callback] The callback function.
+ */
+methods.update = methods.updateAll = function(model, where, data, callback) {
+  var self = this;
+
+  self.all(model, { where: where }, function(err, results) {
+    if (err) return callback(err);
+
+    async.eachSeries(results, function(result, cb) {
+      self.updateAttributes(model, result.id, data, cb);
+    }, function(err) {
+      if (err) return callback(err);
+      callback(null, { count: results.length });
+    });
+  });
+};
+
+/**
+ * Delete the model instance with the given ID.
+ *
+ * @param {String} model The model name.
+ * @param {String} id The model ID.
+ * @param {Function} [callback] The callback function.
+ */
+methods.destroy = function(model, id, callback) {
+  var type = resourceType(this, model);
+
+  this.getResourceById(type, id, function(err, resource) {
+    if (err) return callback(err);
+    if (!resource) return callback(null, { count: 0 });
+
+    debug('Deleting %s %s', model, id);
+    resource.delete(function(err) {
+      if (err) return callback(err);
+      callback(null, { count: 1 });
+    });
+  });
+};
+
+/**
+ * Delete all matching instances.
+ *
+ * @param {String} model The model name.
+ * @param {Object} [where] The where filter.
+ * @param {Function} [callback] The callback function.
+ */
+methods.destroyAll = function(model, where, callback) {
+  var self = this;
+
+  if (!callback && typeof where === 'function') {
+    callback = where;
+    where = undefined;
+  }
+
+  self.all(model, { where: where }, function(err, results) {
+    if (err) return callback(err);
+
+    var count = 0;
+    async.eachSeries(results, function(result, cb) {
+      self.destroy(model, result.id, function(err, info) {
+        count += info ? info.count : 0;
+        cb(err);
+      });
+    }, function(err) {
+      if (err) return callback(err);
+      callback(null, { count: count });
+    });
+  });
+};
+
+/**
+ * The environment variables the datasource settings default to, so that
+ * credentials don't need to live in `datasources.json`.  The first variable
+ * which is set wins.
+ */
+var ENVIRONMENT_SETTINGS = {
+  apiKeyId: ['STORMPATH_CLIENT_APIKEY_ID', 'STORMPATH_API_KEY_ID'],
+  apiKeySecret: ['STORMPATH_CLIENT_APIKEY_SECRET', 'STORMPATH_API_KEY_SECRET'],
+  applicationHref: ['STORMPATH_APPLICATION_HREF', 'STORMPATH_APP_HREF']
+};
+
+/**
+ * Wrap a connector's `connect()` method so that, once connected, the
+ * Stormpath client sends its requests through the connector's cache.
+ *
+ * @param {Function} connect The `connect()` method.
+ * @return {Function} The wrapped method.
+ */
+function cachedConnect(connect) {
+  return function(callback) {
+    var self = this;
+
+    connect.call(self, function(err) {
+      // The SDK has no public way of plugging into its requests.
+      var dataStore = !err && self.client._dataStore;
+
+      if (dataStore && dataStore.requestExecutor.cache !== self.cache) {
+        dataStore.requestExecutor = self.cache.wrap(dataStore.requestExecutor);
+      }
+
+      if (callback) callback.apply(null, arguments);
+    });
+  };
+}
+
+/**
+ * Initialize the Stormpath connector for the given data source.
+ *
+ * With the `mock` setting, set to `true` or to the mock options (see
+ * `lib/mock.js`), the connector works offline against an in-memory stand-in
+ * for Stormpath, available as `dataSource.connector.mock`.
+ *
+ * With the `cache` setting, set to `true` or to the cache options (see
+ * `lib/cache.js`), Stormpath's responses are cached.  The cache, and its
+ * statistics, are available as `dataSource.connector.cache`.
+ *
+ * @param {Object} dataSource The data source instance.
+ * @param {Function} [callback] The callback function.
+ */
+exports.initialize = function initializeDataSource(dataSource, callback) {
+  var settings = dataSource.settings = dataSource.settings || {};
+
+  Object.keys(ENVIRONMENT_SETTINGS).forEach(function(key) {
+    ENVIRONMENT_SETTINGS[key].forEach(function(name) {
+      if (!settings[key] && process.env[name]) {
+        settings[key] = process.env[name];
+      }
+    });
+  });
+
+  stormpathConnector.initialize(dataSource);
+
+  var connector = dataSource.connector;
+  Object.keys(methods).forEach(function(name) {
+    connector[name] = methods[name];
+  });
+
+  // Talk to an in-memory stand-in for Stormpath rather than to Stormpath.
+  if (settings.mock) {
+    connector.mock = new MockStormpath(settings);
+    connector.connect = MockStormpath.connect;
+
+    settings.apiKeyId = connector.mock.options.apiKey.id;
+    settings.apiKeySecret = connector.mock.options.apiKey.secret;
+    settings.applicationHref = connector.mock.applicationHref;
+  }
+
+  if (settings.cache) {
+    connector.cache = new Cache(settings.cache === true ? {} : settings.cache);
+    connector.connect = cachedConnect(connector.connect);
+  }
+
+  if (callback) {
+    connector.connect(callback);
+  }
+};
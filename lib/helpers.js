@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Convert a Stormpath resource href into the ID Loopback knows it by.
+ *
+ * @param {String} href The resource href.
+ * @return {String} The resource ID.
+ */
+module.exports.hrefToId = function(href) {
+  return href.split('/').pop();
+};
+
+/**
+ * Build the href of a Stormpath resource (or resource collection, when no ID
+ * is given) living in the same Stormpath installation as the given
+ * Application.
+ *
+ * @param {Application} application The Stormpath Application object.
+ * @param {String} collection The resource collection, eg: `accounts`.
+ * @param {String} [id] The resource ID.
+ * @return {String} The resource href.
+ */
+module.exports.idToHref = function(application, collection, id) {
+  var href = application.href.replace(/\/applications\/[^\/]+$/, '/' + collection);
+  return id === undefined ? href : href + '/' + id;
+};
+
+/**
+ * Convert the provider data of a social account into JSON, leaving out the
+ * provider tokens Stormpath holds for it.
+ *
+ * @param {Object} providerData The Stormpath ProviderData object.
+ * @return {Object} `{providerId: String, createdAt: String, modifiedAt: String}`
+ */
+module.exports.providerDataToJson = function(providerData) {
+  var data = {};
+
+  ['providerId', 'createdAt', 'modifiedAt'].forEach(function(key) {
+    if (providerData[key] !== undefined) {
+      data[key] = providerData[key];
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Compare two strings in constant time, so secrets can't be guessed by timing
+ * the comparison.
+ *
+ * @param {String} a The first string.
+ * @param {String} b The second string.
+ * @return {Boolean} Whether they're equal.
+ */
+module.exports.safeEqual = function(a, b) {
+  var diff = a.length ^ b.length;
+
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1));
+  }
+
+  return diff === 0;
+};
+
+/**
+ * Parse the credentials out of an HTTP Basic `Authorization` header.
+ *
+ * @param {String} header The header value.
+ * @return {Object} `{id: String, secret: String}`, or `null` if the header
+ *   isn't a Basic one.
+ */
+module.exports.parseBasicAuth = function(header) {
+  var match = /^Basic\s+(\S+)$/i.exec(header || '');
+  if (!match) return null;
+
+  var decoded = Buffer.from(match[1], 'base64').toString();
+  var index = decoded.indexOf(':');
+  if (index === -1) return null;
+
+  return { id: decoded.slice(0, index), secret: decoded.slice(index + 1) };
+};
+
+/**
+ * Convert a range bound, or the value checked against it, into something
+ * comparable: numbers stay numbers, anything else is read as a date.
+ *
+ * @param {*} value The value.
+ * @param {Boolean} numeric Whether to read it as a number.
+ * @return {Number}
+ */
+function rangeValue(value, numeric) {
+  return numeric ? Number(value) : new Date(value).getTime();
+}
+
+/**
+ * Check whether the given value matches a Stormpath search criterion, the
+ * way Stormpath does: a case-insensitive match allowing `*` wildcards, or a
+ * range such as `[2015-01-01, 2015-02-01)`, with open ends left empty.
+ *
+ * @param {*} value The resource's value.
+ * @param {String} criterion The search criterion.
+ * @return {Boolean}
+ */
+module.exports.matchesSearch = function(value, criterion) {
+  criterion = String(criterion);
+
+  var range = /^([\[(])\s*([^,]*?)\s*,\s*([^,]*?)\s*([\])])$/.exec(criterion);
+  if (range) {
+    var numeric = typeof value === 'number';
+    var at = rangeValue(value, numeric);
+    var from = range[2] ? rangeValue(range[2], numeric) : -Infinity;
+    var to = range[3] ? rangeValue(range[3], numeric) : Infinity;
+
+    return value !== undefined && value !== null && !isNaN(at) &&
+      (range[1] === '[' ? at >= from : at > from) &&
+      (range[4] === ']' ? at <= to : at < to);
+  }
+
+  if (value === undefined || value === null || typeof value === 'object') {
+    return false;
+  }
+
+  var pattern = criterion.split('*').map(function(part) {
+    return part.replace(/[.?+^$[\](){}|\\-]/g, '\\$&');
+  }).join('.*');
+
+  return new RegExp('^' + pattern + '$', 'i').test(String(value));
+};
+
+/**
+ * Build a function comparing resources the way Stormpath orders them, given
+ * an `orderBy` query parameter, eg: `surname asc,givenName desc`.  Strings
+ * are compared case-insensitively, and missing values come last.
+ *
+ * @param {String} orderBy The orderBy parameter.
+ * @return {Function} The comparison function.
+ */
+module.exports.compareBy = function(orderBy) {
+  var orders = String(orderBy).split(',').map(function(order) {
+    var parts = order.trim().split(/\s+/);
+    return { field: parts[0], direction: (parts[1] || 'asc').toLowerCase() === 'desc' ? -1 : 1 };
+  });
+
+  return function(a, b) {
+    for (var i = 0; i < orders.length; i++) {
+      var x = a[orders[i].field];
+      var y = b[orders[i].field];
+
+      if (typeof x === 'string') x = x.toLowerCase();
+      if (typeof y === 'string') y = y.toLowerCase();
+
+      if (x === y) continue;
+      if (x === undefined || x === null) return 1;
+      if (y === undefined || y === null) return -1;
+
+      return (x < y ? -1 : 1) * orders[i].direction;
+    }
+
+    return 0;
+  };
+};
@@ -0,0 +1,445 @@
+'use strict';
+
+var debug = require('debug')('loopback:stormpath:lockout');
+
+/**
+ * The default `lockout` settings of the user model.
+ */
+var DEFAULTS = {
+  maxAttempts: 5,
+  maxAttemptsPerIp: 50,
+  window: 900, // 15 minutes in seconds
+  lockoutTime: 60, // 1 minute in seconds
+  maxLockoutTime: 86400 // 1 day in seconds
+};
+
+/**
+ * How often the memory store drops its expired entries, in milliseconds.
+ */
+var SWEEP_INTERVAL = 60000;
+
+/**
+ * The updates waiting for the key they change to be free, by key.  Updates of
+ * stores without an `update()` method run one at a time per key, which only
+ * holds within this process.
+ */
+var queues = {};
+
+/**
+ * The default lockout store, keeping the state of each key in memory.  Apps
+ * running several processes should plug in a shared store instead, with the
+ * same `get()`, `set()` and `remove()` methods, and ideally an atomic
+ * `update()` one.
+ *
+ * @class MemoryStore
+ */
+function MemoryStore() {
+  this.entries = {};
+  this.sweptAt = Date.now();
+}
+
+/**
+ * Retrieve the state of the given key.
+ *
+ * @param {String} key The key.
+ * @callback {Function} callback
+ * @param {Error} err
+ * @param {Object} state The state, or `null` if there's none.
+ */
+MemoryStore.prototype.get = function(key, callback) {
+  var entry = this.entries[key];
+
+  if (entry && entry.expiresAt <= Date.now()) {
+    delete this.entries[key];
+    entry = null;
+  }
+
+  process.nextTick(function() {
+    callback(null, entry ? entry.state : null);
+  });
+};
+
+/**
+ * Record the state of the given key.
+ *
+ * @param {String} key The key.
+ * @param {Object} state The state.
+ * @param {Number} ttl How long to keep it, in seconds.
+ * @callback {Function} callback
+ * @param {Error} err
+ */
+MemoryStore.prototype.set = function(key, state, ttl, callback) {
+  var now = Date.now();
+  var entries = this.entries;
+
+  if (now - this.sweptAt > SWEEP_INTERVAL) {
+    Object.keys(entries).forEach(function(key) {
+      if (entries[key].expiresAt <= now) {
+        delete entries[key];
+      }
+    });
+    this.sweptAt = now;
+  }
+
+  entries[key] = { state: state, expiresAt: now + ttl * 1000 };
+
+  process.nextTick(function() {
+    callback(null);
+  });
+};
+
+/**
+ * Forget the state of the given key.
+ *
+ * @param {String} key The key.
+ * @callback {Function} callback
+ * @param {Error} err
+ */
+MemoryStore.prototype.remove = function(key, callback) {
+  delete this.entries[key];
+
+  process.nextTick(function() {
+    callback(null);
+  });
+};
+
+/**
+ * Update the state of the given key in one go, so that concurrent updates
+ * can't overwrite one another.
+ *
+ * @param {String} key The key.
+ * @param {Function} updater Given the current state (or `null`), returns
+ *   `{state, ttl}`, the new state (`null` to forget it) and how long to keep
+ *   it in seconds, or `undefined` to leave it alone.
+ * @callback {Function} callback
+ * @param {Error} err
+ * @param {Object} state The new state, or `null`.
+ */
+MemoryStore.prototype.update = function(key, updater, callback) {
+  var entry = this.entries[key];
+  var state = entry && entry.expiresAt > Date.now() ? entry.state : null;
+  var result = updater(state);
+
+  // Everything happens before anything else can run, so updates never
+  // overlap.
+  if (result && result.state) {
+    this.set(key, result.state, result.ttl, function() {});
+    state = result.state;
+  } else if (result) {
+    delete this.entries[key];
+    state = null;
+  }
+
+  process.nextTick(function() {
+    callback(null, state);
+  });
+};
+
+/**
+ * Run a task once the tasks queued before it for the same key are done, so
+ * that read-then-write updates of a key don't overlap within this process.
+ *
+ * @param {String} key The key.
+ * @param {Function} task The task: `function(done)`.
+ * @param {Function} callback Called with the results of the task.
+ */
+function serialize(key, task, callback) {
+  var queue = queues[key];
+
+  if (queue) {
+    return queue.push({ task: task, callback: callback });
+  }
+
+  queue = queues[key] = [{ task: task, callback: callback }];
+
+  (function run() {
+    var next = queue[0];
+
+    next.task(function() {
+      var args = arguments;
+
+      queue.shift();
+
+      if (!queue.length) {
+        delete queues[key];
+      } else {
+        process.nextTick(run);
+      }
+
+      next.callback.apply(null, args);
+    });
+  })();
+}
+
+/**
+ * Update the state of the given key in a lockout store, with the store's
+ * atomic `update()` method if it has one, or with `get()` then `set()` or
+ * `remove()`, one update at a time per key within this process.  See
+ * `MemoryStore.prototype.update()`.
+ *
+ * @param {Object} store The lockout store.
+ * @param {String} key The key.
+ * @param {Function} updater The update.
+ * @callback {Function} callback
+ * @param {Error} err
+ * @param {Object} state The new state, or `null`.
+ */
+function update(store, key, updater, callback) {
+  if (typeof store.update === 'function') {
+    return store.update(key, updater, callback);
+  }
+
+  serialize(key, function(done) {
+    store.get(key, function(err, state) {
+      if (err) return done(err);
+
+      var result = updater(state || null);
+
+      if (!result) {
+        return done(null, state || null);
+      } else if (!result.state) {
+        return store.remove(key, function(err) {
+          done(err || null, null);
+        });
+      }
+
+      store.set(key, result.state, result.ttl, function(err) {
+        done(err || null, result.state);
+      });
+    });
+  }, callback);
+}
+
+/**
+ * Fill in the defaults of the user model's `lockout` setting.
+ *
+ * @param {Object|Boolean} settings The `lockout` setting.
+ * @return {Object} The lockout options, or `null` when lockout is off.
+ */
+function normalizeOptions(settings) {
+  if (!settings) {
+    return null;
+  } else if (settings.ipStore) {
+    // Already normalized, eg: by the model this one extends.
+    return settings;
+  }
+
+  var options = {};
+  settings = settings === true ? {} : settings;
+
+  Object.keys(DEFAULTS).forEach(function(key) {
+    options[key] = settings[key] === undefined ? DEFAULTS[key] : settings[key];
+  });
+
+  // Without a store, the state of accounts is recorded in their customData,
+  // but IP addresses still need somewhere to go.
+  options.store = settings.store || null;
+  options.ipStore = settings.store || new MemoryStore();
+
+  return options;
+}
+
+/**
+ * Drop the given state once it has expired.
+ *
+ * @param {Object} state The state of an account or IP address.
+ * @param {Number} now The current time, in milliseconds.
+ * @return {Object} The state, or `null`.
+ */
+function current(state, now) {
+  return state && state.expiresAt > now ? state : null;
+}
+
+/**
+ * Compute how long the account or IP address with the given state is locked
+ * out for.
+ *
+ * @param {Object} state The state, or `null`.
+ * @param {Number} now The current time, in milliseconds.
+ * @return {Number} The number of seconds left, `0` when it isn't locked out.
+ */
+function retryAfter(state, now) {
+  state = current(state, now);
+
+  if (!(state && state.lockedUntil > now)) {
+    return 0;
+  }
+
+  return Math.ceil((state.lockedUntil - now) / 1000);
+}
+
+/**
+ * Record a failed login attempt.  Once `maxAttempts` attempts failed within
+ * the `window`, the account or IP address gets locked out for `lockoutTime`,
+ * doubled every time it gets locked out again, up to `maxLockoutTime`.  The
+ * state is forgotten after `window` without any failure.
+ *
+ * @param {Object} state The state, or `null`.
+ * @param {Number} maxAttempts The number of failures allowed, `0` for no
+ *   limit.
+ * @param {Object} options The lockout options.
+ * @param {Number} now The current time, in milliseconds.
+ * @return {Object} The new state.
+ */
+function recordFailure(state, maxAttempts, options, now) {
+  state = current(state, now) || { failures: 0, lockouts: 0 };
+  state = {
+    failures: state.failures,
+    firstFailureAt: state.firstFailureAt,
+    lockouts: state.lockouts,
+    lockedUntil: state.lockedUntil
+  };
+
+  if (!state.firstFailureAt || now - state.firstFailureAt > options.window * 1000) {
+    state.failures = 0;
+    state.firstFailureAt = now;
+  }
+
+  state.failures++;
+
+  if (maxAttempts && state.failures >= maxAttempts) {
+    var duration = Math.min(options.lockoutTime * Math.pow(2, state.lockouts),
+      options.maxLockoutTime);
+
+    debug('Locking out for %d seconds after %d failures', duration, state.failures);
+
+    state.lockedUntil = now + duration * 1000;
+    state.lockouts++;
+    state.failures = 0;
+    state.firstFailureAt = null;
+  }
+
+  state.expiresAt = Math.max(state.lockedUntil || 0, now) + options.window * 1000;
+
+  return state;
+}
+
+/**
+ * Build the update counting a login attempt as a failure before its
+ * credentials are checked, so that concurrent attempts can't all get in
+ * before the account or IP address is locked out.  Successful attempts are
+ * refunded, see `refundAttempt()`.  Attempts made while locked out aren't
+ * counted.
+ *
+ * @param {Number} maxAttempts The number of failures allowed.
+ * @param {Object} options The lockout options.
+ * @param {Object} result Receives `retryAfter`, the seconds left when it was
+ *   already locked out, and `locked`, the seconds it's locked out for when
+ *   this attempt locked it out.
+ * @return {Function} The update, see `update()`.
+ */
+function reserveAttempt(maxAttempts, options, result) {
+  return function(state) {
+    var now = Date.now();
+
+    result.retryAfter = retryAfter(state, now);
+    result.locked = 0;
+
+    if (result.retryAfter) {
+      return undefined;
+    }
+
+    state = recordFailure(state, maxAttempts, options, now);
+    result.locked = retryAfter(state, now);
+
+    return { state: state, ttl: ttl(state, now) };
+  };
+}
+
+/**
+ * Build the update giving back the failure a successful attempt was counted
+ * as.  An attempt which locked the account or IP address out doesn't unlock
+ * it.
+ *
+ * @return {Function} The update, see `update()`.
+ */
+function refundAttempt() {
+  return function(state) {
+    var now = Date.now();
+
+    state = current(state, now);
+
+    if (!(state && state.failures)) {
+      return undefined;
+    }
+
+    state = {
+      failures: state.failures - 1,
+      firstFailureAt: state.firstFailureAt,
+      lockouts: state.lockouts,
+      lockedUntil: state.lockedUntil,
+      expiresAt: state.expiresAt
+    };
+
+    return { state: state, ttl: ttl(state, now) };
+  };
+}
+
+/**
+ * Build the update forgetting the failed attempts of an account, once its
+ * owner has logged in.
+ *
+ * @return {Function} The update, see `update()`.
+ */
+function clearAttempts() {
+  return function(state) {
+    return state ? { state: null } : undefined;
+  };
+}
+
+/**
+ * Compute how long the given state should be stored for.
+ *
+ * @param {Object} state The state.
+ * @param {Number} now The current time, in milliseconds.
+ * @return {Number} The TTL in seconds.
+ */
+function ttl(state, now) {
+  return Math.ceil((state.expiresAt - now) / 1000);
+}
+
+/**
+ * Build the error returned for a locked out account.
+ *
+ * @param {Number} seconds How long the account is locked out for.
+ * @return {Error}
+ */
+function accountLockedError(seconds) {
+  var err = new Error('too many failed login attempts, the account is locked');
+  err.statusCode = 429;
+  err.code = 'ACCOUNT_LOCKED';
+  err.retryAfter = seconds;
+
+  return err;
+}
+
+/**
+ * Build the error returned for login attempts from a locked out IP address.
+ *
+ * @param {Number} seconds How long the IP address is locked out for.
+ * @return {Error}
+ */
+function throttledError(seconds) {
+  var err = new Error('too many failed login attempts, try again later');
+  err.statusCode = 429;
+  err.code = 'LOGIN_THROTTLED';
+  err.retryAfter = seconds;
+
+  return err;
+}
+
+module.exports = {
+  MemoryStore: MemoryStore,
+  serialize: serialize,
+  update: update,
+  normalizeOptions: normalizeOptions,
+  current: current,
+  retryAfter: retryAfter,
+  recordFailure: recordFailure,
+  reserveAttempt: reserveAttempt,
+  refundAttempt: refundAttempt,
+  clearAttempts: clearAttempts,
+  ttl: ttl,
+  accountLockedError: accountLockedError,
+  throttledError: throttledError
+};
@@ -0,0 +1,221 @@
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * The default `mfa` settings of the user model.
+ */
+var DEFAULTS = {
+  issuer: 'Loopback',
+  requiredGroups: [],
+  challengeTTL: 300, // 5 minutes in seconds
+  maxAttempts: 5,
+  window: 1
+};
+
+/**
+ * The factor types we support.
+ */
+var FACTOR_TYPES = ['totp', 'sms'];
+
+/**
+ * The RFC 4648 base32 alphabet, which authenticator apps expect secrets in.
+ */
+var BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * The TOTP time step, in seconds, and the number of digits of codes.
+ */
+var TOTP_PERIOD = 30;
+var CODE_DIGITS = 6;
+
+/**
+ * Encode the given buffer in base32, without padding.
+ *
+ * @param {Buffer} buffer The buffer.
+ * @return {String} The encoded buffer.
+ */
+function base32Encode(buffer) {
+  var output = '';
+  var bits = 0;
+  var value = 0;
+
+  for (var i = 0; i < buffer.length; i++) {
+    value = (value << 8) | buffer[i];
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode the given base32 string, ignoring padding, spaces and case.
+ *
+ * @param {String} input The encoded string.
+ * @return {Buffer} The decoded buffer.
+ */
+function base32Decode(input) {
+  var bytes = [];
+  var bits = 0;
+  var value = 0;
+
+  input = input.toUpperCase().replace(/[\s=]/g, '');
+
+  for (var i = 0; i < input.length; i++) {
+    var index = BASE32.indexOf(input[i]);
+    if (index === -1) continue;
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random TOTP secret.
+ *
+ * @return {String} The base32 encoded secret.
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Generate a random code to send by SMS.
+ *
+ * @return {String} The code.
+ */
+function generateCode() {
+  var code = String(crypto.randomBytes(4).readUInt32BE(0) % Math.pow(10, CODE_DIGITS));
+  return new Array(CODE_DIGITS - code.length + 1).join('0') + code;
+}
+
+/**
+ * Hash a code sent by SMS, so that it isn't stored in the clear.
+ *
+ * @param {String} code The code.
+ * @param {String} salt The ID of the factor or challenge it was sent for.
+ * @return {String} The hash.
+ */
+function hashCode(code, salt) {
+  return crypto.createHmac('sha256', salt).update(String(code)).digest('hex');
+}
+
+/**
+ * Compute the HOTP code (RFC 4226) of the given secret and counter.
+ *
+ * @param {String} secret The base32 encoded secret.
+ * @param {Number} counter The counter.
+ * @return {String} The code.
+ */
+function hotp(secret, counter) {
+  var buffer = Buffer.alloc(8);
+  buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buffer.writeUInt32BE(counter % 0x100000000, 4);
+
+  var digest = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  var offset = digest[digest.length - 1] & 15;
+  var code = String((digest.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, CODE_DIGITS));
+
+  return new Array(CODE_DIGITS - code.length + 1).join('0') + code;
+}
+
+/**
+ * Check a TOTP code (RFC 6238), allowing for clocks `window` time steps
+ * apart.
+ *
+ * @param {String} secret The base32 encoded secret.
+ * @param {String} code The code.
+ * @param {Number} window The number of time steps allowed either way.
+ * @param {Number} now The current time, in milliseconds.
+ * @return {Number} The time step the code is for, or `-1` when it's wrong.
+ */
+function verifyTotp(secret, code, window, now) {
+  var step = Math.floor(now / 1000 / TOTP_PERIOD);
+
+  code = String(code || '').replace(/\s/g, '');
+
+  for (var i = -window; i <= window; i++) {
+    if (code.length === CODE_DIGITS && hotp(secret, step + i) === code) {
+      return step + i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Build the `otpauth://` URI of a TOTP secret, which authenticator apps
+ * import, usually from a QR code.
+ *
+ * @param {String} secret The base32 encoded secret.
+ * @param {String} label The account's name, eg: its email.
+ * @param {String} issuer The app's name.
+ * @return {String} The URI.
+ */
+function otpauthUri(secret, label, issuer) {
+  return 'otpauth://totp/' + encodeURIComponent(issuer) + ':' + encodeURIComponent(label) +
+    '?secret=' + secret +
+    '&issuer=' + encodeURIComponent(issuer) +
+    '&algorithm=SHA1&digits=' + CODE_DIGITS + '&period=' + TOTP_PERIOD;
+}
+
+/**
+ * Fill in the defaults of the user model's `mfa` setting.
+ *
+ * @param {Object|Boolean} settings The `mfa` setting.
+ * @return {Object} The MFA options, or `null` when MFA is off.
+ */
+function normalizeOptions(settings) {
+  if (!settings) {
+    return null;
+  }
+
+  var options = {};
+  settings = settings === true ? {} : settings;
+
+  Object.keys(DEFAULTS).forEach(function(key) {
+    options[key] = settings[key] === undefined ? DEFAULTS[key] : settings[key];
+  });
+
+  options.sendSms = settings.sendSms || null;
+
+  return options;
+}
+
+/**
+ * Hide all but the last digits of a phone number.
+ *
+ * @param {String} phoneNumber The phone number.
+ * @return {String} The masked phone number.
+ */
+function maskPhoneNumber(phoneNumber) {
+  return String(phoneNumber).replace(/\d(?=\d{2})/g, '*');
+}
+
+module.exports = {
+  FACTOR_TYPES: FACTOR_TYPES,
+  generateSecret: generateSecret,
+  generateCode: generateCode,
+  hashCode: hashCode,
+  hotp: hotp,
+  verifyTotp: verifyTotp,
+  otpauthUri: otpauthUri,
+  normalizeOptions: normalizeOptions,
+  maskPhoneNumber: maskPhoneNumber
+};
@@ -0,0 +1,340 @@
+'use strict';
+
+var debug = require('debug')('loopback:stormpath:middleware');
+
+var apiKeys = require('./api-keys');
+var helpers = require('./helpers');
+var oauth = require('./oauth');
+var roles = require('./roles');
+
+/**
+ * Where `loginRequired()` and `groupsRequired()` send browsers by default.
+ */
+var DEFAULT_LOGIN_URL = '/login';
+
+/**
+ * Find the Loopback app a request is handled by.
+ *
+ * @param {Object} req The HTTP request.
+ * @param {Object} options The middleware options, which can name the `app`.
+ * @return {Object} The Loopback app.
+ */
+function appOf(req, options) {
+  return options.app || req.app;
+}
+
+/**
+ * Build the error answered to requests which aren't authenticated.
+ *
+ * @return {Error}
+ */
+function authorizationRequiredError() {
+  var err = new Error('Authorization Required');
+  err.statusCode = 401;
+  err.code = 'AUTHORIZATION_REQUIRED';
+
+  return err;
+}
+
+/**
+ * Build the error answered to users who aren't allowed in.
+ *
+ * @return {Error}
+ */
+function accessDeniedError() {
+  var err = new Error('Access Denied');
+  err.statusCode = 403;
+  err.code = 'ACCESS_DENIED';
+
+  return err;
+}
+
+/**
+ * Find the access token of the request, unless Loopback's `token()`
+ * middleware (or ours, for JWTs and API keys) already ran.  Invalid tokens
+ * leave the request anonymous.
+ *
+ * @param {Object} app The Loopback app.
+ * @param {Object} req The HTTP request.
+ * @param {Object} res The HTTP response.
+ * @param {Function} next
+ */
+function resolveAccessToken(app, req, res, next) {
+  var StormpathUser = app.loopback.StormpathUser;
+
+  function findToken() {
+    if (req.accessToken !== undefined) return next();
+
+    StormpathUser.relations.accessTokens.modelTo.findForRequest(req, {}, function(err, token) {
+      if (err && err.statusCode !== 401) return next(err);
+
+      req.accessToken = token || null;
+      next();
+    });
+  }
+
+  if (req.accessToken === undefined && StormpathUser.settings.oauth) {
+    return oauth.token(app)(req, res, findToken);
+  }
+
+  findToken();
+}
+
+/**
+ * Load the user of the given ID, attaching them to the request, and to the
+ * response's locals for templates.
+ *
+ * @param {Object} app The Loopback app.
+ * @param {Object} req The HTTP request.
+ * @param {Object} res The HTTP response.
+ * @param {String} userId The user ID.
+ * @param {Function} next
+ */
+function attachUser(app, req, res, userId, next) {
+  var StormpathUser = app.loopback.StormpathUser;
+
+  if (req.user && String(req.user.id) === String(userId)) {
+    return next();
+  }
+
+  StormpathUser.findById(userId, function(err, user) {
+    if (err && err.statusCode !== 404) return next(err);
+
+    if (!user) {
+      debug('The access token of unknown user %s is ignored', userId);
+    }
+
+    req.user = user || null;
+    res.locals = res.locals || {};
+    res.locals.user = req.user;
+
+    next();
+  });
+}
+
+/**
+ * Answer a request which isn't authenticated: browsers asking for HTML are
+ * redirected to the login page, with the URL they wanted as `next`, anything
+ * else gets a 401.
+ *
+ * @param {Object} req The HTTP request.
+ * @param {Object} res The HTTP response.
+ * @param {Object} options The middleware options.
+ * @param {Function} next
+ */
+function loginRedirect(req, res, options, next) {
+  var loginUrl = options.loginUrl === undefined ? DEFAULT_LOGIN_URL : options.loginUrl;
+
+  if (loginUrl && req.accepts(['json', 'html']) === 'html') {
+    var url = req.originalUrl || req.url;
+    return res.redirect(loginUrl + (loginUrl.indexOf('?') === -1 ? '?' : '&') +
+      'next=' + encodeURIComponent(url));
+  }
+
+  next(authorizationRequiredError());
+}
+
+/**
+ * Build a middleware which attaches the user the request's access token
+ * belongs to, if any, to `req.user` (and `res.locals.user`, for templates).
+ * Anonymous requests get a `null` user, and go through.
+ *
+ * The access token is the one Loopback's `token()` middleware found, which
+ * runs now if it hasn't yet.
+ *
+ * ```js
+ *    app.get('/', stormpath.currentUser(), function(req, res) {
+ *      res.render('home', {name: req.user ? req.user.givenName : 'stranger'});
+ *    });
+ * ```
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.app] The Loopback app.  Default is `req.app`.
+ * @return {Function} The middleware.
+ */
+function currentUser(options) {
+  options = options || {};
+
+  return function(req, res, next) {
+    var app = appOf(req, options);
+
+    resolveAccessToken(app, req, res, function(err) {
+      if (err) return next(err);
+
+      var userId = req.accessToken && req.accessToken.userId;
+
+      if (userId === undefined || userId === null) {
+        req.user = null;
+        res.locals = res.locals || {};
+        res.locals.user = null;
+
+        return next();
+      }
+
+      attachUser(app, req, res, userId, next);
+    });
+  };
+}
+
+/**
+ * Build a middleware which only lets requests from logged in users through,
+ * with the user attached to `req.user`, see `currentUser()`.  Browsers asking
+ * for HTML are otherwise redirected to the login page, with the URL they
+ * wanted as the `next` query parameter, and other clients get a 401 error.
+ *
+ * ```js
+ *    app.get('/dashboard', stormpath.loginRequired({loginUrl: '/signin'}), function(req, res) {
+ *      res.render('dashboard', {user: req.user});
+ *    });
+ * ```
+ *
+ * @param {Object} [options]
+ * @param {String} [options.loginUrl] The login page.  Default is `/login`.
+ *   Set it to `null` to answer browsers with a 401 too.
+ * @param {Object} [options.app] The Loopback app.  Default is `req.app`.
+ * @return {Function} The middleware.
+ */
+function loginRequired(options) {
+  options = options || {};
+
+  var attach = currentUser(options);
+
+  return function(req, res, next) {
+    attach(req, res, function(err) {
+      if (err) return next(err);
+      if (!req.user) return loginRedirect(req, res, options, next);
+
+      next();
+    });
+  };
+}
+
+/**
+ * Build a middleware which only lets logged in users belonging to the given
+ * Stormpath Groups through, see `loginRequired()`.  Users outside of them get
+ * a 403 error.
+ *
+ * ```js
+ *    app.get('/admin', stormpath.groupsRequired(['admin']), function(req, res) {
+ *      ...
+ *    });
+ *
+ *    // Users have to be in both groups.
+ *    app.get('/billing', stormpath.groupsRequired(['admin', 'billing'], {all: true}), ...);
+ * ```
+ *
+ * @param {String[]} groups The group names.
+ * @param {Object} [options] The options of `loginRequired()`, and:
+ * @param {Boolean} [options.all] Require all of the groups rather than any of
+ *   them.  Default is `false`.
+ * @return {Function} The middleware.
+ */
+function groupsRequired(groups, options) {
+  options = options || {};
+  groups = [].concat(groups || []);
+
+  var login = loginRequired(options);
+
+  return function(req, res, next) {
+    login(req, res, function(err) {
+      if (err) return next(err);
+
+      var app = appOf(req, options);
+
+      roles.getCachedGroupNames(app.loopback.StormpathUser, req, req.user.id, function(err, names) {
+        if (err) return next(err);
+
+        var member = function(group) {
+          return names.indexOf(group) !== -1;
+        };
+
+        if (options.all ? groups.every(member) : groups.some(member)) {
+          return next();
+        }
+
+        debug('User %s is not in the groups %j', req.user.id, groups);
+        next(accessDeniedError());
+      });
+    });
+  };
+}
+
+/**
+ * Build a middleware which only lets requests authenticated with API key
+ * credentials (HTTP Basic) or an OAuth access token (`Bearer`) through, with
+ * the user attached to `req.user` and the credentials to `req.accessToken`.
+ * Unlike `loginRequired()`, it never looks at cookies or query parameters,
+ * and never redirects: clients get a 401 error with a `WWW-Authenticate`
+ * header.
+ *
+ * ```js
+ *    app.get('/api/reports', stormpath.apiAuthenticationRequired(), function(req, res) {
+ *      ...
+ *    });
+ * ```
+ *
+ * @param {Object} [options]
+ * @param {String} [options.realm] The realm of the `WWW-Authenticate`
+ *   header.  Default is `api`.
+ * @param {Object} [options.app] The Loopback app.  Default is `req.app`.
+ * @return {Function} The middleware.
+ */
+function apiAuthenticationRequired(options) {
+  options = options || {};
+
+  var realm = options.realm || 'api';
+
+  return function(req, res, next) {
+    var app = appOf(req, options);
+    var StormpathUser = app.loopback.StormpathUser;
+    var header = req.headers.authorization || '';
+    var bearer = /^Bearer\s+(\S+)$/i.exec(header);
+
+    function rejected() {
+      res.set('WWW-Authenticate', 'Basic realm="' + realm + '", Bearer realm="' + realm + '"');
+      next(authorizationRequiredError());
+    }
+
+    function authenticated(err) {
+      if (err) return next(err);
+      if (!(req.accessToken && req.accessToken.userId)) return rejected();
+
+      attachUser(app, req, res, req.accessToken.userId, function(err) {
+        if (err) return next(err);
+        if (!req.user) return rejected();
+
+        next();
+      });
+    }
+
+    // Whatever authenticated the request before doesn't count.
+    delete req.accessToken;
+
+    if (helpers.parseBasicAuth(header)) {
+      return apiKeys.authenticate(app)(req, res, authenticated);
+    } else if (!bearer) {
+      return rejected();
+    } else if (oauth.isJwt(bearer[1])) {
+      return oauth.token(app)(req, res, authenticated);
+    }
+
+    StormpathUser.relations.accessTokens.modelTo.findById(bearer[1], function(err, token) {
+      if (err) return next(err);
+      if (!token) return rejected();
+
+      token.validate(function(err, isValid) {
+        if (err) return next(err);
+
+        req.accessToken = isValid ? token : null;
+        authenticated();
+      });
+    });
+  };
+}
+
+module.exports = {
+  currentUser: currentUser,
+  loginRequired: loginRequired,
+  groupsRequired: groupsRequired,
+  apiAuthenticationRequired: apiAuthenticationRequired
+};
@@ -0,0 +1,285 @@
+'use strict';
+
+var async = require('async');
+var debug = require('debug')('loopback:stormpath:migrate');
+
+var helpers = require('./helpers');
+
+/**
+ * The properties of Loopback's `User` model which don't end up in customData:
+ * they're either mapped to Stormpath Account attributes, or only make sense
+ * to Loopback.
+ */
+var USER_PROPERTIES = ['id', 'email', 'username', 'password', 'emailVerified', 'realm',
+  'verificationToken', 'credentials', 'challenges', 'status', 'created', 'lastUpdated',
+  'givenName', 'middleName', 'surname'];
+
+/**
+ * The password hashes Stormpath can import, in Modular Crypt Format: the
+ * bcrypt hashes Loopback's `User` model stores.
+ */
+var MCF_BCRYPT = /^\$2[abxy]?\$\d{2}\$[.\/A-Za-z0-9]{53}$/;
+
+/**
+ * Stormpath requires a given name and surname, which Loopback users don't
+ * have.  This is what they get instead.
+ */
+var UNKNOWN_NAME = 'UNKNOWN';
+
+/**
+ * Convert a Loopback user into the data of its Stormpath Account.
+ *
+ * @param {Object} user The user's data, password hash included.
+ * @param {Object} options The `migrateUsers()` options.
+ * @return {Object} The account data.
+ */
+function userToAccount(user, options) {
+  var exclude = USER_PROPERTIES.concat(options.exclude || []);
+  var account = {
+    email: user.email,
+    password: user.password,
+    givenName: user.givenName || UNKNOWN_NAME,
+    surname: user.surname || UNKNOWN_NAME,
+    // Unless their email is known to be theirs, users are left unverified.
+    status: user.emailVerified === true ? 'ENABLED' : 'UNVERIFIED',
+    customData: {}
+  };
+
+  if (user.username) account.username = user.username;
+  if (user.middleName) account.middleName = user.middleName;
+
+  Object.keys(user).forEach(function(key) {
+    if (exclude.indexOf(key) === -1 && user[key] !== undefined && user[key] !== null) {
+      account.customData[key] = user[key];
+    }
+  });
+
+  return options.map ? options.map(account, user) || account : account;
+}
+
+/**
+ * Build the error recorded for users who can't be migrated.
+ *
+ * @param {String} message The error message.
+ * @param {String} code The error code.
+ * @return {Error}
+ */
+function migrationError(message, code) {
+  var err = new Error(message);
+  err.statusCode = 422;
+  err.code = code;
+
+  return err;
+}
+
+/**
+ * Check whether an error is about the user being migrated, rather than about
+ * reaching Stormpath.
+ *
+ * @param {Error} err The error.
+ * @return {Boolean}
+ */
+function isUserError(err) {
+  var status = err.statusCode || err.status;
+  return status >= 400 && status < 500;
+}
+
+/**
+ * Migrate one user: create their Stormpath Account, unless one with the same
+ * email already exists.
+ *
+ * @param {Function} StormpathUser The StormpathUser model.
+ * @param {Object} user The user's data, password hash included.
+ * @param {Object} options The `migrateUsers()` options.
+ * @callback {Function} callback
+ * @param {Error} err Why the user couldn't be migrated.
+ * @param {String} accountId The ID of the created account, or `null` if it
+ *   already existed.
+ */
+function migrateUser(StormpathUser, user, options, callback) {
+  var account = userToAccount(user, options);
+
+  if (!account.email) {
+    return process.nextTick(function() {
+      callback(migrationError('The user has no email', 'EMAIL_REQUIRED'));
+    });
+  } else if (!MCF_BCRYPT.test(account.password || '')) {
+    return process.nextTick(function() {
+      callback(migrationError('The user\'s password is not a bcrypt hash', 'UNSUPPORTED_PASSWORD_HASH'));
+    });
+  }
+
+  StormpathUser.getApplication(function(err, application, client) {
+    if (err) return callback(err);
+
+    function findStore(callback) {
+      if (!user.realm) {
+        return callback(null, application);
+      }
+
+      StormpathUser.getRealmDirectoryId(user.realm, function(err, directoryId) {
+        if (err) return callback(err);
+
+        if (!directoryId) {
+          return callback(migrationError('Unknown realm: ' + user.realm, 'INVALID_REALM'));
+        }
+
+        client.getDirectory(helpers.idToHref(application, 'directories', directoryId), callback);
+      });
+    }
+
+    findStore(function(err, store) {
+      if (err) return callback(err);
+
+      store.getAccounts({ email: account.email }, function(err, accounts) {
+        if (err) return callback(err);
+
+        // Users migrated by a previous run are left alone.
+        if (accounts.items.length) {
+          return callback(null, null);
+        }
+
+        var query = {
+          passwordFormat: 'mcf',
+          registrationWorkflowEnabled: false
+        };
+
+        store.createAccount(account, query, function(err, created) {
+          if (err) return callback(err);
+          callback(null, helpers.hrefToId(created.href));
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Migrate users of Loopback's built-in `User` model (or any model extending
+ * it, attached to any datasource) to Stormpath Accounts.  Their bcrypt
+ * password hashes are imported as is, so they keep logging in with the same
+ * password.
+ *
+ * - Users with `emailVerified` set to `true` become `ENABLED`, the others
+ *   `UNVERIFIED`.  No verification email is sent.
+ * - Users with a `realm` are created in the realm's Organization or Directory,
+ *   see `StormpathUser.getRealmStore()`.
+ * - Any other properties (but Loopback's own, and those in `exclude`) go to
+ *   customData.
+ *
+ * Users are read in batches, in the order of their IDs.  Users whose email
+ * already has an account are skipped, so running the migration again after a
+ * failure doesn't duplicate anyone, and `after` makes it start where the
+ * previous run stopped.  Users which can't be migrated don't stop the
+ * migration: they're listed in the report, with the reason why.
+ *
+ * ```js
+ * stormpath.migrateUsers(app, app.models.User, {after: lastId}, function(err, report) {
+ *   console.log(report.migrated.length, 'migrated');
+ *   console.log(report.failed);
+ * });
+ * ```
+ *
+ * @param {Object} app The Loopback app, `stormpath.init()` has been called on.
+ * @param {Function} User The model the users are read from.
+ * @param {Object} [options] The options.
+ * @param {*} [options.after] Only migrate the users with a greater ID.
+ * @param {Object} [options.where] Only migrate the users matching it.
+ * @param {Number} [options.batchSize] Default is 100.
+ * @param {Number} [options.concurrency] The number of accounts created at
+ *   once.  Default is 4.
+ * @param {String[]} [options.exclude] More properties to leave out of
+ *   customData.
+ * @param {Function} [options.map] Customizes the account data of a user:
+ *   `function(account, user)` returning the new account data, or changing it
+ *   in place, eg: to enable the accounts of users whose `emailVerified` isn't
+ *   `true`, which are otherwise `UNVERIFIED`.
+ * @param {Function} [options.progress] Called with the report after each
+ *   batch, eg: to save `report.lastId` somewhere.
+ * @callback {Function} callback
+ * @param {Error} err Why the migration stopped: failing to read users, or to
+ *   reach Stormpath.
+ * @param {Object} report `{migrated: [{id, email, accountId}], skipped: [{id,
+ *   email}], failed: [{id, email, code, message}], lastId}`
+ */
+function migrateUsers(app, User, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  var StormpathUser = app.loopback.StormpathUser;
+  var idName = User.getIdName();
+  var batchSize = options.batchSize || 100;
+  var report = {
+    migrated: [],
+    skipped: [],
+    failed: [],
+    lastId: options.after
+  };
+  var done = false;
+
+  async.until(function() {
+    return done;
+  }, function(next) {
+    var where = {};
+    var filter = { where: where, order: idName + ' ASC', limit: batchSize };
+
+    if (options.where) {
+      where.and = [options.where];
+    }
+
+    if (report.lastId !== undefined && report.lastId !== null) {
+      var after = {};
+      after[idName] = { gt: report.lastId };
+      where.and = (where.and || []).concat(after);
+    }
+
+    User.find(filter, function(err, users) {
+      if (err) return next(err);
+
+      async.eachLimit(users, options.concurrency || 4, function(instance, cb) {
+        var user = instance.toObject(false, false, false);
+        var entry = { id: user[idName], email: user.email };
+
+        migrateUser(StormpathUser, user, options, function(err, accountId) {
+          if (err && !isUserError(err)) {
+            return cb(err);
+          }
+
+          if (err) {
+            debug('Failed to migrate user %s: %s', entry.id, err.message);
+            entry.code = err.code;
+            entry.message = err.userMessage || err.message;
+            report.failed.push(entry);
+          } else if (accountId) {
+            entry.accountId = accountId;
+            report.migrated.push(entry);
+          } else {
+            report.skipped.push(entry);
+          }
+
+          cb();
+        });
+      }, function(err) {
+        if (err) return next(err);
+
+        done = users.length < batchSize;
+
+        if (users.length) {
+          report.lastId = users[users.length - 1][idName];
+          if (options.progress) options.progress(report);
+        }
+
+        next();
+      });
+    });
+  }, function(err) {
+    callback(err || null, report);
+  });
+}
+
+module.exports = {
+  migrateUsers: migrateUsers
+};
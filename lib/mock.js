@@ -0,0 +1,1500 @@
+'use strict';
+
+var crypto = require('crypto');
+var url = require('url');
+
+var debug = require('debug')('loopback:stormpath:mock');
+var stormpath = require('stormpath');
+var ResourceError = require('stormpath/lib/error/ResourceError');
+
+var helpers = require('./helpers');
+
+/**
+ * The API base our resources live under, unless the application href says
+ * otherwise.
+ */
+var BASE_URL = 'https://api.stormpath.com/v1';
+
+/**
+ * Query parameters which aren't search criteria.
+ */
+var RESERVED_PARAMS = ['expand', 'limit', 'offset', 'orderBy', 'q', 'encryptSecret',
+  'encryptionKeySize', 'encryptionKeyIterations', 'encryptionKeySalt', 'nocache'];
+
+/**
+ * CustomData fields Stormpath manages itself.
+ */
+var RESERVED_CUSTOM_DATA = ['href', 'createdAt', 'modifiedAt', 'meta', 'spMeta',
+  'spmeta', 'ionmeta', 'ionMeta'];
+
+/**
+ * The password hashes accounts can be imported with, in Modular Crypt Format.
+ */
+var MCF_BCRYPT = /^\$2[abxy]?\$\d{2}\$[.\/A-Za-z0-9]{53}$/;
+
+/**
+ * How long password reset tokens live, as with Stormpath's default password
+ * policy: 24 hours.
+ */
+var RESET_TOKEN_TTL = 24 * 3600 * 1000;
+
+/**
+ * The attributes API clients may write, per resource collection.
+ */
+var WRITABLE = {
+  applications: ['name', 'description', 'status'],
+  directories: ['name', 'description', 'status'],
+  organizations: ['name', 'nameKey', 'description', 'status'],
+  accounts: ['givenName', 'middleName', 'surname', 'username', 'email', 'status'],
+  groups: ['name', 'description', 'status'],
+  apiKeys: ['status'],
+  accountStoreMappings: ['listIndex', 'isDefaultAccountStore', 'isDefaultGroupStore'],
+  organizationAccountStoreMappings: ['listIndex', 'isDefaultAccountStore', 'isDefaultGroupStore']
+};
+
+/**
+ * The links every resource renders, per resource collection: either to
+ * another resource (a `_`-prefixed attribute holding its href) or to one of
+ * the resource's own sub-collections.
+ */
+var LINKS = {
+  tenants: {
+    collections: ['applications', 'directories', 'organizations', 'accounts', 'groups']
+  },
+  applications: {
+    resources: { tenant: '_tenant' },
+    collections: ['accounts', 'groups', 'loginAttempts', 'passwordResetTokens',
+      'verificationEmails', 'apiKeys', 'accountStoreMappings']
+  },
+  directories: {
+    resources: { tenant: '_tenant' },
+    collections: ['accounts', 'groups']
+  },
+  organizations: {
+    resources: { tenant: '_tenant' },
+    collections: ['accounts', 'groups', 'accountStoreMappings']
+  },
+  accounts: {
+    resources: { tenant: '_tenant', directory: '_directory' },
+    collections: ['groups', 'groupMemberships', 'apiKeys', 'providerData']
+  },
+  groups: {
+    resources: { tenant: '_tenant', directory: '_directory' },
+    collections: ['accounts', 'accountMemberships']
+  },
+  groupMemberships: {
+    resources: { account: '_account', group: '_group' }
+  },
+  accountStoreMappings: {
+    resources: { application: '_application', accountStore: '_accountStore' }
+  },
+  organizationAccountStoreMappings: {
+    resources: { organization: '_organization', accountStore: '_accountStore' }
+  },
+  apiKeys: {
+    resources: { tenant: '_tenant', account: '_account' }
+  }
+};
+
+/**
+ * The resources which have customData.
+ */
+var CUSTOM_DATA = ['tenants', 'applications', 'directories', 'organizations', 'accounts', 'groups'];
+
+/**
+ * Build the error the Stormpath API would respond with.
+ *
+ * @param {Number} status The HTTP status.
+ * @param {Number} code The Stormpath error code.
+ * @param {String} message The user message.
+ * @return {ResourceError}
+ */
+function apiError(status, code, message) {
+  return new ResourceError({
+    status: status,
+    code: code,
+    message: message,
+    developerMessage: message,
+    moreInfo: 'http://docs.stormpath.com/errors/' + code
+  });
+}
+
+/**
+ * @return {ResourceError} The error for hrefs which don't exist.
+ */
+function notFoundError() {
+  return apiError(404, 404, 'The requested resource does not exist.');
+}
+
+/**
+ * @return {ResourceError} The error for references to hrefs which don't
+ *   exist.
+ */
+function unknownResourceError() {
+  return apiError(400, 2016, 'Property value does not match a known resource.  ' +
+    'Somebody may have deleted the resource.');
+}
+
+/**
+ * Generate a resource ID, shaped like Stormpath's.
+ *
+ * @param {Number} [length] Default is 22.
+ * @return {String}
+ */
+function generateId(length) {
+  return crypto.randomBytes(32).toString('base64').replace(/[^a-zA-Z0-9]/g, '').slice(0, length || 22);
+}
+
+/**
+ * Check a password against an account's: a plain text one, or a bcrypt hash
+ * imported with `passwordFormat=mcf`.  Checking hashes takes the `bcryptjs`
+ * package, which apps only need for that.
+ *
+ * @param {Object} account The account.
+ * @param {String} password The password.
+ * @return {Boolean}
+ */
+function passwordMatches(account, password) {
+  if (account._passwordHash) {
+    var bcrypt;
+
+    try {
+      bcrypt = require('bcryptjs');
+    } catch (err) {
+      throw new Error('Checking imported password hashes requires the bcryptjs package: npm install bcryptjs');
+    }
+
+    return bcrypt.compareSync(password, account._passwordHash);
+  }
+
+  return account._password === password;
+}
+
+/**
+ * Encrypt an API key secret the way Stormpath does when asked to, so the SDK
+ * can decrypt it with the tenant's API key secret.
+ *
+ * @param {String} secret The API key secret.
+ * @param {String} password The tenant's API key secret.
+ * @param {Object} query The `encryptionKey*` query parameters.
+ * @return {String} The encrypted secret.
+ */
+function encryptSecret(secret, password, query) {
+  var size = parseInt(query.encryptionKeySize, 10) || 256;
+  var iterations = parseInt(query.encryptionKeyIterations, 10) || 1024;
+  var key = crypto.pbkdf2Sync(password, Buffer.from(query.encryptionKeySalt, 'base64'), iterations, size / 8, 'sha1');
+  var iv = crypto.randomBytes(16);
+  var cipher = crypto.createCipheriv(size === 128 ? 'aes-128-cbc' : 'aes-256-cbc', key, iv);
+
+  return Buffer.concat([iv, cipher.update(secret, 'utf8'), cipher.final()]).toString('base64');
+}
+
+/**
+ * An in-memory stand-in for the Stormpath REST API, plugged into the
+ * Stormpath SDK as its request executor.  It implements the tenant, its
+ * applications, directories, organizations, accounts, groups, customData,
+ * API keys, authentication, and the email verification and password reset
+ * workflows, with the errors the real API responds with.
+ *
+ * Nothing is ever emailed: the emails which would have been sent are
+ * recorded in `emails`, so tests can pick the tokens up from there.
+ *
+ * @param {Object} [options] The options, usually the datasource settings.
+ * @param {String} [options.apiKeyId] Default is a generated one.
+ * @param {String} [options.apiKeySecret] Default is a generated one.
+ * @param {String} [options.applicationHref] Default is a generated one.
+ * @param {Object} [options.mock] The mock options.
+ * @param {Boolean} [options.mock.emailVerification] Whether new accounts need
+ *   to verify their email, which leaves them `UNVERIFIED`.
+ * @constructor
+ */
+function MockStormpath(options) {
+  options = options || {};
+
+  var mockOptions = typeof options.mock === 'object' ? options.mock : {};
+  var applicationHref = options.applicationHref || BASE_URL + '/applications/' + generateId();
+
+  this.baseUrl = applicationHref.replace(/\/applications\/[^\/]+$/, '');
+  this.applicationHref = applicationHref;
+  this.emailVerification = !!mockOptions.emailVerification;
+
+  // The SDK decrypts API key secrets, and signs its JWTs, with these.
+  this.options = {
+    apiKey: new stormpath.ApiKey(
+      options.apiKeyId || generateId(25).toUpperCase(),
+      options.apiKeySecret || generateId(43)
+    )
+  };
+
+  this.reset();
+}
+
+/**
+ * Forget every resource, every email sent and every provider token, and start
+ * over with a tenant holding the application and its default directory.
+ */
+MockStormpath.prototype.reset = function() {
+  this.resources = {};
+  this.emails = [];
+  this.providerTokens = {};
+
+  var tenant = this.insert('tenants', { name: 'Mock Tenant', key: 'mock' });
+  this.tenantHref = tenant.href;
+
+  var application = this.insert('applications', {
+    name: 'Mock Application',
+    description: '',
+    status: 'ENABLED',
+    _tenant: tenant.href
+  }, this.applicationHref);
+
+  var directory = this.insert('directories', {
+    name: 'Mock Application Directory',
+    description: '',
+    status: 'ENABLED',
+    _tenant: tenant.href
+  });
+
+  this.insert('accountStoreMappings', {
+    listIndex: 0,
+    isDefaultAccountStore: true,
+    isDefaultGroupStore: true,
+    _application: application.href,
+    _accountStore: directory.href
+  });
+};
+
+/**
+ * Store a new resource.
+ *
+ * @param {String} collection The resource collection, eg: `accounts`.
+ * @param {Object} data The resource attributes, and links.
+ * @param {String} [href] Default is a new href in the collection.
+ * @return {Object} The stored resource.
+ */
+MockStormpath.prototype.insert = function(collection, data, href) {
+  var now = new Date().toISOString();
+  var resource = { href: href || this.baseUrl + '/' + collection + '/' + generateId() };
+
+  Object.keys(data).forEach(function(key) {
+    resource[key] = data[key];
+  });
+
+  Object.defineProperty(resource, '_collection', { value: collection });
+  resource.createdAt = now;
+  resource.modifiedAt = now;
+
+  if (CUSTOM_DATA.indexOf(collection) !== -1 && !resource._customData) {
+    resource._customData = {};
+  }
+
+  this.resources[resource.href] = resource;
+  return resource;
+};
+
+/**
+ * List the stored resources of the given collection.
+ *
+ * @param {String} collection The resource collection.
+ * @param {Function} [filter] Only keep the resources it accepts.
+ * @return {Object[]} The resources.
+ */
+MockStormpath.prototype.list = function(collection, filter) {
+  var self = this;
+
+  return Object.keys(self.resources).map(function(href) {
+    return self.resources[href];
+  }).filter(function(resource) {
+    return resource._collection === collection && (!filter || filter(resource));
+  });
+};
+
+/**
+ * Find the directories an account store holds accounts of: the directory
+ * itself, or an organization's directories.
+ *
+ * @param {String} href The account store href.
+ * @return {String[]} The directory hrefs.
+ */
+MockStormpath.prototype.storeDirectories = function(href) {
+  var store = this.resources[href];
+
+  if (!store) {
+    return [];
+  } else if (store._collection === 'organizations') {
+    return this.list('organizationAccountStoreMappings', function(mapping) {
+      return mapping._organization === href;
+    }).map(function(mapping) {
+      return mapping._accountStore;
+    });
+  } else if (store._collection === 'groups') {
+    return [store._directory];
+  }
+
+  return [href];
+};
+
+/**
+ * List the accounts an account store holds.
+ *
+ * @param {String} href The account store href.
+ * @return {Object[]} The accounts.
+ */
+MockStormpath.prototype.storeAccounts = function(href) {
+  var self = this;
+  var store = self.resources[href];
+
+  if (store && store._collection === 'groups') {
+    return self.list('groupMemberships', function(membership) {
+      return membership._group === href;
+    }).map(function(membership) {
+      return self.resources[membership._account];
+    });
+  }
+
+  var directories = self.storeDirectories(href);
+  return self.list('accounts', function(account) {
+    return directories.indexOf(account._directory) !== -1;
+  });
+};
+
+/**
+ * Find the account stores mapped to an application or organization, in
+ * order.
+ *
+ * @param {String} href The application or organization href.
+ * @return {Object[]} The mappings.
+ */
+MockStormpath.prototype.mappings = function(href) {
+  var collection = this.resources[href]._collection === 'applications' ?
+    'accountStoreMappings' : 'organizationAccountStoreMappings';
+  var key = collection === 'accountStoreMappings' ? '_application' : '_organization';
+
+  return this.list(collection, function(mapping) {
+    return mapping[key] === href;
+  }).sort(function(a, b) {
+    return a.listIndex - b.listIndex;
+  });
+};
+
+/**
+ * List the accounts an application, or organization, can log in.
+ *
+ * @param {String} href The application or organization href.
+ * @return {Object[]} The accounts.
+ */
+MockStormpath.prototype.mappedAccounts = function(href) {
+  var self = this;
+  var accounts = [];
+
+  self.mappings(href).forEach(function(mapping) {
+    self.storeAccounts(mapping._accountStore).forEach(function(account) {
+      if (accounts.indexOf(account) === -1) {
+        accounts.push(account);
+      }
+    });
+  });
+
+  return accounts;
+};
+
+/**
+ * List the groups an application, or organization, can see.
+ *
+ * @param {String} href The application or organization href.
+ * @return {Object[]} The groups.
+ */
+MockStormpath.prototype.mappedGroups = function(href) {
+  var self = this;
+  var groups = [];
+
+  self.mappings(href).forEach(function(mapping) {
+    var store = self.resources[mapping._accountStore];
+
+    var found = store && store._collection === 'groups' ? [store] : self.list('groups', function(group) {
+      return self.storeDirectories(mapping._accountStore).indexOf(group._directory) !== -1;
+    });
+
+    found.forEach(function(group) {
+      if (groups.indexOf(group) === -1) {
+        groups.push(group);
+      }
+    });
+  });
+
+  return groups;
+};
+
+/**
+ * Find the default account (or group) store of an application or
+ * organization.
+ *
+ * @param {String} href The application or organization href.
+ * @param {String} flag `isDefaultAccountStore` or `isDefaultGroupStore`.
+ * @return {Object} The directory, or `undefined`.
+ */
+MockStormpath.prototype.defaultStore = function(href, flag) {
+  var self = this;
+  var mapping = self.mappings(href).filter(function(mapping) {
+    return mapping[flag];
+  })[0];
+
+  return mapping && self.resources[self.storeDirectories(mapping._accountStore)[0]];
+};
+
+/**
+ * List one of a resource's sub-collections.
+ *
+ * @param {Object} parent The parent resource.
+ * @param {String} name The sub-collection name, eg: `accounts`.
+ * @return {Object[]} The resources, or `null` for unknown sub-collections.
+ */
+MockStormpath.prototype.subCollection = function(parent, name) {
+  var self = this;
+  var href = parent.href;
+
+  switch (parent._collection + '/' + name) {
+    case 'tenants/applications':
+    case 'tenants/directories':
+    case 'tenants/organizations':
+    case 'tenants/accounts':
+    case 'tenants/groups':
+      return self.list(name);
+    case 'applications/accounts':
+    case 'organizations/accounts':
+      return self.mappedAccounts(href);
+    case 'applications/groups':
+    case 'organizations/groups':
+      return self.mappedGroups(href);
+    case 'applications/accountStoreMappings':
+    case 'organizations/accountStoreMappings':
+      return self.mappings(href);
+    case 'applications/apiKeys':
+      var accounts = self.mappedAccounts(href).map(function(account) {
+        return account.href;
+      });
+
+      return self.list('apiKeys', function(apiKey) {
+        return accounts.indexOf(apiKey._account) !== -1;
+      });
+    case 'directories/accounts':
+      return self.list('accounts', function(account) {
+        return account._directory === href;
+      });
+    case 'directories/groups':
+      return self.list('groups', function(group) {
+        return group._directory === href;
+      });
+    case 'accounts/groupMemberships':
+      return self.list('groupMemberships', function(membership) {
+        return membership._account === href;
+      });
+    case 'accounts/groups':
+      return self.subCollection(parent, 'groupMemberships').map(function(membership) {
+        return self.resources[membership._group];
+      });
+    case 'accounts/apiKeys':
+      return self.list('apiKeys', function(apiKey) {
+        return apiKey._account === href;
+      });
+    case 'groups/accountMemberships':
+      return self.list('groupMemberships', function(membership) {
+        return membership._group === href;
+      });
+    case 'groups/accounts':
+      return self.storeAccounts(href);
+  }
+
+  return null;
+};
+
+/**
+ * Render a resource as the API would, expanding the links listed in
+ * `expand`, eg: `customData,directory`.
+ *
+ * @param {Object} resource The resource.
+ * @param {String} [expand] The links to expand.
+ * @param {Object} [query] The request query, for the API keys to encrypt.
+ * @return {Object} The JSON resource.
+ */
+MockStormpath.prototype.render = function(resource, expand, query) {
+  var self = this;
+  var links = LINKS[resource._collection] || {};
+  var expanded = String(expand || '').split(',').map(function(name) {
+    return name.replace(/\(.*\)$/, '').trim();
+  });
+  var json = {};
+
+  Object.keys(resource).forEach(function(key) {
+    if (key.charAt(0) !== '_') {
+      json[key] = resource[key];
+    }
+  });
+
+  Object.keys(links.resources || {}).forEach(function(name) {
+    var href = resource[links.resources[name]];
+    if (!href) return;
+
+    json[name] = expanded.indexOf(name) !== -1 && self.resources[href] ?
+      self.render(self.resources[href]) : { href: href };
+  });
+
+  (links.collections || []).forEach(function(name) {
+    json[name] = { href: resource.href + '/' + name };
+
+    if (name === 'providerData' && expanded.indexOf(name) !== -1) {
+      json[name] = {
+        href: resource.href + '/providerData',
+        providerId: resource._providerData ? resource._providerData.providerId : 'stormpath',
+        createdAt: resource.createdAt,
+        modifiedAt: resource.modifiedAt
+      };
+    } else if (expanded.indexOf(name) !== -1 && self.subCollection(resource, name)) {
+      json[name] = self.page(resource.href + '/' + name, self.subCollection(resource, name), {});
+    }
+  });
+
+  if (resource._customData) {
+    json.customData = expanded.indexOf('customData') !== -1 ?
+      self.renderCustomData(resource) : { href: resource.href + '/customData' };
+  }
+
+  if (resource._collection === 'accounts' && resource._emailVerificationToken) {
+    json.emailVerificationToken = {
+      href: self.baseUrl + '/accounts/emailVerificationTokens/' + resource._emailVerificationToken
+    };
+  }
+
+  if (resource._collection === 'apiKeys' && query && query.encryptSecret) {
+    json.secret = encryptSecret(resource.secret, self.options.apiKey.secret, query);
+  }
+
+  return json;
+};
+
+/**
+ * Render the customData of a resource.
+ *
+ * @param {Object} resource The resource.
+ * @return {Object} The JSON customData.
+ */
+MockStormpath.prototype.renderCustomData = function(resource) {
+  var json = {
+    href: resource.href + '/customData',
+    createdAt: resource.createdAt,
+    modifiedAt: resource._customDataModifiedAt || resource.createdAt
+  };
+
+  Object.keys(resource._customData).forEach(function(key) {
+    json[key] = JSON.parse(JSON.stringify(resource._customData[key]));
+  });
+
+  return json;
+};
+
+/**
+ * Render a page of a collection, searched and ordered as the query says.
+ *
+ * @param {String} href The collection href.
+ * @param {Object[]} resources The resources.
+ * @param {Object} query The request query.
+ * @return {Object} The JSON collection.
+ */
+MockStormpath.prototype.page = function(href, resources, query) {
+  var self = this;
+  var offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  var limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100);
+
+  var criteria = Object.keys(query).filter(function(key) {
+    return RESERVED_PARAMS.indexOf(key) === -1;
+  });
+
+  var matches = resources.filter(function(resource) {
+    var matchesCriteria = criteria.every(function(key) {
+      var value = key.indexOf('customData.') === 0 ?
+        (resource._customData || {})[key.slice('customData.'.length)] :
+        resource[key];
+
+      return helpers.matchesSearch(value, query[key]);
+    });
+
+    var matchesQ = !query.q || Object.keys(resource).some(function(key) {
+      return key.charAt(0) !== '_' && typeof resource[key] === 'string' &&
+        resource[key].toLowerCase().indexOf(String(query.q).toLowerCase()) !== -1;
+    });
+
+    return matchesCriteria && matchesQ;
+  });
+
+  if (query.orderBy) {
+    matches.sort(helpers.compareBy(query.orderBy));
+  }
+
+  return {
+    href: href,
+    offset: offset,
+    limit: limit,
+    size: matches.length,
+    items: matches.slice(offset, offset + limit).map(function(resource) {
+      return self.render(resource, query.expand, query);
+    })
+  };
+};
+
+/**
+ * Execute an API request, the way the SDK's `RequestExecutor` does.
+ *
+ * @param {Object} req `{uri: String, method: String, query: Object, body: Object}`
+ * @param {Function} callback Called with the error or the response body.
+ */
+MockStormpath.prototype.execute = function(req, callback) {
+  var self = this;
+  var uri = req.uri.indexOf('http') === 0 ? req.uri :
+    self.baseUrl + (req.uri.charAt(0) === '/' ? '' : '/') + req.uri;
+  var parsed = url.parse(uri, true);
+  var query = {};
+
+  [parsed.query, req.query || {}].forEach(function(source) {
+    Object.keys(source).forEach(function(key) {
+      if (source[key] !== undefined && source[key] !== null) {
+        query[key] = source[key];
+      }
+    });
+  });
+
+  var href = parsed.protocol + '//' + parsed.host + parsed.pathname.replace(/\/$/, '');
+  var method = (req.method || 'GET').toUpperCase();
+  var body = req.body ? JSON.parse(JSON.stringify(req.body)) : {};
+  var result;
+
+  debug('%s %s %j', method, href, query);
+
+  try {
+    result = self.handle(method, href, query, body);
+  } catch (err) {
+    if (!(err instanceof ResourceError)) throw err;
+    return setImmediate(function() {
+      callback(err, null);
+    });
+  }
+
+  setImmediate(function() {
+    callback(null, result);
+  });
+};
+
+/**
+ * Handle an API request.
+ *
+ * @param {String} method The HTTP method.
+ * @param {String} href The request href, without query string.
+ * @param {Object} query The request query.
+ * @param {Object} body The request body.
+ * @return {Object} The response body.
+ * @throws {ResourceError} The API error.
+ */
+MockStormpath.prototype.handle = function(method, href, query, body) {
+  var path = href.slice(this.baseUrl.length).split('/').slice(1);
+  var resource = this.resources[path.slice(0, 2).length === 2 ? this.baseUrl + '/' + path[0] + '/' + path[1] : ''];
+
+  if (path[0] === 'tenants' && path[1] === 'current' && path.length === 2 && method === 'GET') {
+    return this.render(this.resources[this.tenantHref], query.expand);
+  }
+
+  if (path[0] === 'accounts' && path[1] === 'emailVerificationTokens' && path.length === 3 && method === 'POST') {
+    return this.verifyEmail(path[2]);
+  }
+
+  if (path.length === 1 && method === 'POST') {
+    return this.createTopLevel(path[0], body, query);
+  }
+
+  if (!resource) {
+    throw notFoundError();
+  }
+
+  if (path.length === 2) {
+    if (method === 'GET') return this.render(resource, query.expand, query);
+    if (method === 'POST') return this.update(resource, body, query);
+    if (method === 'DELETE') return this.remove(resource);
+  }
+
+  if (path[2] === 'customData' && resource._customData) {
+    return this.handleCustomData(method, resource, path[3], body);
+  }
+
+  if (resource._collection === 'applications') {
+    if (path[2] === 'loginAttempts' && path.length === 3 && method === 'POST') {
+      return this.authenticate(resource, body, query);
+    } else if (path[2] === 'passwordResetTokens') {
+      return this.handlePasswordReset(method, resource, path[3], body, query);
+    } else if (path[2] === 'verificationEmails' && path.length === 3 && method === 'POST') {
+      return this.sendVerificationEmail(resource, body);
+    }
+  }
+
+  if (path.length === 3 && path[2] === 'providerData' && resource._collection === 'accounts' && method === 'GET') {
+    return this.render(resource, 'providerData').providerData;
+  }
+
+  if (path.length === 3 && method === 'POST') {
+    return this.createChild(resource, path[2], body, query);
+  }
+
+  var items = path.length === 3 && method === 'GET' && this.subCollection(resource, path[2]);
+  if (!items) {
+    throw notFoundError();
+  }
+
+  return this.page(href, items, query);
+};
+
+/**
+ * Check a password against Stormpath's default password policy.
+ *
+ * @param {String} password The password.
+ * @throws {ResourceError}
+ */
+MockStormpath.prototype.checkPassword = function(password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    throw apiError(400, 2007, 'Account password minimum length not satisfied.');
+  } else if (password.length > 100) {
+    throw apiError(400, 2008, 'Account password maximum length exceeded.');
+  } else if (!/[a-z]/.test(password)) {
+    throw apiError(400, 400, 'Password requires at least 1 lowercase character.');
+  } else if (!/[A-Z]/.test(password)) {
+    throw apiError(400, 400, 'Password requires at least 1 uppercase character.');
+  } else if (!/[0-9]/.test(password)) {
+    throw apiError(400, 400, 'Password requires at least 1 numeric character.');
+  }
+};
+
+/**
+ * Validate account attributes, and check the email and username are unique
+ * in the account's directory.
+ *
+ * @param {Object} account The account, as it would be saved.
+ * @throws {ResourceError}
+ */
+MockStormpath.prototype.validateAccount = function(account) {
+  ['email', 'givenName', 'surname'].forEach(function(field) {
+    if (typeof account[field] !== 'string' || !account[field].trim()) {
+      throw apiError(400, 2000, 'Account ' + field + ' is required; it cannot be null, empty, or blank.');
+    }
+  });
+
+  if (!/^[^@\s]+@[^@\s]+$/.test(account.email)) {
+    throw apiError(400, 2006, 'Account email address is in an invalid format.');
+  }
+
+  if (['ENABLED', 'DISABLED', 'UNVERIFIED'].indexOf(account.status) === -1) {
+    throw apiError(400, 2002, 'Account status is invalid.');
+  }
+
+  this.list('accounts', function(other) {
+    return other._directory === account._directory && other.href !== account.href;
+  }).forEach(function(other) {
+    if (other.email.toLowerCase() === account.email.toLowerCase()) {
+      throw apiError(409, 2001, 'Account with that email already exists.  Please choose another email.');
+    } else if (other.username.toLowerCase() === String(account.username).toLowerCase()) {
+      throw apiError(409, 2001, 'Account with that username already exists.  Please choose another username.');
+    }
+  });
+};
+
+/**
+ * Validate named resources (directories, groups, organizations), checking
+ * their name is unique in its scope.
+ *
+ * @param {Object} resource The resource, as it would be saved.
+ * @param {Object[]} siblings The resources its name must differ from.
+ * @param {String} label The resource label used in messages, eg: `Group`.
+ * @throws {ResourceError}
+ */
+MockStormpath.prototype.validateNamed = function(resource, siblings, label) {
+  if (typeof resource.name !== 'string' || !resource.name.trim()) {
+    throw apiError(400, 2000, label + ' name is required; it cannot be null, empty, or blank.');
+  }
+
+  if (['ENABLED', 'DISABLED'].indexOf(resource.status) === -1) {
+    throw apiError(400, 2002, label + ' status is invalid.');
+  }
+
+  siblings.forEach(function(other) {
+    if (other.href !== resource.href && other.name.toLowerCase() === resource.name.toLowerCase()) {
+      throw apiError(409, 2001, label + ' name already exists.  Please choose another name.');
+    }
+
+    if (label === 'Organization' && other.href !== resource.href &&
+        other.nameKey.toLowerCase() === String(resource.nameKey).toLowerCase()) {
+      throw apiError(409, 2001, 'Organization nameKey already exists.  Please choose another nameKey.');
+    }
+  });
+
+  if (label === 'Organization' && !/^[a-z0-9]+(-[a-z0-9]+)*$/i.test(String(resource.nameKey))) {
+    throw apiError(400, 2006, 'Organization nameKey is in an invalid format.');
+  }
+};
+
+/**
+ * Stand in for a social login provider: have it accept the given access token
+ * or authorization code, as the given provider account.
+ *
+ * @param {String} providerId The provider, eg: `github`.
+ * @param {String} token The access token or authorization code.
+ * @param {Object} profile The provider account: its `id`, and the `email`,
+ *   `givenName` and `surname` the Stormpath account is created with.
+ */
+MockStormpath.prototype.addProviderToken = function(providerId, token, profile) {
+  this.providerTokens[providerId + ':' + token] = profile;
+};
+
+/**
+ * Copy the writable attributes, and customData, of a request body into a
+ * resource.
+ *
+ * @param {Object} resource The resource.
+ * @param {Object} body The request body.
+ */
+MockStormpath.prototype.assign = function(resource, body) {
+  (WRITABLE[resource._collection] || []).forEach(function(key) {
+    if (body[key] !== undefined) {
+      resource[key] = body[key];
+    }
+  });
+
+  if (resource._customData && body.customData && typeof body.customData === 'object') {
+    Object.keys(body.customData).forEach(function(key) {
+      if (RESERVED_CUSTOM_DATA.indexOf(key) === -1) {
+        resource._customData[key] = body.customData[key];
+      }
+    });
+  }
+};
+
+/**
+ * Copy a resource, so it can be validated before being stored.
+ *
+ * @param {Object} resource The resource.
+ * @return {Object} The copy.
+ */
+function copyResource(resource) {
+  var copy = JSON.parse(JSON.stringify(resource));
+
+  Object.defineProperty(copy, '_collection', { value: resource._collection });
+
+  return copy;
+}
+
+/**
+ * Create an account in a directory.
+ *
+ * @param {Object} directory The directory.
+ * @param {Object} body The request body.
+ * @param {Object} query The request query.
+ * @return {Object} The JSON account.
+ */
+MockStormpath.prototype.createAccount = function(directory, body, query) {
+  if (body.providerData) {
+    return this.providerLogin(directory, body.providerData, query);
+  }
+
+  var verify = this.emailVerification && query.registrationWorkflowEnabled !== false &&
+    query.registrationWorkflowEnabled !== 'false';
+
+  var account = {
+    username: body.username || body.email,
+    status: body.status || (verify ? 'UNVERIFIED' : 'ENABLED'),
+    _directory: directory.href,
+    _tenant: this.tenantHref,
+    _customData: {}
+  };
+
+  Object.defineProperty(account, '_collection', { value: 'accounts' });
+  this.assign(account, body);
+  account.username = account.username || account.email;
+
+  this.validateAccount(account);
+
+  // Password hashes are imported as is, rather than checked against the
+  // password policy.
+  var mcf = query.passwordFormat === 'mcf';
+  if (mcf && !MCF_BCRYPT.test(String(body.password))) {
+    throw apiError(400, 2000, 'Account password is not a supported Modular Crypt Format hash.');
+  } else if (!mcf) {
+    this.checkPassword(body.password);
+  }
+
+  var stored = this.insert('accounts', account);
+  stored[mcf ? '_passwordHash' : '_password'] = body.password;
+
+  if (stored.status === 'UNVERIFIED') {
+    this.issueVerificationToken(stored);
+  }
+
+  debug('Created account %s', stored.href);
+  return this.render(stored, query.expand);
+};
+
+/**
+ * Log in with a social login provider's access token or authorization code,
+ * see `addProviderToken()`, creating the provider account's Stormpath account
+ * on its first login.
+ *
+ * @param {Object} directory The directory new accounts are created in.
+ * @param {Object} providerData `{providerId, accessToken}` or
+ *   `{providerId, code}`.
+ * @param {Object} query The request query.
+ * @return {Object} The JSON account, flagged as new when just created.
+ * @throws {ResourceError}
+ */
+MockStormpath.prototype.providerLogin = function(directory, providerData, query) {
+  var providerId = providerData.providerId;
+  var profile = this.providerTokens[providerId + ':' + (providerData.accessToken || providerData.code)];
+
+  if (!profile) {
+    throw apiError(400, 7200, 'Stormpath was not able to complete the request to the Social Login ' +
+      'site: this can be caused by either a bad Social Directory configuration, or the provided ' +
+      'Account credentials are not valid.');
+  }
+
+  var existing = this.storeAccounts(directory.href).filter(function(account) {
+    return account._providerData && account._providerData.providerId === providerId &&
+      account._providerData.accountId === profile.id;
+  })[0];
+
+  if (existing) {
+    return this.render(existing, query.expand);
+  }
+
+  var account = {
+    username: profile.email,
+    status: 'ENABLED',
+    _directory: directory.href,
+    _tenant: this.tenantHref,
+    _customData: {},
+    _providerData: { providerId: providerId, accountId: profile.id }
+  };
+
+  Object.defineProperty(account, '_collection', { value: 'accounts' });
+  this.assign(account, profile);
+  this.validateAccount(account);
+
+  var stored = this.insert('accounts', account);
+  var json = this.render(stored, query.expand);
+
+  // The SDK tells new accounts by their `201 Created` status.
+  Object.defineProperty(json, '_isNew', { value: true });
+
+  debug('Created account %s on its first %s login', stored.href, providerId);
+  return json;
+};
+
+/**
+ * Create a group in a directory.
+ *
+ * @param {Object} directory The directory.
+ * @param {Object} body The request body.
+ * @param {Object} query The request query.
+ * @return {Object} The JSON group.
+ */
+MockStormpath.prototype.createGroup = function(directory, body, query) {
+  var group = {
+    description: '',
+    status: 'ENABLED',
+    _directory: directory.href,
+    _tenant: this.tenantHref,
+    _customData: {}
+  };
+
+  Object.defineProperty(group, '_collection', { value: 'groups' });
+  this.assign(group, body);
+
+  this.validateNamed(group, this.subCollection(directory, 'groups'), 'Group');
+
+  return this.render(this.insert('groups', group), query.expand);
+};
+
+/**
+ * Handle a POST to a resource's sub-collection, creating a child resource.
+ *
+ * @param {Object} parent The parent resource.
+ * @param {String} name The sub-collection name.
+ * @param {Object} body The request body.
+ * @param {Object} query The request query.
+ * @return {Object} The JSON resource.
+ */
+MockStormpath.prototype.createChild = function(parent, name, body, query) {
+  var store;
+
+  switch (parent._collection + '/' + name) {
+    case 'applications/accounts':
+    case 'organizations/accounts':
+      store = this.defaultStore(parent.href, 'isDefaultAccountStore');
+      if (!store) {
+        throw apiError(400, 5102, 'No default account store is mapped to the specified application.');
+      }
+      return this.createAccount(store, body, query);
+    case 'applications/groups':
+    case 'organizations/groups':
+      store = this.defaultStore(parent.href, 'isDefaultGroupStore');
+      if (!store) {
+        throw apiError(400, 5103, 'No default group store is mapped to the specified application.');
+      }
+      return this.createGroup(store, body, query);
+    case 'directories/accounts':
+      return this.createAccount(parent, body, query);
+    case 'directories/groups':
+      return this.createGroup(parent, body, query);
+    case 'accounts/apiKeys':
+      var apiKey = this.insert('apiKeys', {
+        id: generateId(25).toUpperCase(),
+        secret: generateId(43),
+        status: 'ENABLED',
+        _account: parent.href,
+        _tenant: this.tenantHref
+      });
+
+      return this.render(apiKey, query.expand, query);
+  }
+
+  throw apiError(405, 405, 'Request method \'POST\' not supported.');
+};
+
+/**
+ * Find the resource a `{href: ...}` reference in a request body points to.
+ *
+ * @param {Object} reference The reference.
+ * @param {String} label The reference label used in messages, eg: `account`.
+ * @param {String[]} collections The collections it may point to.
+ * @return {Object} The resource.
+ * @throws {ResourceError}
+ */
+MockStormpath.prototype.reference = function(reference, label, collections) {
+  var resource = reference && this.resources[reference.href];
+
+  if (!reference || !reference.href) {
+    throw apiError(400, 2000, label + ' is required; it cannot be null, empty, or blank.');
+  } else if (!resource || collections.indexOf(resource._collection) === -1) {
+    throw unknownResourceError();
+  }
+
+  return resource;
+};
+
+/**
+ * Handle a POST to a top level collection, creating a resource.
+ *
+ * @param {String} collection The collection.
+ * @param {Object} body The request body.
+ * @param {Object} query The request query.
+ * @return {Object} The JSON resource.
+ */
+MockStormpath.prototype.createTopLevel = function(collection, body, query) {
+  var self = this;
+  var resource, siblings, owner, key;
+
+  switch (collection) {
+    case 'directories':
+    case 'organizations':
+      resource = { description: '', status: 'ENABLED', _tenant: self.tenantHref, _customData: {} };
+      Object.defineProperty(resource, '_collection', { value: collection });
+      self.assign(resource, body);
+      self.validateNamed(resource, self.list(collection), collection === 'directories' ? 'Directory' : 'Organization');
+
+      return self.render(self.insert(collection, resource), query.expand);
+
+    case 'groupMemberships':
+      var account = self.reference(body.account, 'account', ['accounts']);
+      var group = self.reference(body.group, 'group', ['groups']);
+
+      if (account._directory !== group._directory) {
+        throw apiError(400, 2016, 'The account and the group must be in the same directory.');
+      }
+
+      if (self.subCollection(account, 'groupMemberships').some(function(membership) {
+        return membership._group === group.href;
+      })) {
+        throw apiError(409, 2001, 'Account is already a member of that group.');
+      }
+
+      return self.render(self.insert(collection, { _account: account.href, _group: group.href }), query.expand);
+
+    case 'accountStoreMappings':
+    case 'organizationAccountStoreMappings':
+      key = collection === 'accountStoreMappings' ? 'application' : 'organization';
+      owner = self.reference(body[key], key, [key === 'application' ? 'applications' : 'organizations']);
+      var store = self.reference(body.accountStore, 'accountStore', ['directories', 'groups', 'organizations']);
+
+      siblings = self.mappings(owner.href);
+      if (siblings.some(function(mapping) { return mapping._accountStore === store.href; })) {
+        throw apiError(409, 2001, 'That account store is already mapped.');
+      }
+
+      resource = {
+        listIndex: body.listIndex !== undefined ? body.listIndex : siblings.length,
+        isDefaultAccountStore: !!body.isDefaultAccountStore,
+        isDefaultGroupStore: !!body.isDefaultGroupStore,
+        _accountStore: store.href
+      };
+      resource['_' + key] = owner.href;
+
+      // There's only one default store of each kind.
+      ['isDefaultAccountStore', 'isDefaultGroupStore'].forEach(function(flag) {
+        if (resource[flag]) {
+          siblings.forEach(function(mapping) {
+            mapping[flag] = false;
+          });
+        }
+      });
+
+      return self.render(self.insert(collection, resource), query.expand);
+  }
+
+  throw notFoundError();
+};
+
+/**
+ * Update a resource with a request body.
+ *
+ * @param {Object} resource The resource.
+ * @param {Object} body The request body.
+ * @param {Object} query The request query.
+ * @return {Object} The JSON resource.
+ */
+MockStormpath.prototype.update = function(resource, body, query) {
+  var updated = copyResource(resource);
+  this.assign(updated, body);
+
+  if (resource._collection === 'accounts') {
+    this.validateAccount(updated);
+    if (body.password !== undefined) {
+      this.checkPassword(body.password);
+    }
+  } else if (resource._collection === 'groups') {
+    this.validateNamed(updated, this.list('groups', function(group) {
+      return group._directory === resource._directory;
+    }), 'Group');
+  } else if (resource._collection === 'directories' || resource._collection === 'organizations') {
+    this.validateNamed(updated, this.list(resource._collection),
+      resource._collection === 'directories' ? 'Directory' : 'Organization');
+  } else if (!WRITABLE[resource._collection]) {
+    throw apiError(405, 405, 'Request method \'POST\' not supported.');
+  }
+
+  this.assign(resource, body);
+  if (body.password !== undefined) {
+    resource._password = body.password;
+    delete resource._passwordHash;
+  }
+  if (body.customData) {
+    resource._customDataModifiedAt = new Date().toISOString();
+  }
+  resource.modifiedAt = new Date().toISOString();
+
+  return this.render(resource, query.expand, query);
+};
+
+/**
+ * Delete a resource, along with what can't live without it.
+ *
+ * @param {Object} resource The resource.
+ * @return {Object} No response body.
+ */
+MockStormpath.prototype.remove = function(resource) {
+  var self = this;
+  var href = resource.href;
+
+  if (resource._collection === 'tenants' || href === self.applicationHref) {
+    throw apiError(405, 405, 'Request method \'DELETE\' not supported.');
+  }
+
+  delete self.resources[href];
+
+  Object.keys(self.resources).forEach(function(key) {
+    var other = self.resources[key];
+    if (!other) return;
+
+    var dependent = ['_account', '_group', '_accountStore', '_organization', '_directory'].some(function(link) {
+      return other[link] === href;
+    });
+
+    if (dependent) {
+      self.remove(other);
+    }
+  });
+
+  return null;
+};
+
+/**
+ * Handle a request to the customData of a resource, or one of its fields.
+ *
+ * @param {String} method The HTTP method.
+ * @param {Object} resource The resource.
+ * @param {String} [field] The customData field.
+ * @param {Object} body The request body.
+ * @return {Object} The response body.
+ */
+MockStormpath.prototype.handleCustomData = function(method, resource, field, body) {
+  if (field !== undefined) {
+    if (method !== 'DELETE') {
+      throw apiError(405, 405, 'Request method \'' + method + '\' not supported.');
+    }
+
+    delete resource._customData[field];
+    resource._customDataModifiedAt = new Date().toISOString();
+    return null;
+  }
+
+  if (method === 'POST') {
+    this.assign(resource, { customData: body });
+    resource._customDataModifiedAt = new Date().toISOString();
+  } else if (method === 'DELETE') {
+    resource._customData = {};
+    resource._customDataModifiedAt = new Date().toISOString();
+    return null;
+  }
+
+  return this.renderCustomData(resource);
+};
+
+/**
+ * Find the accounts of an application, or one of its account stores, with the
+ * given email or username.
+ *
+ * @param {Object} application The application.
+ * @param {String} login The email or username.
+ * @param {String} [storeHref] The account store to look into.
+ * @return {Object} The account, or `undefined`.
+ */
+MockStormpath.prototype.findLogin = function(application, login, storeHref) {
+  var accounts = this.mappedAccounts(application.href);
+
+  if (storeHref) {
+    var inStore = this.resources[storeHref] && this.resources[storeHref]._collection === 'organizations' ?
+      this.mappedAccounts(storeHref) : this.storeAccounts(storeHref);
+
+    accounts = accounts.filter(function(account) {
+      return inStore.indexOf(account) !== -1;
+    });
+  }
+
+  login = String(login || '').toLowerCase();
+
+  return accounts.filter(function(account) {
+    return account.email.toLowerCase() === login || account.username.toLowerCase() === login;
+  })[0];
+};
+
+/**
+ * Handle a login attempt.
+ *
+ * @param {Object} application The application.
+ * @param {Object} body `{type: 'basic', value: base64(login:password), accountStore: {href}}`
+ * @param {Object} query The request query.
+ * @return {Object} The authentication result.
+ */
+MockStormpath.prototype.authenticate = function(application, body, query) {
+  if (body.type !== 'basic' || typeof body.value !== 'string') {
+    throw apiError(400, 2000, 'Login attempt type and value are required.');
+  }
+
+  var decoded = Buffer.from(body.value, 'base64').toString();
+  var index = decoded.indexOf(':');
+  var storeHref = body.accountStore && body.accountStore.href;
+
+  if (storeHref && !this.resources[storeHref]) {
+    throw unknownResourceError();
+  }
+
+  var account = index !== -1 && this.findLogin(application, decoded.slice(0, index), storeHref);
+
+  if (!account || !passwordMatches(account, decoded.slice(index + 1))) {
+    throw apiError(400, 7100, 'Invalid username or password.');
+  } else if (account.status === 'DISABLED') {
+    throw apiError(400, 7101, 'Login attempt failed because the Account is disabled.');
+  } else if (account.status === 'UNVERIFIED') {
+    throw apiError(400, 7102, 'Login attempt failed because the Account is not verified.');
+  }
+
+  return {
+    account: String(query.expand || '').indexOf('account') !== -1 ?
+      this.render(account) : { href: account.href }
+  };
+};
+
+/**
+ * Record an email which would have been sent.
+ *
+ * @param {String} type `verification` or `passwordReset`.
+ * @param {Object} account The account it's sent to.
+ * @param {String} sptoken The token the email carries.
+ */
+MockStormpath.prototype.sendEmail = function(type, account, sptoken) {
+  debug('Sending a %s email to %s', type, account.email);
+
+  this.emails.push({
+    type: type,
+    to: account.email,
+    account: account.href,
+    sptoken: sptoken,
+    sentAt: new Date()
+  });
+};
+
+/**
+ * Issue a new email verification token to an account, and email it.
+ *
+ * @param {Object} account The account.
+ */
+MockStormpath.prototype.issueVerificationToken = function(account) {
+  account._emailVerificationToken = generateId();
+  this.sendEmail('verification', account, account._emailVerificationToken);
+};
+
+/**
+ * Handle a request for a new verification email.
+ *
+ * @param {Object} application The application.
+ * @param {Object} body `{login: String}`
+ * @return {Object} The response body.
+ */
+MockStormpath.prototype.sendVerificationEmail = function(application, body) {
+  var account = this.findLogin(application, body.login);
+
+  if (!account) {
+    throw unknownResourceError();
+  }
+
+  if (account.status === 'UNVERIFIED') {
+    this.issueVerificationToken(account);
+  }
+
+  return { accepted: true };
+};
+
+/**
+ * Verify the email of the account an email verification token was issued to.
+ *
+ * @param {String} sptoken The token.
+ * @return {Object} `{href: String}`, the account's href.
+ */
+MockStormpath.prototype.verifyEmail = function(sptoken) {
+  var account = this.list('accounts', function(account) {
+    return account._emailVerificationToken === sptoken;
+  })[0];
+
+  if (!account) {
+    throw notFoundError();
+  }
+
+  delete account._emailVerificationToken;
+  account.status = 'ENABLED';
+  account.modifiedAt = new Date().toISOString();
+
+  return { href: account.href };
+};
+
+/**
+ * Handle the password reset workflow: requesting a reset, verifying a token,
+ * and resetting the password.
+ *
+ * @param {String} method The HTTP method.
+ * @param {Object} application The application.
+ * @param {String} [sptoken] The password reset token.
+ * @param {Object} body The request body.
+ * @param {Object} query The request query.
+ * @return {Object} The password reset token.
+ */
+MockStormpath.prototype.handlePasswordReset = function(method, application, sptoken, body, query) {
+  var self = this;
+  var href = application.href + '/passwordResetTokens';
+  var token, account;
+
+  if (sptoken === undefined && method === 'POST') {
+    account = self.findLogin(application, body.email);
+
+    if (!account) {
+      throw apiError(400, 2016, 'There is no account with that email address.');
+    } else if (account.status === 'DISABLED') {
+      throw apiError(400, 7101, 'The Account is disabled.');
+    }
+
+    token = self.insert('passwordResetTokens', {
+      email: account.email,
+      _account: account.href,
+      _expiresAt: Date.now() + RESET_TOKEN_TTL
+    }, href + '/' + generateId());
+
+    self.sendEmail('passwordReset', account, token.href.split('/').pop());
+    return { href: token.href, email: token.email, account: { href: account.href } };
+  }
+
+  token = self.resources[href + '/' + sptoken];
+
+  if (!sptoken || !token || token._collection !== 'passwordResetTokens' || token._expiresAt < Date.now()) {
+    throw notFoundError();
+  }
+
+  account = self.resources[token._account];
+
+  if (method === 'GET') {
+    return { href: token.href, email: token.email, account: { href: account.href } };
+  } else if (method !== 'POST') {
+    throw apiError(405, 405, 'Request method \'' + method + '\' not supported.');
+  }
+
+  self.checkPassword(body.password);
+
+  account._password = body.password;
+  delete account._passwordHash;
+  account.modifiedAt = new Date().toISOString();
+
+  // Tokens are used up, along with the account's other ones.
+  self.list('passwordResetTokens', function(other) {
+    return other._account === account.href;
+  }).forEach(function(other) {
+    delete self.resources[other.href];
+  });
+
+  return {
+    href: token.href,
+    email: token.email,
+    account: String(query.expand || '').indexOf('account') !== -1 ?
+      self.render(account) : { href: account.href }
+  };
+};
+
+/**
+ * Connect a connector to a mock backend, rather than to Stormpath.  Use it in
+ * place of the connector's `connect()` method.
+ *
+ * The backend lives in `connector.mock`.
+ *
+ * @param {Function} [callback] The callback function.
+ */
+MockStormpath.connect = function(callback) {
+  var self = this;
+
+  if (self.application) {
+    return process.nextTick(function() {
+      callback && callback(null, self.client);
+    });
+  }
+
+  self.mock = self.mock || new MockStormpath(self.settings);
+  self.client = new stormpath.Client({
+    apiKey: self.mock.options.apiKey,
+    requestExecutor: self.mock
+  });
+
+  self.client.getApplication(self.mock.applicationHref, function(err, application) {
+    if (err) return callback && callback(err);
+
+    self.application = application;
+    callback && callback(null, self.client);
+  });
+};
+
+module.exports = MockStormpath;
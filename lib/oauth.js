@@ -0,0 +1,336 @@
+'use strict';
+
+var bodyParser = require('body-parser');
+var crypto = require('crypto');
+var debug = require('debug')('loopback:stormpath:oauth');
+
+var audit = require('./audit');
+var helpers = require('./helpers');
+
+/**
+ * The OAuth error codes (see RFC 6749, section 5.2) our own error codes map
+ * to.  Anything else is a server error.
+ */
+var OAUTH_ERRORS = {
+  USERNAME_EMAIL_REQUIRED: 'invalid_request',
+  PASSWORD_REQUIRED: 'invalid_request',
+  REALM_REQUIRED: 'invalid_request',
+  REFRESH_TOKEN_REQUIRED: 'invalid_request',
+  LOGIN_FAILED: 'invalid_grant',
+  LOGIN_FAILED_EMAIL_NOT_VERIFIED: 'invalid_grant',
+  PASSWORD_RESET_REQUIRED: 'invalid_grant',
+  ACCOUNT_LOCKED: 'invalid_grant',
+  LOGIN_THROTTLED: 'invalid_grant',
+  MFA_REQUIRED: 'invalid_grant',
+  INVALID_REFRESH_TOKEN: 'invalid_grant',
+  API_KEY_REQUIRED: 'invalid_client',
+  INVALID_API_KEY: 'invalid_client'
+};
+
+/**
+ * Encode the given buffer or string as base64url.
+ *
+ * @param {Buffer|String} input The input.
+ * @return {String} The encoded input.
+ */
+function base64url(input) {
+  return Buffer.from(input).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Compute the HS256 signature of a JWT.
+ *
+ * @param {String} input The encoded JWT header and payload.
+ * @param {String} secret The signing secret.
+ * @return {String} The base64url encoded signature.
+ */
+function signature(input, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(input).digest());
+}
+
+/**
+ * Check whether the given string looks like a JWT, rather than a Loopback
+ * AccessToken ID.
+ *
+ * @param {String} token The token.
+ * @return {Boolean}
+ */
+function isJwt(token) {
+  return typeof token === 'string' && /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+}
+
+/**
+ * Sign the given claims into an HS256 JWT.
+ *
+ * @param {Object} claims The JWT claims.
+ * @param {String} secret The signing secret.
+ * @return {String} The JWT.
+ */
+function sign(claims, secret) {
+  var input = base64url(JSON.stringify({ typ: 'JWT', alg: 'HS256' })) + '.' +
+    base64url(JSON.stringify(claims));
+
+  return input + '.' + signature(input, secret);
+}
+
+/**
+ * Verify the given HS256 JWT and decode its claims.
+ *
+ * @param {String} token The JWT.
+ * @param {String} secret The signing secret.
+ * @param {Boolean} [ignoreExpiration] Accept expired JWTs.
+ * @return {Object} The JWT claims, or `null` if the JWT is malformed, not
+ *   signed with the given secret, or expired.
+ */
+function verify(token, secret, ignoreExpiration) {
+  if (!isJwt(token) || !secret) {
+    return null;
+  }
+
+  var segments = token.split('.');
+
+  if (!helpers.safeEqual(signature(segments[0] + '.' + segments[1], secret), segments[2])) {
+    return null;
+  }
+
+  var header, claims;
+  try {
+    header = JSON.parse(Buffer.from(segments[0], 'base64').toString());
+    claims = JSON.parse(Buffer.from(segments[1], 'base64').toString());
+  } catch (err) {
+    return null;
+  }
+
+  if (header.alg !== 'HS256' || !claims || typeof claims.exp !== 'number') {
+    return null;
+  }
+
+  if (!ignoreExpiration && claims.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return claims;
+}
+
+/**
+ * Send an OAuth error response.
+ *
+ * @param {Object} res The response.
+ * @param {Number} status The HTTP status.
+ * @param {String} error The OAuth error code.
+ * @param {String} [description] The error description.
+ */
+function sendError(res, status, error, description) {
+  var body = { error: error };
+
+  if (description) {
+    body.error_description = description;
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+  res.status(status).json(body);
+}
+
+/**
+ * The grants our token endpoint supports: functions issuing tokens for the
+ * request's parameters.  The `client_credentials` grant exchanges an API key,
+ * given as HTTP Basic credentials or as `client_id` and `client_secret`, for
+ * an access token.
+ */
+var GRANTS = {
+  password: function(StormpathUser, params, callback, req) {
+    var options = audit.requestOptions(req);
+
+    StormpathUser.authenticateCredentials({
+      username: params.username,
+      password: params.password,
+      realm: params.realm
+    }, options, function(err, account) {
+      if (err) return callback(err);
+
+      // There's no second step to this grant, so users needing a second
+      // factor have to log in with `StormpathUser.login()`.
+      StormpathUser.requiresMfa(account, function(err, required) {
+        if (err) return callback(err);
+
+        if (required) {
+          err = new Error('multi-factor authentication is required, use the login method');
+          err.code = 'MFA_REQUIRED';
+
+          return callback(err);
+        }
+
+        StormpathUser.createOAuthTokens(account, function(err, tokens) {
+          if (err) return callback(err);
+
+          StormpathUser.emitAuditEvent('login', account, options, {method: 'oauth'});
+          callback(null, tokens);
+        });
+      });
+    });
+  },
+
+  refresh_token: function(StormpathUser, params, callback) {
+    StormpathUser.refreshOAuthTokens(params.refresh_token, callback);
+  },
+
+  client_credentials: function(StormpathUser, params, callback, req) {
+    var credentials = helpers.parseBasicAuth(req.headers.authorization) ||
+      { id: params.client_id, secret: params.client_secret };
+
+    StormpathUser.authenticateApiKey(credentials.id, credentials.secret, function(err, account) {
+      if (err) return callback(err);
+
+      // There's no user to ask again, so API keys don't get refresh tokens.
+      StormpathUser.createOAuthTokens(account, { refreshToken: false }, function(err, tokens) {
+        if (err) return callback(err);
+
+        StormpathUser.emitAuditEvent('login', account, audit.requestOptions(req), {
+          method: 'apiKey',
+          apiKeyId: credentials.id
+        });
+        callback(null, tokens);
+      });
+    });
+  }
+};
+
+/**
+ * Build the OAuth token endpoint (RFC 6749), exchanging the user's
+ * credentials (`password` grant) or a refresh token (`refresh_token` grant)
+ * for a JWT access token and a refresh token, or an API key
+ * (`client_credentials` grant) for a JWT access token.
+ *
+ * @param {Object} app The Loopback app.
+ * @return {Function[]} The middleware.
+ */
+function tokenEndpoint(app) {
+  return [
+    bodyParser.urlencoded({ extended: false }),
+    bodyParser.json(),
+    function(req, res, next) {
+      var params = req.body || {};
+      var grant = GRANTS[params.grant_type];
+
+      if (!params.grant_type) {
+        return sendError(res, 400, 'invalid_request', 'grant_type is required');
+      } else if (!grant) {
+        return sendError(res, 400, 'unsupported_grant_type');
+      }
+
+      grant(app.loopback.StormpathUser, params, function(err, tokens) {
+        // Lockouts tell the client when to try again.
+        if (err && err.retryAfter) {
+          res.set('Retry-After', String(err.retryAfter));
+        }
+
+        if (err && OAUTH_ERRORS[err.code]) {
+          debug('%s grant failed: %s', params.grant_type, err.message);
+
+          // Failed client authentication gets a 401 (RFC 6749, section 5.2).
+          var status = OAUTH_ERRORS[err.code] === 'invalid_client' ? 401 : 400;
+          return sendError(res, status, OAUTH_ERRORS[err.code], err.message);
+        } else if (err) {
+          return next(err);
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.set('Pragma', 'no-cache');
+        res.json(tokens);
+      }, req);
+    }
+  ];
+}
+
+/**
+ * Build the OAuth token revocation endpoint (RFC 7009).  Revoking either an
+ * access token or a refresh token revokes the refresh token, so no new access
+ * tokens can be issued from it.
+ *
+ * @param {Object} app The Loopback app.
+ * @return {Function[]} The middleware.
+ */
+function revocationEndpoint(app) {
+  return [
+    bodyParser.urlencoded({ extended: false }),
+    bodyParser.json(),
+    function(req, res, next) {
+      var params = req.body || {};
+
+      if (!params.token) {
+        return sendError(res, 400, 'invalid_request', 'token is required');
+      }
+
+      app.loopback.StormpathUser.revokeOAuthToken(params.token, audit.requestOptions(req), function(err) {
+        if (err) return next(err);
+        res.status(200).end();
+      });
+    }
+  ];
+}
+
+/**
+ * Build a middleware which authenticates requests carrying one of our JWT
+ * access tokens, see `StormpathUser.validateOAuthToken()`.  Put it before
+ * Loopback's own `loopback.token()` middleware, which then leaves the request
+ * alone.
+ *
+ * The token is read from the `Authorization` header, with or without the
+ * `Bearer` scheme, or from the `access_token` query parameter.  Requests
+ * without a JWT are left to `loopback.token()`.
+ *
+ * @param {Object} app The Loopback app.
+ * @return {Function} The middleware.
+ */
+function token(app) {
+  return function(req, res, next) {
+    var header = req.headers.authorization || '';
+    var match = /^Bearer\s+(\S+)$/i.exec(header);
+    var jwt = match ? match[1] : header || (req.query && req.query.access_token);
+
+    if (req.accessToken !== undefined || !isJwt(jwt)) {
+      return next();
+    }
+
+    app.loopback.StormpathUser.validateOAuthToken(jwt, function(err, claims) {
+      if (err) return next(err);
+
+      // Loopback only needs the user ID, and the rest mimics an AccessToken.
+      req.accessToken = claims ? {
+        id: jwt,
+        userId: claims.sub,
+        ttl: claims.exp - claims.iat,
+        created: new Date(claims.iat * 1000)
+      } : null;
+
+      next();
+    });
+  };
+}
+
+/**
+ * Mount the OAuth endpoints and the JWT access token middleware.
+ *
+ * @param {Object} app The Loopback app.
+ * @param {Object} options The `oauth` options given to `init()`.
+ */
+function init(app, options) {
+  app.post(options.tokenPath || '/oauth/token', tokenEndpoint(app));
+  app.post(options.revocationPath || '/oauth/revoke', revocationEndpoint(app));
+  app.middleware('auth:before', token(app));
+}
+
+module.exports = {
+  GRANTS: GRANTS,
+  isJwt: isJwt,
+  sign: sign,
+  verify: verify,
+  tokenEndpoint: tokenEndpoint,
+  revocationEndpoint: revocationEndpoint,
+  token: token,
+  init: init
+};
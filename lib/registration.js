@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * The default `registration` settings of the user model.  The password policy
+ * is the one of Stormpath's default Directories.
+ */
+var DEFAULTS = {
+  fields: {
+    givenName: { required: true },
+    surname: { required: true }
+  },
+  passwordPolicy: {
+    minLength: 8,
+    maxLength: 100,
+    minLowerCase: 1,
+    minUpperCase: 1,
+    minNumeric: 1,
+    minSymbol: 0,
+    minDiacritic: 0
+  },
+  autoLogin: false
+};
+
+/**
+ * The user properties new users can set themselves.  Any other registration
+ * field goes to their customData.
+ */
+var USER_FIELDS = ['givenName', 'middleName', 'surname', 'username', 'email', 'password',
+  'realm', 'customData'];
+
+/**
+ * The fields every registration needs, whatever the settings say.
+ */
+var ALWAYS_REQUIRED = ['email', 'password'];
+
+/**
+ * Stormpath requires these on every account, so they get a placeholder when
+ * the registration doesn't require them.
+ */
+var DEFAULT_PLACEHOLDER = 'UNKNOWN';
+
+/**
+ * The character classes password policies count, as regular expressions.
+ */
+var CHARACTER_CLASSES = {
+  minLowerCase: { pattern: /[a-z]/g, label: 'lowercase character' },
+  minUpperCase: { pattern: /[A-Z]/g, label: 'uppercase character' },
+  minNumeric: { pattern: /[0-9]/g, label: 'numeric character' },
+  minSymbol: { pattern: /[!-\/:-@\[-`{-~]/g, label: 'symbol' },
+  minDiacritic: { pattern: /[À-ſ]/g, label: 'diacritic character' }
+};
+
+/**
+ * Fill in the defaults of the user model's `registration` setting.
+ *
+ * @param {Object} [settings] The `registration` setting.
+ * @return {Object} The registration options.
+ */
+function normalizeOptions(settings) {
+  settings = settings || {};
+
+  var options = {
+    fields: {},
+    passwordPolicy: {},
+    autoLogin: settings.autoLogin === undefined ? DEFAULTS.autoLogin : !!settings.autoLogin,
+    preRegistration: settings.preRegistration || null,
+    postRegistration: settings.postRegistration || null
+  };
+  var fields = settings.fields || {};
+
+  Object.keys(DEFAULTS.fields).concat(Object.keys(fields)).forEach(function(key) {
+    var field = fields[key] || DEFAULTS.fields[key];
+
+    options.fields[key] = {
+      required: !!field.required,
+      placeholder: field.placeholder === undefined ? DEFAULT_PLACEHOLDER : field.placeholder
+    };
+  });
+
+  Object.keys(DEFAULTS.passwordPolicy).forEach(function(key) {
+    var policy = settings.passwordPolicy || {};
+    options.passwordPolicy[key] = policy[key] === undefined ?
+      DEFAULTS.passwordPolicy[key] : policy[key];
+  });
+
+  return options;
+}
+
+/**
+ * List the required fields the registration data lacks.
+ *
+ * @param {Object} data The registration data.
+ * @param {Object} options The registration options.
+ * @return {String[]} The missing fields.
+ */
+function missingFields(data, options) {
+  var required = ALWAYS_REQUIRED.concat(Object.keys(options.fields).filter(function(key) {
+    return options.fields[key].required;
+  }));
+
+  return required.filter(function(key) {
+    var value = data[key];
+    return value === undefined || value === null || String(value).trim() === '';
+  });
+}
+
+/**
+ * Check a password against the password policy, the way Stormpath does.
+ *
+ * @param {String} password The password.
+ * @param {Object} policy The password policy.
+ * @return {String[]} What the password lacks, eg: `at least 1 numeric
+ *   character`.
+ */
+function passwordProblems(password, policy) {
+  var problems = [];
+
+  password = String(password || '');
+
+  if (password.length < policy.minLength) {
+    problems.push('at least ' + policy.minLength + ' characters');
+  }
+
+  if (policy.maxLength && password.length > policy.maxLength) {
+    problems.push('at most ' + policy.maxLength + ' characters');
+  }
+
+  Object.keys(CHARACTER_CLASSES).forEach(function(key) {
+    var count = (password.match(CHARACTER_CLASSES[key].pattern) || []).length;
+
+    if (count < policy[key]) {
+      problems.push('at least ' + policy[key] + ' ' + CHARACTER_CLASSES[key].label);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Build the data of the new user from the registration data: user properties
+ * are kept, fields which aren't required get their placeholder when missing,
+ * and the other registration fields go to customData.  Anything else is
+ * dropped.
+ *
+ * @param {Object} data The registration data.
+ * @param {Object} options The registration options.
+ * @return {Object} The user data.
+ */
+function userData(data, options) {
+  var result = {};
+
+  USER_FIELDS.forEach(function(key) {
+    if (data[key] !== undefined) {
+      result[key] = data[key];
+    }
+  });
+
+  result.customData = result.customData ? JSON.parse(JSON.stringify(result.customData)) : {};
+
+  Object.keys(options.fields).forEach(function(key) {
+    var field = options.fields[key];
+    var missing = data[key] === undefined || data[key] === null || data[key] === '';
+
+    if (USER_FIELDS.indexOf(key) === -1) {
+      if (!missing) result.customData[key] = data[key];
+    } else if (missing && !field.required && field.placeholder !== null) {
+      result[key] = field.placeholder;
+    }
+  });
+
+  if (!Object.keys(result.customData).length) {
+    delete result.customData;
+  }
+
+  return result;
+}
+
+module.exports = {
+  normalizeOptions: normalizeOptions,
+  missingFields: missingFields,
+  passwordProblems: passwordProblems,
+  userData: userData
+};
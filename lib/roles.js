@@ -0,0 +1,123 @@
+'use strict';
+
+var debug = require('debug')('loopback:stormpath:roles');
+
+/**
+ * Look up the Stormpath Group names of the given user, remembering them for the
+ * rest of the request so that evaluating several ACLs only hits Stormpath once.
+ *
+ * @param {Function} StormpathUser The StormpathUser model.
+ * @param {Object} holder The object to keep the cache on (the request, ideally).
+ * @param {String} userId The user ID.
+ * @param {Function} callback The callback function.
+ */
+function getCachedGroupNames(StormpathUser, holder, userId, callback) {
+  var cache = holder.stormpathGroupNames = holder.stormpathGroupNames || {};
+  var entry = cache[userId];
+
+  if (!entry) {
+    entry = cache[userId] = { callbacks: [] };
+
+    StormpathUser.getGroupNames(userId, function(err, names) {
+      entry.done = true;
+      entry.err = err;
+      entry.names = names || [];
+
+      entry.callbacks.forEach(function(cb) {
+        cb(entry.err, entry.names);
+      });
+      entry.callbacks = [];
+    });
+  }
+
+  if (entry.done) {
+    return process.nextTick(function() {
+      callback(entry.err, entry.names);
+    });
+  }
+
+  entry.callbacks.push(callback);
+}
+
+/**
+ * Build a Loopback role resolver which considers the current user to be in a
+ * role whenever they belong to a Stormpath Group with the same name.
+ *
+ * @param {Object} app The Loopback app.
+ * @return {Function} The role resolver: `function(role, context, callback)`.
+ */
+function groupRoleResolver(app) {
+  return function resolveGroupRole(role, context, callback) {
+    var StormpathUser = app.loopback.StormpathUser;
+    var userId = context.getUserId();
+
+    if (!StormpathUser || userId === null || userId === undefined) {
+      return process.nextTick(function() {
+        callback(null, false);
+      });
+    }
+
+    var req = context.remotingContext && context.remotingContext.req;
+
+    getCachedGroupNames(StormpathUser, req || context, userId, function(err, names) {
+      if (err) {
+        debug('Could not look up the groups of user %s: %s', userId, err.message);
+        return callback(err);
+      }
+
+      debug('User %s belongs to groups %j', userId, names);
+      callback(null, names.indexOf(role) !== -1);
+    });
+  };
+}
+
+/**
+ * Hook Stormpath into Loopback's Role model:
+ *
+ * - Any role which doesn't have a resolver of its own resolves against the
+ *   user's Stormpath Group memberships first, so an ACL for the `admin` role
+ *   applies to everyone in the `admin` Stormpath Group.  Roles which are
+ *   defined through Loopback's `Role` and `RoleMapping` models keep working.
+ * - The `$owner` role knows that a `StormpathUser` owns itself.  Loopback only
+ *   knows this for models inheriting from its built-in `User` model.
+ *
+ * @param {Object} app The Loopback app.
+ */
+module.exports.init = function(app) {
+  var Role = app.loopback.Role;
+  var isInRole = Role.isInRole;
+  var isOwner = Role.isOwner;
+  var resolveGroupRole = groupRoleResolver(app);
+
+  Role.isInRole = function(role, context, callback) {
+    var self = this;
+    var args = arguments;
+
+    // Loopback's ACL checks always hand us an AccessContext.  Anything else
+    // is left to Loopback.
+    if (Role.resolvers[role] || !context || typeof context.getUserId !== 'function') {
+      return isInRole.apply(self, args);
+    }
+
+    resolveGroupRole(role, context, function(err, inGroup) {
+      if (err) return callback(err);
+      if (inGroup) return callback(null, true);
+
+      isInRole.apply(self, args);
+    });
+  };
+
+  Role.isOwner = function(modelClass, modelId, userId, callback) {
+    var StormpathUser = app.loopback.StormpathUser;
+
+    if (modelClass === StormpathUser || modelClass.prototype instanceof StormpathUser) {
+      return process.nextTick(function() {
+        callback(null, !!userId && String(modelId) === String(userId));
+      });
+    }
+
+    return isOwner.apply(this, arguments);
+  };
+};
+
+module.exports.getCachedGroupNames = getCachedGroupNames;
@@ -0,0 +1,312 @@
+'use strict';
+
+var cookie = require('cookie');
+var crypto = require('crypto');
+var debug = require('debug')('loopback:stormpath:sessions');
+
+var helpers = require('./helpers');
+
+/**
+ * The default `sessions` settings of the user model.
+ */
+var DEFAULTS = {
+  cookieName: 'stormpath_session',
+  csrfCookieName: 'XSRF-TOKEN',
+  csrfHeaderName: 'X-XSRF-TOKEN',
+  sessionHeaderName: 'X-Stormpath-Session',
+  path: '/',
+  domain: null,
+  secure: true,
+  sameSite: 'lax',
+  idleTimeout: 1800, // 30 minutes in seconds
+  absoluteTimeout: 43200 // 12 hours in seconds
+};
+
+/**
+ * The HTTP methods which don't change anything, and so don't need a CSRF
+ * token.
+ */
+var SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * How often, at most, a session's idle timeout is pushed back, in seconds.
+ * This saves a write on every request.
+ */
+var REFRESH_INTERVAL = 60;
+
+/**
+ * Fill in the defaults of the user model's `sessions` setting.
+ *
+ * @param {Object|Boolean} settings The `sessions` setting.
+ * @return {Object} The session options, or `null` when sessions are off.
+ */
+function normalizeOptions(settings) {
+  if (!settings) {
+    return null;
+  }
+
+  var options = {};
+  settings = settings === true ? {} : settings;
+
+  Object.keys(DEFAULTS).forEach(function(key) {
+    options[key] = settings[key] === undefined ? DEFAULTS[key] : settings[key];
+  });
+
+  return options;
+}
+
+/**
+ * Derive the CSRF token of a session from its access token ID, so forging
+ * one takes the session cookie, which scripts can't read.
+ *
+ * @param {String} tokenId The access token ID.
+ * @return {String} The CSRF token.
+ */
+function csrfToken(tokenId) {
+  return crypto.createHmac('sha256', String(tokenId)).update('csrf').digest('hex');
+}
+
+/**
+ * The lifetime to give a session's access token for it to last until the
+ * idle timeout from now, without outliving the absolute timeout.
+ *
+ * @param {Object} token The access token.
+ * @param {Object} options The session options.
+ * @return {Number} The TTL in seconds.
+ */
+function sessionTTL(token, options) {
+  var elapsed = Math.ceil((Date.now() - token.created.getTime()) / 1000);
+
+  return Math.min(elapsed + options.idleTimeout, options.absoluteTimeout);
+}
+
+/**
+ * Set the session cookie, holding the access token ID, and the CSRF cookie,
+ * which the front end reads and sends back in the CSRF header.
+ *
+ * @param {Object} res The HTTP response.
+ * @param {Object} token The access token.
+ * @param {Object} options The session options.
+ */
+function setCookies(res, token, options) {
+  function settings(httpOnly) {
+    var result = {
+      httpOnly: httpOnly,
+      path: options.path,
+      secure: options.secure,
+      sameSite: options.sameSite,
+      maxAge: options.absoluteTimeout * 1000
+    };
+
+    if (options.domain) {
+      result.domain = options.domain;
+    }
+
+    return result;
+  }
+
+  res.cookie(options.cookieName, String(token.id), settings(true));
+  res.cookie(options.csrfCookieName, csrfToken(token.id), settings(false));
+}
+
+/**
+ * Clear the session and CSRF cookies.
+ *
+ * @param {Object} res The HTTP response.
+ * @param {Object} options The session options.
+ */
+function clearCookies(res, options) {
+  var settings = {
+    path: options.path,
+    secure: options.secure,
+    sameSite: options.sameSite
+  };
+
+  if (options.domain) {
+    settings.domain = options.domain;
+  }
+
+  res.clearCookie(options.cookieName, settings);
+  res.clearCookie(options.csrfCookieName, settings);
+}
+
+/**
+ * Check whether a login asked for a session, by sending the session header
+ * with `cookie` as its value.  Other clients, eg: mobile apps, get their
+ * access token in the response body as usual.
+ *
+ * @param {Object} req The HTTP request.
+ * @param {Object} options The session options.
+ * @return {Boolean}
+ */
+function wantsSession(req, options) {
+  return !!req && String(req.get(options.sessionHeaderName) || '').toLowerCase() === 'cookie';
+}
+
+/**
+ * Build the error answered to cookie authenticated requests without the
+ * session's CSRF token.
+ *
+ * @return {Error}
+ */
+function invalidCsrfTokenError() {
+  var err = new Error('invalid or missing CSRF token');
+  err.statusCode = 403;
+  err.code = 'INVALID_CSRF_TOKEN';
+
+  return err;
+}
+
+/**
+ * Build a middleware which authenticates requests carrying a session cookie,
+ * pushing back the session's idle timeout.  Put it before Loopback's own
+ * `loopback.token()` middleware, which then leaves the request alone.
+ *
+ * Requests the cookie authenticates, changing anything (anything but `GET`,
+ * `HEAD` and `OPTIONS`), also need the session's CSRF token in the CSRF
+ * header, or get a 403 error.  Expired sessions are treated as anonymous, and
+ * their cookies cleared, without any CSRF check.  Requests with an
+ * `Authorization` header or an `access_token` query parameter are left to
+ * `loopback.token()`, whatever cookie they carry.
+ *
+ * @param {Object} app The Loopback app.
+ * @return {Function} The middleware.
+ */
+function authenticate(app) {
+  return function(req, res, next) {
+    var StormpathUser = app.loopback.StormpathUser;
+    var options = StormpathUser.settings.sessions;
+    var tokenId = cookie.parse(req.headers.cookie || '')[options.cookieName];
+
+    if (req.accessToken !== undefined || !tokenId || req.headers.authorization ||
+        (req.query && req.query.access_token)) {
+      return next();
+    }
+
+    function expired() {
+      debug('Session of access token %s expired', tokenId);
+      clearCookies(res, options);
+      req.accessToken = null;
+      next();
+    }
+
+    StormpathUser.relations.accessTokens.modelTo.findById(tokenId, function(err, token) {
+      if (err) return next(err);
+      if (!token) return expired();
+
+      token.validate(function(err, isValid) {
+        if (err) return next(err);
+        if (!isValid) return expired();
+
+        // Only the requests the cookie authenticates can be forged by other
+        // sites.
+        if (SAFE_METHODS.indexOf(req.method) === -1 &&
+            !helpers.safeEqual(String(req.get(options.csrfHeaderName) || ''), csrfToken(tokenId))) {
+          debug('Rejected a %s request without the CSRF token of its session', req.method);
+          return next(invalidCsrfTokenError());
+        }
+
+        req.accessToken = token;
+
+        var ttl = sessionTTL(token, options);
+
+        if (ttl - token.ttl < Math.min(REFRESH_INTERVAL, options.idleTimeout / 2)) {
+          return next();
+        }
+
+        token.updateAttribute('ttl', ttl, function(err) {
+          next(err);
+        });
+      });
+    });
+  };
+}
+
+/**
+ * Turn the access token a login responds with into a session, when the
+ * client asked for one (see `wantsSession()`): its lifetime becomes the idle
+ * timeout, its ID goes into the session cookie rather than the response body.
+ * Logins waiting for an MFA challenge are left alone.
+ *
+ * Registrations respond with `{user, accessToken}`, so their hook is given
+ * `key`, the property holding the access token.
+ *
+ * @param {Object} options The session options.
+ * @param {String} [key] The property of the result holding the access token.
+ * @return {Function} The `afterRemote` hook.
+ */
+function startSession(options, key) {
+  return function(ctx, result, next) {
+    var token = key ? ctx.result && ctx.result[key] : ctx.result;
+
+    if (!(token && token.id && ctx.res && wantsSession(ctx.req, options))) {
+      return next();
+    }
+
+    token.updateAttribute('ttl', Math.min(options.idleTimeout, options.absoluteTimeout), function(err) {
+      if (err) return next(err);
+
+      setCookies(ctx.res, token, options);
+
+      var body = token.toJSON();
+      delete body.id;
+
+      if (key) {
+        ctx.result[key] = body;
+      } else {
+        ctx.result = body;
+      }
+
+      next();
+    });
+  };
+}
+
+/**
+ * Clear the session cookies once the user logs out.
+ *
+ * @param {Object} options The session options.
+ * @return {Function} The `afterRemote` hook.
+ */
+function endSession(options) {
+  return function(ctx, result, next) {
+    if (ctx.res) {
+      clearCookies(ctx.res, options);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Mount the session cookie middleware, and have logins (and registrations
+ * logging users in) start sessions and logouts end them.
+ *
+ * @param {Object} app The Loopback app.
+ * @param {Object} options The normalized `sessions` options, see
+ *   `normalizeOptions()`.
+ */
+function init(app, options) {
+  var StormpathUser = app.loopback.StormpathUser;
+
+  ['login', 'loginWithProvider', 'verifyChallenge'].forEach(function(method) {
+    StormpathUser.afterRemote(method, startSession(options));
+  });
+
+  StormpathUser.afterRemote('register', startSession(options, 'accessToken'));
+
+  ['logout', 'logoutAll'].forEach(function(method) {
+    StormpathUser.afterRemote(method, endSession(options));
+  });
+
+  app.middleware('auth:before', authenticate(app));
+}
+
+module.exports = {
+  normalizeOptions: normalizeOptions,
+  csrfToken: csrfToken,
+  setCookies: setCookies,
+  clearCookies: clearCookies,
+  authenticate: authenticate,
+  init: init
+};
@@ -1,13 +1,196 @@
 'use strict';
 
-var stormpathConnector = require('loopback-connector-stormpath');
+var stormpathConnector = require('./connector');
+var apiKeys = require('./api-keys');
+var middleware = require('./middleware');
+var migrate = require('./migrate');
+var oauth = require('./oauth');
+var roles = require('./roles');
+var sessions = require('./sessions');
 
 /**
- * Attach our custom StormpathUser model as well as our stormpath datasource
+ * The name our user model is defined with, and referenced by in the other
+ * model definitions.
+ */
+var USER_MODEL = 'StormpathUser';
+
+/**
+ * Load one of our model definitions.  Definitions are copied, so customizing
+ * one never leaks into another app.
+ *
+ * @param {String} name The model file name, eg: `stormpath-user`.
+ * @param {String} userModel The name of the user model, which relations to
+ *   `StormpathUser` are pointed at.
+ * @return {Object} The model's JSON definition.
+ */
+function loadDefinition(name, userModel) {
+  var definition = JSON.parse(JSON.stringify(require('../common/models/' + name + '.json')));
+
+  Object.keys(definition.relations || {}).forEach(function(key) {
+    if (definition.relations[key].model === USER_MODEL) {
+      definition.relations[key].model = userModel;
+    }
+  });
+
+  return definition;
+}
+
+/**
+ * Check whether two ACL entries apply to the same principal and property, in
+ * which case the latter overrides the former.
+ *
+ * @param {Object} a The first ACL entry.
+ * @param {Object} b The second ACL entry.
+ * @return {Boolean}
+ */
+function sameAcl(a, b) {
+  return ['principalType', 'principalId', 'property', 'accessType'].every(function(key) {
+    return JSON.stringify(a[key] || '*') === JSON.stringify(b[key] || '*');
+  });
+}
+
+/**
+ * Customize the `StormpathUser` definition with the `user` options given to
+ * `init()`.
+ *
+ * @param {Object} definition The model's JSON definition.
+ * @param {Object} options The `user` options.
+ * @return {Object} The model's JSON definition.
+ */
+function customizeUserDefinition(definition, options) {
+  if (options.name) {
+    definition.name = options.name;
+  }
+
+  if (options.plural) {
+    definition.plural = options.plural;
+  }
+
+  Object.keys(options.properties || {}).forEach(function(key) {
+    if (options.properties[key] === null) {
+      delete definition.properties[key];
+    } else {
+      definition.properties[key] = options.properties[key];
+    }
+  });
+
+  Object.keys(options.settings || {}).forEach(function(key) {
+    definition[key] = options.settings[key];
+  });
+
+  (options.acls || []).forEach(function(acl) {
+    definition.acls = definition.acls.filter(function(existing) {
+      return !sameAcl(existing, acl);
+    });
+    definition.acls.push(acl);
+  });
+
+  return definition;
+}
+
+/**
+ * Only expose the chosen remote methods of the given model.
+ *
+ * @param {Function} Model The model.
+ * @param {String[]|Object} remoteMethods Either the names of the methods to
+ *   expose, or an object mapping method names to `false` to hide them.
+ */
+function selectRemoteMethods(Model, remoteMethods) {
+  var sharedClass = Model.sharedClass;
+  var isMethodEnabled = sharedClass.isMethodEnabled;
+
+  function isExposed(name) {
+    return Array.isArray(remoteMethods) ?
+      remoteMethods.indexOf(name) !== -1 :
+      remoteMethods[name] !== false;
+  }
+
+  // Relation methods only show up once the related models are attached, so
+  // methods are checked whenever they're looked up, rather than disabled now.
+  sharedClass.isMethodEnabled = function(sharedMethod) {
+    return isExposed(sharedMethod.name) && isMethodEnabled.apply(this, arguments);
+  };
+}
+
+/**
+ * Build a connector initializing its datasources with the given default
+ * settings, eg: in mock mode, unless their own settings say otherwise.
+ *
+ * @param {Object} defaults The default settings, eg: `{mock: true}`.
+ * @return {Object} The connector.
+ */
+function defaultsConnector(defaults) {
+  return {
+    initialize: function(dataSource, callback) {
+      dataSource.settings = dataSource.settings || {};
+
+      Object.keys(defaults).forEach(function(key) {
+        if (dataSource.settings[key] === undefined) {
+          dataSource.settings[key] = defaults[key];
+        }
+      });
+
+      stormpathConnector.initialize(dataSource, callback);
+    }
+  };
+}
+
+/**
+ * Attach our custom Stormpath models as well as our stormpath datasource
  * into Loopback so that these utilities are available to the developers using
  * this library.
  *
- * @param {Object} loopback The Loopback require.
+ * @param {Object} app The Loopback app.
+ * @param {Object} [options] The options.
+ * @param {String} [options.dataSource] The name of the datasource our models
+ *   attach to.  Default is `stormpath`.
+ * @param {Object} [options.user] Customizes the user model.
+ * @param {String} [options.user.name] The model name.  Default is
+ *   `StormpathUser`.  Whatever its name, the model is also available as
+ *   `app.loopback.StormpathUser`.
+ * @param {String} [options.user.plural] The model's plural name.
+ * @param {Object} [options.user.properties] Properties to add, or to replace
+ *   the default ones with.  Set one to `null` to remove it.
+ * @param {Object[]} [options.user.acls] ACLs to add.  An ACL for the same
+ *   principal, property and access type as a default one replaces it.
+ * @param {Object} [options.user.settings] Model settings, eg: `ttl`,
+ *   `maxTTL` or `emailVerificationRequired`.
+ * @param {String[]|Object} [options.user.remoteMethods] The remote methods to
+ *   expose, eg: `['login', 'logout']`, or an object hiding some of them, eg:
+ *   `{changePassword: false}`.  All of them are exposed by default.
+ * @param {Object|Boolean} [options.oauth] Enables the OAuth2 token endpoint
+ *   and JWT access tokens when set, either to `true` or to options.
+ * @param {String} [options.oauth.secret] The secret JWTs are signed with.
+ *   Default is the Stormpath API key secret.
+ * @param {Number} [options.oauth.accessTokenTTL] Access tokens' lifetime in
+ *   seconds.  Default is 3600 (1 hour).
+ * @param {Number} [options.oauth.refreshTokenTTL] Refresh tokens' lifetime in
+ *   seconds.  Default is 5184000 (60 days).
+ * @param {String} [options.oauth.tokenPath] Default is `/oauth/token`.
+ * @param {String} [options.oauth.revocationPath] Default is `/oauth/revoke`.
+ * @param {Boolean} [options.apiKeys] Authenticates requests carrying API key
+ *   credentials in an HTTP Basic `Authorization` header when set.
+ * @param {Object|Boolean} [options.sessions] Makes logins asking for it set
+ *   an HttpOnly session cookie, authenticating later requests, when set,
+ *   either to `true` or to options.  Requests authenticated by the cookie
+ *   need the CSRF token to change anything.  See `lib/sessions.js`.
+ * @param {Number} [options.sessions.idleTimeout] How long sessions last
+ *   without any request, in seconds.  Default is 1800 (30 minutes).
+ * @param {Number} [options.sessions.absoluteTimeout] How long sessions last at
+ *   most, in seconds.  Default is 43200 (12 hours).
+ * @param {Object|Boolean} [options.mock] Runs the `stormpath` datasources
+ *   against an in-memory stand-in for Stormpath when set, either to `true` or
+ *   to the mock options, eg: `{emailVerification: true}`.  The datasource's
+ *   own `mock` setting does the same.
+ * @param {Object|Boolean} [options.cache] Caches the responses of Stormpath
+ *   when set, either to `true` or to the cache options, eg: `{ttl: 60, ttls:
+ *   {groups: 600}, store: redisStore}`.  The datasource's own `cache` setting
+ *   does the same.  See `lib/cache.js`.
+ * @param {Object|Boolean} [options.auditLog] Defines the `StormpathAuditLog`
+ *   model, recording the user model's audit events, when set, either to
+ *   `true` or to options.
+ * @param {String} [options.auditLog.dataSource] The datasource the audit log
+ *   attaches to.  Default is `db`.
  *
  * Usage example:
  *
@@ -15,11 +198,21 @@ var stormpathConnector = require('loopback-connector-stormpath');
  *   var stormpath = require('loopback-stormpath');
  *
  *   var app = loopback();
- *   stormpath.init(app);
+ *   stormpath.init(app, {
+ *     user: {
+ *       name: 'Account',
+ *       settings: { ttl: 3600 }
+ *     }
+ *   });
  *
  *   ...
  */
-module.exports.init = function(app) {
+module.exports.init = function(app, options) {
+  options = options || {};
+
+  var userOptions = options.user || {};
+  var userModel = userOptions.name || USER_MODEL;
+  var dataSource = options.dataSource || 'stormpath';
 
   /**
    * This helper function, createModel, is stolen from the Loopback project
@@ -40,18 +233,94 @@ module.exports.init = function(app) {
   }
 
   // Initialize our `stormpath` datasource.  This is what provides all of the
-  // ORM functionality for working with Stormpath Account objects.
+  // ORM functionality for working with Stormpath Accounts, Groups, Directories
+  // and Organizations.
   app.loopback.Stormpath = stormpathConnector;
-  app.connector('stormpath', stormpathConnector);
+  var connectorDefaults = {};
+
+  ['mock', 'cache'].forEach(function(key) {
+    if (options[key]) connectorDefaults[key] = options[key];
+  });
 
-  // Bind our `StormpathUser` model, making it available to developers.
+  app.connector('stormpath', Object.keys(connectorDefaults).length ?
+    defaultsConnector(connectorDefaults) : stormpathConnector);
+
+  // Bind our models, making them available to developers.
   app.loopback.StormpathUser = createModel(
-    require('../common/models/stormpath-user.json'),
+    customizeUserDefinition(loadDefinition('stormpath-user', userModel), userOptions),
     require('../common/models/stormpath-user.js')
   );
+  app.loopback[userModel] = app.loopback.StormpathUser;
+
+  app.loopback.StormpathGroup = createModel(
+    loadDefinition('stormpath-group', userModel),
+    require('../common/models/stormpath-group.js')
+  );
+
+  app.loopback.StormpathGroupMembership = createModel(
+    loadDefinition('stormpath-group-membership', userModel),
+    require('../common/models/stormpath-group-membership.js')
+  );
+
+  app.loopback.StormpathDirectory = createModel(
+    loadDefinition('stormpath-directory', userModel),
+    require('../common/models/stormpath-directory.js')
+  );
 
-  // Automatically attach the `StormpathUser` model to the `stormpath`
-  // datasource.
-  app.loopback.StormpathUser.autoAttach = 'stormpath';
+  app.loopback.StormpathOrganization = createModel(
+    loadDefinition('stormpath-organization', userModel),
+    require('../common/models/stormpath-organization.js')
+  );
+
+  // Automatically attach our models to the `stormpath` datasource.
+  [
+    'StormpathUser',
+    'StormpathGroup',
+    'StormpathGroupMembership',
+    'StormpathDirectory',
+    'StormpathOrganization'
+  ].forEach(function(name) {
+    app.loopback[name].autoAttach = dataSource;
+  });
+
+  if (userOptions.remoteMethods) {
+    selectRemoteMethods(app.loopback.StormpathUser, userOptions.remoteMethods);
+  }
+
+  // Resolve Loopback roles against Stormpath Group memberships, and teach the
+  // `$owner` role about `StormpathUser`.
+  roles.init(app);
+
+  if (options.oauth) {
+    app.loopback.StormpathUser.settings.oauth = options.oauth === true ? {} : options.oauth;
+    oauth.init(app, app.loopback.StormpathUser.settings.oauth);
+  }
+
+  if (options.apiKeys) {
+    apiKeys.init(app);
+  }
+
+  if (options.sessions) {
+    app.loopback.StormpathUser.settings.sessions = sessions.normalizeOptions(options.sessions);
+    sessions.init(app, app.loopback.StormpathUser.settings.sessions);
+  }
+
+  if (options.auditLog) {
+    var auditLogOptions = options.auditLog === true ? {} : options.auditLog;
+
+    app.loopback.StormpathAuditLog = createModel(
+      loadDefinition('stormpath-audit-log', userModel),
+      require('../common/models/stormpath-audit-log.js')
+    );
+    app.loopback.StormpathAuditLog.autoAttach = auditLogOptions.dataSource || 'db';
+    app.loopback.StormpathAuditLog.recordEventsOf(app.loopback.StormpathUser);
+  }
 
 };
+
+module.exports.migrateUsers = migrate.migrateUsers;
+
+module.exports.currentUser = middleware.currentUser;
+module.exports.loginRequired = middleware.loginRequired;
+module.exports.groupsRequired = middleware.groupsRequired;
+module.exports.apiAuthenticationRequired = middleware.apiAuthenticationRequired;
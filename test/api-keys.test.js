@@ -0,0 +1,139 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+(helpers.apiKeysSupported ? describe : describe.skip)('API keys', function() {
+  var app, user, token, apiKey;
+
+  function basic(key, secret) {
+    return 'Basic ' + Buffer.from(key.id + ':' + (secret || key.secret)).toString('base64');
+  }
+
+  before(function(done) {
+    helpers.createApp({ apiKeys: true, oauth: true }, function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      helpers.createUser(app, 'bob@example.com', function(err, result) {
+        if (err) return done(err);
+
+        user = result;
+        helpers.login(app, 'bob@example.com', function(err, result) {
+          token = result;
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('lets users create and list their keys', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/' + user.id + '/apiKeys')
+      .set('Authorization', token)
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        apiKey = res.body;
+        assert(apiKey.secret);
+        assert.equal(apiKey.status, 'ENABLED');
+        request(app)
+          .get('/api/StormpathUsers/' + user.id + '/apiKeys')
+          .set('Authorization', token)
+          .expect(200)
+          .end(function(err, res) {
+            if (err) return done(err);
+
+            assert.deepEqual(res.body, [{ id: apiKey.id, status: 'ENABLED' }]);
+            done();
+          });
+      });
+  });
+
+  it('keeps keys to their owner', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/' + user.id + '/apiKeys')
+      .expect(401, done);
+  });
+
+  it('authenticates requests with HTTP Basic credentials', function(done) {
+    helpers.expectUser(app, basic(apiKey), user.id, function(err) {
+      if (err) return done(err);
+      helpers.expectUser(app, basic(apiKey, 'nope'), null, done);
+    });
+  });
+
+  it('rejects logging out with HTTP Basic credentials', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/logout')
+      .set('Authorization', basic(apiKey))
+      .expect(400)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'API_KEY_LOGOUT');
+        request(app)
+          .post('/api/StormpathUsers/logoutAll')
+          .set('Authorization', basic(apiKey))
+          .expect(400, done);
+      });
+  });
+
+  it('exchanges keys for access tokens with the client_credentials grant', function(done) {
+    request(app)
+      .post('/oauth/token')
+      .set('Authorization', basic(apiKey))
+      .type('form')
+      .send({ grant_type: 'client_credentials' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert(!res.body.refresh_token);
+        helpers.expectUser(app, 'Bearer ' + res.body.access_token, user.id, function(err) {
+          if (err) return done(err);
+
+          request(app)
+            .post('/oauth/token')
+            .type('form')
+            .send({ grant_type: 'client_credentials', client_id: apiKey.id, client_secret: 'nope' })
+            .expect(401)
+            .end(function(err, res) {
+              if (err) return done(err);
+
+              assert.equal(res.body.error, 'invalid_client');
+              done();
+            });
+        });
+      });
+  });
+
+  it('lets users delete their keys', function(done) {
+    request(app)
+      .delete('/api/StormpathUsers/' + user.id + '/apiKeys/' + apiKey.id)
+      .set('Authorization', token)
+      .expect(204)
+      .end(function(err) {
+        if (err) return done(err);
+        helpers.expectUser(app, basic(apiKey), null, done);
+      });
+  });
+
+  it('rejects keys of disabled users', function(done) {
+    user.createApiKey(function(err, apiKey) {
+      if (err) return done(err);
+
+      user.updateAttributes({ status: 'DISABLED' }, function(err) {
+        if (err) return done(err);
+
+        helpers.expectUser(app, basic(apiKey), null, function(err) {
+          if (err) return done(err);
+          user.updateAttributes({ status: 'ENABLED' }, done);
+        });
+      });
+    });
+  });
+});
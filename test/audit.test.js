@@ -0,0 +1,116 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('audit events', function() {
+  var app, user, StormpathUser;
+
+  before(function(done) {
+    helpers.createApp({ auditLog: { dataSource: 'db' } }, function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      app.set('trust proxy', true);
+      app.model(app.loopback.StormpathAuditLog, { dataSource: 'db' });
+      StormpathUser = app.loopback.StormpathUser;
+      helpers.createUser(app, 'bob@example.com', function(err, result) {
+        user = result;
+        done(err);
+      });
+    });
+  });
+
+  it('records the IP address and user agent of logins', function(done) {
+    StormpathUser.once('login', function(event) {
+      assert.equal(event.userId, user.id);
+      assert.equal(event.data.method, 'password');
+      assert.equal(event.ip, '203.0.113.7');
+      assert.equal(event.userAgent, 'test-agent');
+      assert(event.timestamp instanceof Date);
+      done();
+    });
+
+    request(app)
+      .post('/api/StormpathUsers/login')
+      .set('X-Forwarded-For', '203.0.113.7')
+      .set('User-Agent', 'test-agent')
+      .send({ email: 'bob@example.com', password: 'Passw0rd' })
+      .expect(200)
+      .end(function(err) {
+        if (err) done(err);
+      });
+  });
+
+  it('records failed logins', function(done) {
+    StormpathUser.once('loginFailed', function(event) {
+      assert.equal(event.data.method, 'password');
+      assert.equal(event.data.login, 'bob@example.com');
+      assert.equal(event.data.code, 'LOGIN_FAILED');
+      done();
+    });
+
+    StormpathUser.login({ email: 'bob@example.com', password: 'wrong' }, function(err) {
+      assert.equal(err && err.code, 'LOGIN_FAILED');
+    });
+  });
+
+  it('records status changes', function(done) {
+    StormpathUser.once('statusChange', function(event) {
+      assert.equal(event.userId, user.id);
+      assert.deepEqual(event.data, { from: 'ENABLED', to: 'DISABLED' });
+      user.updateAttributes({ status: 'ENABLED' }, done);
+    });
+
+    user.updateAttributes({ status: 'DISABLED' }, { ip: '198.51.100.1' }, function(err) {
+      if (err) done(err);
+    });
+  });
+
+  it('records group membership changes', function(done) {
+    app.loopback.StormpathGroup.create({ name: 'editors' }, function(err, group) {
+      if (err) return done(err);
+
+      StormpathUser.once('groupMembershipChange', function(event) {
+        assert.equal(event.userId, user.id);
+        assert.equal(event.data.action, 'add');
+        assert.equal(event.data.groupId, group.id);
+        done();
+      });
+
+      user.groups.add(group, function(err) {
+        if (err) done(err);
+      });
+    });
+  });
+
+  it('keeps the events in the audit log', function(done) {
+    app.loopback.StormpathAuditLog.find({ where: { userId: user.id }, order: 'timestamp ASC' },
+      function(err, entries) {
+        if (err) return done(err);
+
+        var byType = {};
+        entries.forEach(function(entry) {
+          byType[entry.type] = byType[entry.type] || entry;
+        });
+
+        assert.deepEqual(Object.keys(byType), ['register', 'login', 'statusChange', 'groupMembershipChange']);
+        assert.equal(byType.login.ip, '203.0.113.7');
+        assert.deepEqual(byType.statusChange.data, { from: 'ENABLED', to: 'DISABLED' });
+        done();
+      });
+  });
+
+  it('only lets admins read the audit log', function(done) {
+    helpers.login(app, 'bob@example.com', function(err, token) {
+      if (err) return done(err);
+
+      request(app)
+        .get('/api/StormpathAuditLogs')
+        .set('Authorization', token)
+        .expect(401, done);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+var assert = require('assert');
+
+var helpers = require('./helpers');
+
+describe('caching', function() {
+  var app, cache, StormpathUser;
+
+  before(function(done) {
+    helpers.createApp({ cache: true }, function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      cache = app.dataSources.stormpath.connector.cache;
+      StormpathUser = app.loopback.StormpathUser;
+      done();
+    });
+  });
+
+  beforeEach(function() {
+    cache.resetStats();
+  });
+
+  it('counts misses, then hits', function(done) {
+    helpers.createUser(app, 'alice@example.com', function(err, user) {
+      if (err) return done(err);
+
+      cache.resetStats();
+      StormpathUser.findById(user.id, function(err) {
+        if (err) return done(err);
+
+        var stats = cache.getStats();
+        assert.equal(stats.hits, 0);
+        assert(stats.misses > 0);
+
+        StormpathUser.findById(user.id, function(err, found) {
+          if (err) return done(err);
+
+          stats = cache.getStats();
+          assert.equal(found.email, 'alice@example.com');
+          assert(stats.hits > 0);
+          assert(stats.regions.accounts.hits > 0);
+          assert.equal(stats.hitRatio, stats.hits / (stats.hits + stats.misses));
+          done();
+        });
+      });
+    });
+  });
+
+  it('evicts accounts when they are updated', function(done) {
+    helpers.createUser(app, 'bob@example.com', function(err, user) {
+      if (err) return done(err);
+
+      StormpathUser.findById(user.id, function(err, found) {
+        if (err) return done(err);
+
+        found.updateAttributes({ givenName: 'Robert' }, function(err) {
+          if (err) return done(err);
+
+          assert(cache.getStats().invalidations > 0);
+          StormpathUser.findById(user.id, function(err, found) {
+            if (err) return done(err);
+
+            assert.equal(found.givenName, 'Robert');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('evicts accounts when they are deleted', function(done) {
+    helpers.createUser(app, 'carol@example.com', function(err, user) {
+      if (err) return done(err);
+
+      StormpathUser.findById(user.id, function(err) {
+        if (err) return done(err);
+
+        StormpathUser.destroyById(user.id, function(err) {
+          if (err) return done(err);
+
+          StormpathUser.findById(user.id, function(err, found) {
+            if (err && err.statusCode !== 404) return done(err);
+
+            assert(!found);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('evicts the groups of accounts when their memberships change', function(done) {
+    helpers.createUser(app, 'dave@example.com', function(err, user) {
+      if (err) return done(err);
+
+      user.groups(function(err, groups) {
+        if (err) return done(err);
+
+        assert.equal(groups.length, 0);
+        app.loopback.StormpathGroup.create({ name: 'editors' }, function(err, group) {
+          if (err) return done(err);
+
+          user.groups.add(group, function(err) {
+            if (err) return done(err);
+
+            user.groups(true, function(err, groups) {
+              if (err) return done(err);
+
+              assert.deepEqual(groups.map(function(group) {
+                return group.name;
+              }), ['editors']);
+
+              user.groups.remove(group, function(err) {
+                if (err) return done(err);
+
+                user.groups(true, function(err, groups) {
+                  if (err) return done(err);
+
+                  assert.equal(groups.length, 0);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('resets its statistics', function() {
+    var stats = cache.getStats();
+
+    assert.deepEqual(stats, {
+      hits: 0,
+      misses: 0,
+      hitRatio: 0,
+      invalidations: 0,
+      errors: 0,
+      regions: {}
+    });
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('the current user', function() {
+  var app, user, token;
+
+  before(function(done) {
+    helpers.createApp(function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      helpers.createUser(app, 'alice@example.com', function(err, result) {
+        if (err) return done(err);
+
+        user = result;
+        helpers.login(app, 'alice@example.com', function(err, result) {
+          token = result;
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('reads the user logged in', function(done) {
+    request(app)
+      .get('/api/StormpathUsers/me')
+      .set('Authorization', token)
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.id, user.id);
+        assert.equal(res.body.email, 'alice@example.com');
+        done();
+      });
+  });
+
+  it('updates the profile fields', function(done) {
+    request(app)
+      .patch('/api/StormpathUsers/me')
+      .set('Authorization', token)
+      .send({ givenName: 'Alicia' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.givenName, 'Alicia');
+        done();
+      });
+  });
+
+  ['/me', '/:id'].forEach(function(path) {
+    it('rejects updates of other fields through PATCH ' + path, function(done) {
+      request(app)
+        .patch('/api/StormpathUsers' + path.replace(':id', user.id))
+        .set('Authorization', token)
+        .send({ status: 'ENABLED', email: 'mallory@example.com' })
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+
+          assert.equal(res.body.error.code, 'FIELDS_NOT_EDITABLE');
+          assert.deepEqual(res.body.error.fields, ['status', 'email']);
+          done();
+        });
+    });
+  });
+
+  it('exports the account', function(done) {
+    request(app)
+      .get('/api/StormpathUsers/me/export')
+      .set('Authorization', token)
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.account.email, 'alice@example.com');
+        assert(Array.isArray(res.body.groupMemberships));
+        done();
+      });
+  });
+
+  it('keeps the account when the password is wrong', function(done) {
+    request(app)
+      .del('/api/StormpathUsers/me')
+      .set('Authorization', token)
+      .send({ password: 'wrong' })
+      .expect(400)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'INVALID_CURRENT_PASSWORD');
+        done();
+      });
+  });
+
+  it('deletes the account given the password in the body', function(done) {
+    request(app)
+      .del('/api/StormpathUsers/me')
+      .set('Authorization', token)
+      .send({ password: 'Passw0rd' })
+      .expect(204)
+      .end(function(err) {
+        if (err) return done(err);
+
+        app.loopback.StormpathUser.findById(user.id, function(err, found) {
+          if (err && err.statusCode !== 404) return done(err);
+
+          assert(!found);
+          helpers.expectUser(app, token, null, done);
+        });
+      });
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var loopback = require('loopback');
+var request = require('supertest');
+
+var stormpath = require('../');
+
+/**
+ * Whether the Stormpath SDK can handle API keys on this version of Node: it
+ * decrypts their secrets with `crypto.pbkdf2()` without a digest, which Node 8
+ * and later reject.
+ */
+var apiKeysSupported = (function() {
+  try {
+    crypto.pbkdf2Sync('secret', 'salt', 1, 16);
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+/**
+ * Build an app running against the mock, the way the README sets one up, with
+ * the REST API under `/api`.
+ *
+ * @param {Object} [options] The `stormpath.init()` options.  `mock` is on.
+ * @callback {Function} callback
+ * @param {Error} err
+ * @param {Object} app The Loopback app.
+ */
+function createApp(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  var app = loopback();
+  var initOptions = { mock: true };
+
+  Object.keys(options || {}).forEach(function(key) {
+    initOptions[key] = options[key];
+  });
+
+  stormpath.init(app, initOptions);
+
+  app.dataSource('db', { connector: 'memory' });
+  app.dataSource('stormpath', { connector: 'stormpath' });
+
+  app.model(loopback.AccessToken, { dataSource: 'db' });
+  ['ACL', 'Role', 'RoleMapping'].forEach(function(name) {
+    app.model(loopback[name], { dataSource: 'db' });
+  });
+  ['StormpathUser', 'StormpathGroup', 'StormpathGroupMembership', 'StormpathDirectory',
+    'StormpathOrganization'].forEach(function(name) {
+    app.model(app.loopback[name], { dataSource: 'stormpath' });
+  });
+
+  app.enableAuth();
+  app.middleware('auth', loopback.token());
+  app.use('/api', loopback.rest());
+
+  // Who the request is authenticated as.
+  app.get('/whoami', function(req, res) {
+    res.json({ userId: req.accessToken ? req.accessToken.userId : null });
+  });
+
+  // Errors of middleware running before the REST API, eg: sessions.
+  app.use(function(err, req, res, next) {
+    res.status(err.statusCode || err.status || 500).json({
+      error: { message: err.message, code: err.code }
+    });
+  });
+
+  app.dataSources.stormpath.connector.connect(function(err) {
+    callback(err || null, app);
+  });
+}
+
+/**
+ * Expect requests with the given `Authorization` header to be authenticated
+ * as the given user, or as nobody.
+ *
+ * @param {Object} app The Loopback app.
+ * @param {String} authorization The `Authorization` header.
+ * @param {String} userId The user ID, or `null`.
+ * @callback {Function} callback
+ * @param {Error} err
+ */
+function expectUser(app, authorization, userId, callback) {
+  request(app)
+    .get('/whoami')
+    .set('Authorization', authorization)
+    .expect(200)
+    .end(function(err, res) {
+      if (err) return callback(err);
+
+      assert.strictEqual(res.body.userId, userId);
+      callback(null);
+    });
+}
+
+/**
+ * Create a user, with `Passw0rd` as their password, optionally in a group.
+ *
+ * @param {Object} app The Loopback app.
+ * @param {String} email The user's email.
+ * @param {String} [groupName] The group to add them to, created if needed.
+ * @callback {Function} callback
+ * @param {Error} err
+ * @param {StormpathUser} user
+ */
+function createUser(app, email, groupName, callback) {
+  if (typeof groupName === 'function') {
+    callback = groupName;
+    groupName = null;
+  }
+
+  var StormpathUser = app.loopback.StormpathUser;
+  var StormpathGroup = app.loopback.StormpathGroup;
+
+  StormpathUser.create({
+    givenName: 'Test',
+    surname: 'User',
+    email: email,
+    password: 'Passw0rd'
+  }, function(err, user) {
+    if (err || !groupName) return callback(err || null, user);
+
+    StormpathGroup.findOne({ where: { name: groupName } }, function(err, group) {
+      if (err) return callback(err);
+
+      function add(err, group) {
+        if (err) return callback(err);
+
+        user.groups.add(group, function(err) {
+          callback(err || null, user);
+        });
+      }
+
+      if (group) return add(null, group);
+      StormpathGroup.create({ name: groupName }, add);
+    });
+  });
+}
+
+/**
+ * Log a user in through the REST API.
+ *
+ * @param {Object} app The Loopback app.
+ * @param {String} email The user's email.
+ * @callback {Function} callback
+ * @param {Error} err
+ * @param {String} token The access token ID.
+ */
+function login(app, email, callback) {
+  request(app)
+    .post('/api/StormpathUsers/login')
+    .send({ email: email, password: 'Passw0rd' })
+    .expect(200)
+    .end(function(err, res) {
+      callback(err || null, res && res.body.id);
+    });
+}
+
+module.exports = {
+  apiKeysSupported: apiKeysSupported,
+  createApp: createApp,
+  createUser: createUser,
+  expectUser: expectUser,
+  login: login
+};
@@ -0,0 +1,264 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('login lockout', function() {
+  var app, StormpathUser;
+
+  function login(email, password, ip, callback) {
+    StormpathUser.login({ email: email, password: password }, null, { ip: ip }, function(err) {
+      callback(null, err ? err.code : 'OK');
+    });
+  }
+
+  before(function(done) {
+    helpers.createApp({
+      user: { settings: { lockout: { maxAttempts: 3, maxAttemptsPerIp: 10 } } }
+    }, function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      StormpathUser = app.loopback.StormpathUser;
+      async.eachSeries(['alice', 'bob', 'carol', 'dave', 'erin', 'frank', 'admin'], function(name, cb) {
+        helpers.createUser(app, name + '@example.com', name === 'admin' ? 'admin' : null, cb);
+      }, done);
+    });
+  });
+
+  it('locks accounts out after too many failed attempts', function(done) {
+    async.mapSeries([1, 2, 3, 4], function(i, cb) {
+      login('alice@example.com', 'wrong', '10.0.0.1', cb);
+    }, function(err, codes) {
+      if (err) return done(err);
+
+      assert.deepEqual(codes, ['LOGIN_FAILED', 'LOGIN_FAILED', 'ACCOUNT_LOCKED', 'ACCOUNT_LOCKED']);
+      login('alice@example.com', 'Passw0rd', '10.0.0.1', function(err, code) {
+        assert.equal(code, 'ACCOUNT_LOCKED');
+        done(err);
+      });
+    });
+  });
+
+  it('answers locked out logins with a 429 and a Retry-After header', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/login')
+      .send({ email: 'alice@example.com', password: 'Passw0rd' })
+      .expect(429)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'ACCOUNT_LOCKED');
+        assert(Number(res.headers['retry-after']) > 0);
+        done();
+      });
+  });
+
+  it('lets admins unlock accounts', function(done) {
+    helpers.login(app, 'admin@example.com', function(err, token) {
+      if (err) return done(err);
+
+      StormpathUser.findOne({ where: { email: 'alice@example.com' } }, function(err, alice) {
+        if (err) return done(err);
+
+        request(app)
+          .post('/api/StormpathUsers/' + alice.id + '/unlock')
+          .set('Authorization', token)
+          .expect(204)
+          .end(function(err) {
+            if (err) return done(err);
+
+            login('alice@example.com', 'Passw0rd', '10.0.0.1', function(err, code) {
+              assert.equal(code, 'OK');
+              done(err);
+            });
+          });
+      });
+    });
+  });
+
+  it('forgets failed attempts once the user logs in', function(done) {
+    async.mapSeries(['wrong', 'wrong', 'Passw0rd', 'wrong', 'wrong', 'Passw0rd'], function(password, cb) {
+      login('bob@example.com', password, '10.0.0.2', cb);
+    }, function(err, codes) {
+      if (err) return done(err);
+
+      assert.deepEqual(codes, ['LOGIN_FAILED', 'LOGIN_FAILED', 'OK', 'LOGIN_FAILED', 'LOGIN_FAILED', 'OK']);
+      done();
+    });
+  });
+
+  it('counts concurrent attempts', function(done) {
+    async.times(10, function(i, cb) {
+      login('carol@example.com', 'wrong', '10.0.0.3', cb);
+    }, function(err, codes) {
+      if (err) return done(err);
+
+      assert.equal(codes.filter(function(code) {
+        return code === 'LOGIN_FAILED';
+      }).length, 2);
+      assert.equal(codes.filter(function(code) {
+        return code === 'ACCOUNT_LOCKED';
+      }).length, 8);
+      done();
+    });
+  });
+
+  it('throttles IP addresses with too many failed attempts', function(done) {
+    async.mapSeries([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], function(i, cb) {
+      login('nobody' + i + '@example.com', 'wrong', '10.0.0.4', cb);
+    }, function(err, codes) {
+      if (err) return done(err);
+
+      assert.equal(codes[8], 'LOGIN_FAILED');
+      assert.equal(codes[9], 'LOGIN_THROTTLED');
+      assert.equal(codes[10], 'LOGIN_THROTTLED');
+      login('dave@example.com', 'Passw0rd', '10.0.0.4', function(err, code) {
+        assert.equal(code, 'LOGIN_THROTTLED');
+        done(err);
+      });
+    });
+  });
+
+  it('counts wrong current passwords towards the lockout', function(done) {
+    StormpathUser.findOne({ where: { email: 'erin@example.com' } }, function(err, erin) {
+      if (err) return done(err);
+
+      async.mapSeries([1, 2, 3], function(i, cb) {
+        erin.changePassword('wrong', 'N3w-Passw0rd', function(err) {
+          cb(null, err && err.code);
+        });
+      }, function(err, codes) {
+        if (err) return done(err);
+
+        assert.deepEqual(codes, ['INVALID_CURRENT_PASSWORD', 'INVALID_CURRENT_PASSWORD', 'ACCOUNT_LOCKED']);
+        erin.changePassword('Passw0rd', 'N3w-Passw0rd', function(err) {
+          assert.equal(err && err.code, 'ACCOUNT_LOCKED');
+          login('erin@example.com', 'Passw0rd', '10.0.0.5', function(err, code) {
+            assert.equal(code, 'ACCOUNT_LOCKED');
+            done(err);
+          });
+        });
+      });
+    });
+  });
+
+  it('answers locked out password checks with a 429 and a Retry-After header', function(done) {
+    helpers.login(app, 'frank@example.com', function(err, token) {
+      if (err) return done(err);
+
+      function deleteAccount(status, cb) {
+        request(app)
+          .del('/api/StormpathUsers/me')
+          .set('Authorization', token)
+          .send({ password: 'wrong' })
+          .expect(status, cb);
+      }
+
+      async.series([
+        deleteAccount.bind(null, 400),
+        deleteAccount.bind(null, 400),
+        deleteAccount.bind(null, 429)
+      ], function(err, results) {
+        if (err) return done(err);
+
+        assert.equal(results[2].body.error.code, 'ACCOUNT_LOCKED');
+        assert(Number(results[2].headers['retry-after']) > 0);
+        done();
+      });
+    });
+  });
+
+  describe('with maxAttempts set to 0', function() {
+    before(function(done) {
+      helpers.createApp({
+        user: { settings: { lockout: { maxAttempts: 0 } } }
+      }, function(err, result) {
+        if (err) return done(err);
+
+        app = result;
+        StormpathUser = app.loopback.StormpathUser;
+        helpers.createUser(app, 'alice@example.com', done);
+      });
+    });
+
+    it('never locks accounts out', function(done) {
+      async.mapSeries([1, 2, 3, 4, 5], function(i, cb) {
+        login('alice@example.com', 'wrong', '10.0.0.' + i, cb);
+      }, function(err, codes) {
+        if (err) return done(err);
+
+        assert.deepEqual(codes, ['LOGIN_FAILED', 'LOGIN_FAILED', 'LOGIN_FAILED', 'LOGIN_FAILED',
+          'LOGIN_FAILED']);
+        login('alice@example.com', 'Passw0rd', '10.0.0.1', function(err, code) {
+          assert.equal(code, 'OK');
+          done(err);
+        });
+      });
+    });
+  });
+
+  describe('with the OAuth password grant', function() {
+    function grant(email, password) {
+      return request(app)
+        .post('/oauth/token')
+        .type('form')
+        .send({ grant_type: 'password', username: email, password: password });
+    }
+
+    function expectLockedOut(email, done) {
+      grant(email, 'Passw0rd')
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+
+          assert.equal(res.body.error, 'invalid_grant');
+          assert(Number(res.headers['retry-after']) > 0);
+          done();
+        });
+    }
+
+    function createApp(lockout, done) {
+      helpers.createApp({
+        oauth: { secret: 'test-secret' },
+        user: { settings: { lockout: lockout } }
+      }, function(err, result) {
+        if (err) return done(err);
+
+        app = result;
+        helpers.createUser(app, 'alice@example.com', done);
+      });
+    }
+
+    function failTimes(times, email, done) {
+      async.timesSeries(times, function(i, cb) {
+        grant(email || 'nobody' + i + '@example.com', 'wrong').expect(400, cb);
+      }, done);
+    }
+
+    it('rejects locked out accounts with invalid_grant and a Retry-After header', function(done) {
+      createApp({ maxAttempts: 2, maxAttemptsPerIp: 0 }, function(err) {
+        if (err) return done(err);
+
+        failTimes(2, 'alice@example.com', function(err) {
+          if (err) return done(err);
+          expectLockedOut('alice@example.com', done);
+        });
+      });
+    });
+
+    it('rejects throttled IP addresses with invalid_grant and a Retry-After header', function(done) {
+      createApp({ maxAttempts: 0, maxAttemptsPerIp: 2 }, function(err) {
+        if (err) return done(err);
+
+        failTimes(2, null, function(err) {
+          if (err) return done(err);
+          expectLockedOut('alice@example.com', done);
+        });
+      });
+    });
+  });
+});
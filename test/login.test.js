@@ -0,0 +1,127 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('login and logout', function() {
+  var app, user;
+
+  before(function(done) {
+    helpers.createApp(function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      helpers.createUser(app, 'bob@example.com', function(err, result) {
+        user = result;
+        done(err);
+      });
+    });
+  });
+
+  it('logs users in with their email and password', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/login?include=user')
+      .send({ email: 'bob@example.com', password: 'Passw0rd' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert(res.body.id);
+        assert.equal(res.body.userId, user.id);
+        assert.equal(res.body.user.email, 'bob@example.com');
+        done();
+      });
+  });
+
+  it('rejects wrong passwords', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/login')
+      .send({ email: 'bob@example.com', password: 'nope' })
+      .expect(401)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'LOGIN_FAILED');
+        done();
+      });
+  });
+
+  it('rejects unknown users the same way', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/login')
+      .send({ email: 'nobody@example.com', password: 'Passw0rd' })
+      .expect(401)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'LOGIN_FAILED');
+        done();
+      });
+  });
+
+  it('requires a password', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/login')
+      .send({ email: 'bob@example.com' })
+      .expect(400)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'PASSWORD_REQUIRED');
+        done();
+      });
+  });
+
+  it('logs users out of the current session', function(done) {
+    helpers.login(app, 'bob@example.com', function(err, token) {
+      if (err) return done(err);
+
+      request(app)
+        .post('/api/StormpathUsers/logout')
+        .set('Authorization', token)
+        .expect(204)
+        .end(function(err) {
+          if (err) return done(err);
+
+          helpers.expectUser(app, token, null, done);
+        });
+    });
+  });
+
+  it('logs users out of all of their sessions', function(done) {
+    helpers.login(app, 'bob@example.com', function(err, first) {
+      if (err) return done(err);
+
+      helpers.login(app, 'bob@example.com', function(err, second) {
+        if (err) return done(err);
+
+        request(app)
+          .post('/api/StormpathUsers/logoutAll')
+          .set('Authorization', first)
+          .expect(200)
+          .end(function(err) {
+            if (err) return done(err);
+
+            helpers.expectUser(app, second, null, done);
+          });
+      });
+    });
+  });
+
+  it('revokes access tokens when the password changes', function(done) {
+    helpers.login(app, 'bob@example.com', function(err, token) {
+      if (err) return done(err);
+
+      user.changePassword('Passw0rd', 'N3wPassw0rd', function(err) {
+        if (err) return done(err);
+
+        helpers.expectUser(app, token, null, function(err) {
+          if (err) return done(err);
+          user.changePassword('N3wPassw0rd', 'Passw0rd', done);
+        });
+      });
+    });
+  });
+});
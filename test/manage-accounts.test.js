@@ -0,0 +1,124 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('managing accounts', function() {
+  var app, StormpathUser;
+  var users = {};
+  var tokens = {};
+
+  before(function(done) {
+    helpers.createApp(function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      StormpathUser = app.loopback.StormpathUser;
+      async.eachSeries(['alice', 'bob', 'carol', 'admin', 'root'], function(name, cb) {
+        var group = name === 'admin' || name === 'root' ? 'admin' : null;
+
+        helpers.createUser(app, name + '@example.com', group, function(err, user) {
+          if (err) return cb(err);
+
+          users[name] = user;
+          helpers.login(app, name + '@example.com', function(err, token) {
+            tokens[name] = token;
+            cb(err);
+          });
+        });
+      }, done);
+    });
+  });
+
+  function post(name, path, token) {
+    return request(app)
+      .post('/api/StormpathUsers/' + users[name].id + path)
+      .set('Authorization', token || tokens.admin);
+  }
+
+  function login(email, callback) {
+    StormpathUser.login({ email: email, password: 'Passw0rd' }, function(err) {
+      callback(null, err ? err.code : 'OK');
+    });
+  }
+
+  it('revokes the tokens of disabled users', function(done) {
+    post('alice', '/disable').expect(200).end(function(err, res) {
+      if (err) return done(err);
+
+      assert.equal(res.body.status, 'DISABLED');
+      helpers.expectUser(app, tokens.alice, null, function(err) {
+        if (err) return done(err);
+
+        post('alice', '/enable').expect(200).end(function(err, res) {
+          if (err) return done(err);
+
+          assert.equal(res.body.status, 'ENABLED');
+          login('alice@example.com', function(err, code) {
+            assert.equal(code, 'OK');
+            done(err);
+          });
+        });
+      });
+    });
+  });
+
+  it('rejects logins until a forced password reset is done', function(done) {
+    post('bob', '/force-password-reset').expect(204).end(function(err) {
+      if (err) return done(err);
+
+      helpers.expectUser(app, tokens.bob, null, function(err) {
+        if (err) return done(err);
+
+        login('bob@example.com', function(err, code) {
+          assert.equal(code, 'PASSWORD_RESET_REQUIRED');
+          done(err);
+        });
+      });
+    });
+  });
+
+  describe('impersonation', function() {
+    var token;
+
+    before(function(done) {
+      post('carol', '/impersonate').expect(200).end(function(err, res) {
+        if (err) return done(err);
+
+        token = res.body;
+        done();
+      });
+    });
+
+    it('hands admins a token for the user', function(done) {
+      assert.equal(token.userId, users.carol.id);
+      assert.equal(token.impersonatorId, users.admin.id);
+      assert.equal(token.ttl, 900);
+      helpers.expectUser(app, token.id, users.carol.id, done);
+    });
+
+    it('keeps impersonation tokens away from credentials', function(done) {
+      post('carol', '/change-password', token.id)
+        .send({ oldPassword: 'Passw0rd', newPassword: 'N3w-Passw0rd' })
+        .expect(403)
+        .end(function(err, res) {
+          if (err) return done(err);
+
+          assert.equal(res.body.error.code, 'IMPERSONATION_NOT_ALLOWED');
+          done();
+        });
+    });
+
+    it('refuses to impersonate admins', function(done) {
+      post('root', '/impersonate').expect(403).end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'IMPERSONATION_NOT_ALLOWED');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,263 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+var mfa = require('../lib/mfa');
+
+describe('multi-factor authentication', function() {
+  var app, StormpathUser;
+
+  // A TOTP code for the given factor, `offset` time steps from now.
+  function totp(factor, offset) {
+    return mfa.hotp(factor.secret, Math.floor(Date.now() / 30000) + (offset || 0));
+  }
+
+  // Create a user with a verified TOTP factor.
+  function createUserWithFactor(email, callback) {
+    helpers.createUser(app, email, function(err, user) {
+      if (err) return callback(err);
+
+      user.enrollFactor({ type: 'totp' }, function(err, factor) {
+        if (err) return callback(err);
+
+        user.verifyFactor(factor.id, totp(factor), function(err) {
+          callback(err || null, user, factor);
+        });
+      });
+    });
+  }
+
+  function login(email, password, callback) {
+    StormpathUser.login({ email: email, password: password }, function(err, result) {
+      callback(err || null, result && result.mfaChallenge);
+    });
+  }
+
+  function verify(challenge, code, callback) {
+    StormpathUser.verifyChallenge({ challengeId: challenge.id, code: code }, function(err, token) {
+      callback(null, err ? err.code : token && 'OK');
+    });
+  }
+
+  before(function(done) {
+    helpers.createApp({
+      user: {
+        settings: {
+          lockout: { maxAttempts: 3 },
+          mfa: { issuer: 'Test', maxAttempts: 2, requiredGroups: ['admin'] }
+        }
+      }
+    }, function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      StormpathUser = app.loopback.StormpathUser;
+      done();
+    });
+  });
+
+  it('logs users without a factor in right away', function(done) {
+    helpers.createUser(app, 'nofactor@example.com', function(err) {
+      if (err) return done(err);
+
+      StormpathUser.login({ email: 'nofactor@example.com', password: 'Passw0rd' }, function(err, token) {
+        if (err) return done(err);
+
+        assert(token.id);
+        assert(!token.mfaChallenge);
+        done();
+      });
+    });
+  });
+
+  it('completes logins with a code from the factor', function(done) {
+    createUserWithFactor('alice@example.com', function(err, user, factor) {
+      if (err) return done(err);
+
+      request(app)
+        .post('/api/StormpathUsers/login')
+        .send({ email: 'alice@example.com', password: 'Passw0rd' })
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+
+          var challenge = res.body.mfaChallenge;
+
+          assert.equal(challenge.status, 'PENDING');
+          assert.equal(challenge.factor.id, factor.id);
+          assert(!res.body.id);
+
+          request(app)
+            .post('/api/StormpathUsers/verify-challenge')
+            .send({ challengeId: challenge.id, code: totp(factor, 1) })
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+
+              assert(res.body.id);
+              assert.equal(res.body.userId, user.id);
+              done();
+            });
+        });
+    });
+  });
+
+  it('rejects wrong codes, and drops challenges after too many', function(done) {
+    createUserWithFactor('bob@example.com', function(err, user, factor) {
+      if (err) return done(err);
+
+      login('bob@example.com', 'Passw0rd', function(err, challenge) {
+        if (err) return done(err);
+
+        async.mapSeries(['000000', '000000', totp(factor, 1)], function(code, cb) {
+          verify(challenge, code, cb);
+        }, function(err, codes) {
+          if (err) return done(err);
+
+          assert.deepEqual(codes, ['INVALID_MFA_CODE', 'INVALID_MFA_CODE', 'INVALID_MFA_CHALLENGE']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('counts wrong codes toward the account lockout', function(done) {
+    createUserWithFactor('carol@example.com', function(err, user, factor) {
+      if (err) return done(err);
+
+      var challenge;
+
+      async.series([
+        function(cb) {
+          login('carol@example.com', 'Passw0rd', function(err, result) {
+            challenge = result;
+            cb(err);
+          });
+        },
+        function(cb) {
+          verify(challenge, '000000', function(err, code) {
+            assert.equal(code, 'INVALID_MFA_CODE');
+            cb(err);
+          });
+        },
+        // The right password doesn't forget the wrong code.
+        function(cb) {
+          login('carol@example.com', 'Passw0rd', function(err, result) {
+            challenge = result;
+            cb(err);
+          });
+        },
+        function(cb) {
+          verify(challenge, '000000', function(err, code) {
+            assert.equal(code, 'INVALID_MFA_CODE');
+            cb(err);
+          });
+        },
+        function(cb) {
+          verify(challenge, '000000', function(err, code) {
+            assert.equal(code, 'ACCOUNT_LOCKED');
+            cb(err);
+          });
+        },
+        function(cb) {
+          login('carol@example.com', 'Passw0rd', function(err) {
+            assert.equal(err && err.code, 'ACCOUNT_LOCKED');
+            cb();
+          });
+        }
+      ], done);
+    });
+  });
+
+  it('answers codes for locked out accounts with a 429 and a Retry-After header', function(done) {
+    createUserWithFactor('erin@example.com', function(err, user, factor) {
+      if (err) return done(err);
+
+      login('erin@example.com', 'Passw0rd', function(err, challenge) {
+        if (err) return done(err);
+
+        async.mapSeries(['000000', '000000'], function(code, cb) {
+          verify(challenge, code, cb);
+        }, function(err) {
+          if (err) return done(err);
+
+          login('erin@example.com', 'Passw0rd', function(err, challenge) {
+            if (err) return done(err);
+
+            request(app)
+              .post('/api/StormpathUsers/verify-challenge')
+              .send({ challengeId: challenge.id, code: '000000' })
+              .expect(429)
+              .end(function(err, res) {
+                if (err) return done(err);
+
+                assert.equal(res.body.error.code, 'ACCOUNT_LOCKED');
+                assert(Number(res.headers['retry-after']) > 0);
+                done();
+              });
+          });
+        });
+      });
+    });
+  });
+
+  it('forgets failed attempts once the code is right', function(done) {
+    createUserWithFactor('dave@example.com', function(err, user, factor) {
+      if (err) return done(err);
+
+      async.series([
+        function(cb) {
+          login('dave@example.com', 'wrong', function(err) {
+            assert.equal(err && err.code, 'LOGIN_FAILED');
+            cb();
+          });
+        },
+        function(cb) {
+          login('dave@example.com', 'Passw0rd', function(err, challenge) {
+            if (err) return cb(err);
+
+            async.mapSeries(['000000', totp(factor, 1)], function(code, cb) {
+              verify(challenge, code, cb);
+            }, function(err, codes) {
+              assert.deepEqual(codes, ['INVALID_MFA_CODE', 'OK']);
+              cb(err);
+            });
+          });
+        },
+        function(cb) {
+          async.mapSeries(['wrong', 'wrong'], function(password, cb) {
+            login('dave@example.com', password, function(err) {
+              cb(null, err && err.code);
+            });
+          }, function(err, codes) {
+            assert.deepEqual(codes, ['LOGIN_FAILED', 'LOGIN_FAILED']);
+            cb(err);
+          });
+        }
+      ], done);
+    });
+  });
+
+  it('makes members of the required groups enroll a factor', function(done) {
+    helpers.createUser(app, 'admin@example.com', 'admin', function(err) {
+      if (err) return done(err);
+
+      login('admin@example.com', 'Passw0rd', function(err, challenge) {
+        if (err) return done(err);
+
+        assert.equal(challenge.status, 'ENROLLMENT_REQUIRED');
+        StormpathUser.enrollChallengeFactor({ challengeId: challenge.id, type: 'totp' }, function(err, factor) {
+          if (err) return done(err);
+
+          verify(challenge, totp(factor), function(err, code) {
+            assert.equal(code, 'OK');
+            done(err);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+var stormpath = require('../');
+
+describe('middleware', function() {
+  var app, tokens = {};
+
+  before(function(done) {
+    helpers.createApp(function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+
+      function sendUser(req, res) {
+        res.json({ email: req.user ? req.user.email : null });
+      }
+
+      app.get('/home', stormpath.currentUser(), sendUser);
+      app.get('/dashboard', stormpath.loginRequired(), sendUser);
+      app.get('/admin', stormpath.groupsRequired(['admin', 'billing']), sendUser);
+      app.get('/billing', stormpath.groupsRequired(['admin', 'billing'], { all: true }), sendUser);
+      app.get('/reports', stormpath.apiAuthenticationRequired(), sendUser);
+      app.use(function(err, req, res, next) {
+        res.status(err.statusCode).json({ error: { code: err.code } });
+      });
+
+      async.eachSeries([
+        ['alice@example.com', 'admin'],
+        ['bob@example.com', 'billing'],
+        ['carol@example.com']
+      ], function(args, cb) {
+        helpers.createUser(app, args[0], args[1], function(err) {
+          if (err) return cb(err);
+
+          helpers.login(app, args[0], function(err, token) {
+            tokens[args[0]] = token;
+            cb(err);
+          });
+        });
+      }, function(err) {
+        if (err) return done(err);
+
+        // Bob is in both groups.
+        app.loopback.StormpathUser.findOne({ where: { email: 'bob@example.com' } }, function(err, bob) {
+          if (err) return done(err);
+
+          app.loopback.StormpathGroup.findOne({ where: { name: 'admin' } }, function(err, admin) {
+            if (err) return done(err);
+            bob.groups.add(admin, done);
+          });
+        });
+      });
+    });
+  });
+
+  function get(url, email) {
+    var req = request(app).get(url).set('Accept', 'application/json');
+    return email ? req.set('Authorization', tokens[email]) : req;
+  }
+
+  function expectEmail(email, done) {
+    return function(err, res) {
+      if (err) return done(err);
+
+      assert.strictEqual(res.body.email, email);
+      done();
+    };
+  }
+
+  function expectError(code, done) {
+    return function(err, res) {
+      if (err) return done(err);
+
+      assert.equal(res.body.error.code, code);
+      done();
+    };
+  }
+
+  describe('currentUser', function() {
+    it('attaches the logged in user', function(done) {
+      get('/home', 'carol@example.com').expect(200).end(expectEmail('carol@example.com', done));
+    });
+
+    it('lets anonymous requests through', function(done) {
+      get('/home').expect(200).end(expectEmail(null, done));
+    });
+  });
+
+  describe('loginRequired', function() {
+    it('lets logged in users through', function(done) {
+      get('/dashboard', 'carol@example.com').expect(200).end(expectEmail('carol@example.com', done));
+    });
+
+    it('redirects browsers to the login page', function(done) {
+      request(app)
+        .get('/dashboard?tab=1')
+        .set('Accept', 'text/html')
+        .expect(302)
+        .expect('Location', '/login?next=%2Fdashboard%3Ftab%3D1', done);
+    });
+
+    it('rejects other clients with a 401', function(done) {
+      get('/dashboard').expect(401).end(expectError('AUTHORIZATION_REQUIRED', done));
+    });
+  });
+
+  describe('groupsRequired', function() {
+    it('lets members of any of the groups through', function(done) {
+      get('/admin', 'alice@example.com').expect(200).end(expectEmail('alice@example.com', done));
+    });
+
+    it('rejects users outside of the groups with a 403', function(done) {
+      get('/admin', 'carol@example.com').expect(403).end(expectError('ACCESS_DENIED', done));
+    });
+
+    it('requires all of the groups with the all option', function(done) {
+      get('/billing', 'alice@example.com').expect(403).end(function(err) {
+        if (err) return done(err);
+        get('/billing', 'bob@example.com').expect(200).end(expectEmail('bob@example.com', done));
+      });
+    });
+  });
+
+  describe('apiAuthenticationRequired', function() {
+    it('lets requests with a Bearer access token through', function(done) {
+      get('/reports')
+        .set('Authorization', 'Bearer ' + tokens['carol@example.com'])
+        .expect(200)
+        .end(expectEmail('carol@example.com', done));
+    });
+
+    it('rejects other requests with a WWW-Authenticate header', function(done) {
+      get('/reports')
+        .expect(401)
+        .expect('WWW-Authenticate', 'Basic realm="api", Bearer realm="api"')
+        .end(expectError('AUTHORIZATION_REQUIRED', done));
+    });
+
+    it('ignores access tokens in query parameters', function(done) {
+      get('/reports?access_token=' + tokens['carol@example.com'])
+        .expect(401)
+        .end(expectError('AUTHORIZATION_REQUIRED', done));
+    });
+  });
+});
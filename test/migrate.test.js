@@ -0,0 +1,105 @@
+'use strict';
+
+var assert = require('assert');
+var bcrypt = require('bcryptjs');
+
+var helpers = require('./helpers');
+var stormpath = require('../');
+
+describe('migrating users', function() {
+  var app, LegacyUser, StormpathUser;
+
+  before(function(done) {
+    helpers.createApp(function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      StormpathUser = app.loopback.StormpathUser;
+      LegacyUser = app.registry.createModel('LegacyUser', {
+        id: { type: Number, id: true },
+        email: String,
+        password: String,
+        emailVerified: Boolean,
+        plan: String
+      });
+      app.model(LegacyUser, { dataSource: 'db' });
+
+      var hash = bcrypt.hashSync('Passw0rd', 4);
+
+      LegacyUser.create([
+        { id: 1, email: 'bob@example.com', password: hash, emailVerified: true, plan: 'gold' },
+        { id: 2, email: 'alice@example.com', password: hash },
+        { id: 3, email: 'carol@example.com', password: 'Passw0rd' },
+        { id: 4, password: hash }
+      ], done);
+    });
+  });
+
+  it('imports bcrypt hashes and reports users which fail', function(done) {
+    stormpath.migrateUsers(app, LegacyUser, function(err, report) {
+      if (err) return done(err);
+
+      assert.deepEqual(report.migrated.map(function(entry) {
+        return entry.email;
+      }).sort(), ['alice@example.com', 'bob@example.com']);
+      assert.deepEqual(report.failed.map(function(entry) {
+        return entry.id + ' ' + entry.code;
+      }).sort(), ['3 UNSUPPORTED_PASSWORD_HASH', '4 EMAIL_REQUIRED']);
+      assert.equal(report.skipped.length, 0);
+      assert.equal(report.lastId, 4);
+
+      StormpathUser.login({ email: 'bob@example.com', password: 'Passw0rd' }, done);
+    });
+  });
+
+  it('enables users whose emailVerified is true only', function(done) {
+    StormpathUser.find(function(err, users) {
+      if (err) return done(err);
+
+      var statuses = {};
+      users.forEach(function(user) {
+        statuses[user.email] = user.status;
+      });
+
+      assert.deepEqual(statuses, {
+        'bob@example.com': 'ENABLED',
+        'alice@example.com': 'UNVERIFIED'
+      });
+      done();
+    });
+  });
+
+  it('moves other properties to customData', function(done) {
+    StormpathUser.findOne({ where: { email: 'bob@example.com' } }, function(err, user) {
+      if (err) return done(err);
+
+      assert.equal(user.customData.plan, 'gold');
+      assert.equal(user.customData.emailVerified, undefined);
+      done();
+    });
+  });
+
+  it('skips users migrated before', function(done) {
+    stormpath.migrateUsers(app, LegacyUser, { where: { id: { lte: 2 } } }, function(err, report) {
+      if (err) return done(err);
+
+      assert.equal(report.migrated.length, 0);
+      assert.deepEqual(report.skipped.map(function(entry) {
+        return entry.id;
+      }).sort(), [1, 2]);
+      done();
+    });
+  });
+
+  it('resumes after the given user', function(done) {
+    stormpath.migrateUsers(app, LegacyUser, { after: 3 }, function(err, report) {
+      if (err) return done(err);
+
+      assert.equal(report.skipped.length, 0);
+      assert.deepEqual(report.failed.map(function(entry) {
+        return entry.id;
+      }), [4]);
+      done();
+    });
+  });
+});
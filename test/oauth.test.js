@@ -0,0 +1,190 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+var oauth = require('../lib/oauth');
+
+describe('OAuth tokens', function() {
+  var SECRET = 'test-secret';
+  var app, user;
+
+  function grant(params) {
+    return request(app).post('/oauth/token').type('form').send(params);
+  }
+
+  function passwordGrant(email, callback) {
+    if (typeof email === 'function') {
+      callback = email;
+      email = 'bob@example.com';
+    }
+
+    grant({ grant_type: 'password', username: email, password: 'Passw0rd' })
+      .expect(200)
+      .end(function(err, res) {
+        callback(err || null, res && res.body);
+      });
+  }
+
+  // Sign an access token for the user, issued `age` seconds ago.
+  function accessToken(age, ttl, userId) {
+    var now = Math.floor(Date.now() / 1000);
+
+    return oauth.sign({ iat: now - age, exp: now - age + ttl, sub: userId || user.id, stt: 'access' },
+      SECRET);
+  }
+
+  // Expect requests with the given access token to be authenticated as the
+  // user, or as nobody.
+  function expectAuthenticated(token, authenticated, done, userId) {
+    helpers.expectUser(app, 'Bearer ' + token, authenticated ? userId || user.id : null, done);
+  }
+
+  before(function(done) {
+    helpers.createApp({ oauth: { secret: SECRET } }, function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      helpers.createUser(app, 'bob@example.com', function(err, result) {
+        user = result;
+        done(err);
+      });
+    });
+  });
+
+  it('issues tokens for the password grant', function(done) {
+    passwordGrant(function(err, body) {
+      if (err) return done(err);
+
+      assert.equal(body.token_type, 'Bearer');
+      assert.equal(body.expires_in, 3600);
+      assert(body.refresh_token);
+      expectAuthenticated(body.access_token, true, done);
+    });
+  });
+
+  it('rejects wrong passwords', function(done) {
+    grant({ grant_type: 'password', username: 'bob@example.com', password: 'nope' })
+      .expect(400)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error, 'invalid_grant');
+        done();
+      });
+  });
+
+  it('rotates refresh tokens, and revokes them all when one is reused', function(done) {
+    passwordGrant(function(err, first) {
+      if (err) return done(err);
+
+      grant({ grant_type: 'refresh_token', refresh_token: first.refresh_token })
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+
+          var second = res.body;
+
+          assert(second.access_token);
+          assert.notEqual(second.refresh_token, first.refresh_token);
+          grant({ grant_type: 'refresh_token', refresh_token: first.refresh_token })
+            .expect(400)
+            .end(function(err, res) {
+              if (err) return done(err);
+
+              assert.equal(res.body.error, 'invalid_grant');
+              grant({ grant_type: 'refresh_token', refresh_token: second.refresh_token })
+                .expect(400, done);
+            });
+        });
+    });
+  });
+
+  it('rejects expired access tokens', function(done) {
+    expectAuthenticated(accessToken(60, 30), false, done);
+  });
+
+  it('rejects tampered access tokens', function(done) {
+    var segments = accessToken(0, 3600).split('.');
+    var claims = JSON.parse(Buffer.from(segments[1], 'base64').toString());
+
+    claims.exp += 3600;
+    segments[1] = Buffer.from(JSON.stringify(claims)).toString('base64')
+      .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+    expectAuthenticated(segments.join('.'), false, done);
+  });
+
+  it('rejects access tokens issued before the user logged out of all sessions', function(done) {
+    helpers.createUser(app, 'carol@example.com', function(err, carol) {
+      if (err) return done(err);
+
+      var token = accessToken(60, 3600, carol.id);
+
+      request(app)
+        .post('/api/StormpathUsers/logoutAll')
+        .set('Authorization', 'Bearer ' + token)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+
+          expectAuthenticated(token, false, function(err) {
+            if (err) return done(err);
+
+            passwordGrant('carol@example.com', function(err, body) {
+              if (err) return done(err);
+              expectAuthenticated(body.access_token, true, done, carol.id);
+            });
+          });
+        });
+    });
+  });
+
+  it('keeps the revocation time out of reach of the user', function(done) {
+    var token = accessToken(60, 3600);
+
+    app.loopback.StormpathUser.revokeAccessTokens(user.id, function(err) {
+      if (err) return done(err);
+
+      passwordGrant(function(err, body) {
+        if (err) return done(err);
+
+        request(app)
+          .patch('/api/StormpathUsers/' + user.id)
+          .set('Authorization', 'Bearer ' + body.access_token)
+          .send({ customData: { oauthTokensValidAfter: 0 } })
+          .expect(200)
+          .end(function(err) {
+            if (err) return done(err);
+
+            request(app)
+              .get('/api/StormpathUsers/' + user.id)
+              .set('Authorization', 'Bearer ' + body.access_token)
+              .expect(200)
+              .end(function(err, res) {
+                if (err) return done(err);
+
+                assert(!('oauthTokensValidAfter' in res.body.customData));
+                expectAuthenticated(token, false, done);
+              });
+          });
+      });
+    });
+  });
+
+  it('rejects access tokens of disabled users', function(done) {
+    passwordGrant(function(err, body) {
+      if (err) return done(err);
+
+      user.updateAttributes({ status: 'DISABLED' }, function(err) {
+        if (err) return done(err);
+
+        expectAuthenticated(body.access_token, false, function(err) {
+          if (err) return done(err);
+          user.updateAttributes({ status: 'ENABLED' }, done);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+
+var helpers = require('./helpers');
+var stormpathHelpers = require('../lib/helpers');
+
+describe('realms', function() {
+  var StormpathUser, alice, bob;
+
+  // Build an app with the given user settings, where bob@example.com belongs
+  // to the `acme` organization, and alice@example.com to no realm.
+  function createApp(settings, callback) {
+    helpers.createApp({ user: { settings: settings } }, function(err, app) {
+      if (err) return callback(err);
+
+      StormpathUser = app.loopback.StormpathUser;
+      async.series([
+        function(cb) {
+          app.loopback.StormpathOrganization.create({ name: 'Acme', nameKey: 'acme' }, function(err, org) {
+            if (err) return cb(err);
+
+            org.directories.create({ name: 'Acme' }, function(err) {
+              if (err) return cb(err);
+
+              // Map the organization to the application.
+              StormpathUser.getApplication(function(err, application) {
+                if (err) return cb(err);
+
+                application.addAccountStore({
+                  href: stormpathHelpers.idToHref(application, 'organizations', org.id)
+                }, cb);
+              });
+            });
+          });
+        },
+        function(cb) {
+          StormpathUser.create({
+            realm: 'acme',
+            givenName: 'Bob',
+            surname: 'Smith',
+            email: 'bob@example.com',
+            password: 'Passw0rd'
+          }, function(err, user) {
+            bob = user;
+            cb(err);
+          });
+        },
+        function(cb) {
+          app.loopback.StormpathDirectory.findOne({
+            where: { name: 'Mock Application Directory' }
+          }, function(err, directory) {
+            if (err) return cb(err);
+
+            StormpathUser.create({
+              directoryId: directory.id,
+              givenName: 'Alice',
+              surname: 'Smith',
+              email: 'alice@example.com',
+              password: 'Passw0rd'
+            }, function(err, user) {
+              alice = user;
+              cb(err);
+            });
+          });
+        }
+      ], callback);
+    });
+  }
+
+  function login(credentials, callback) {
+    credentials.password = 'Passw0rd';
+    StormpathUser.login(credentials, function(err, token) {
+      callback(null, err ? err.code : token.userId);
+    });
+  }
+
+  describe('with realmRequired', function() {
+    before(function(done) {
+      createApp({ realmRequired: true, realmDelimiter: ':' }, done);
+    });
+
+    it('logs users in to their realm', function(done) {
+      async.mapSeries([
+        { realm: 'acme', email: 'bob@example.com' },
+        { email: 'acme:bob@example.com' }
+      ], login, function(err, results) {
+        if (err) return done(err);
+
+        assert.deepEqual(results, [bob.id, bob.id]);
+        done();
+      });
+    });
+
+    it('rejects logins to other realms, or without one', function(done) {
+      async.mapSeries([
+        { realm: 'acme', email: 'alice@example.com' },
+        { realm: 'other', email: 'bob@example.com' },
+        { email: 'bob@example.com' }
+      ], login, function(err, results) {
+        if (err) return done(err);
+
+        assert.deepEqual(results, ['LOGIN_FAILED', 'LOGIN_FAILED', 'REALM_REQUIRED']);
+        done();
+      });
+    });
+  });
+
+  describe('without realmRequired', function() {
+    before(function(done) {
+      createApp({ realmDelimiter: ':' }, done);
+    });
+
+    it('logs users in to the realm they name', function(done) {
+      async.mapSeries([
+        { realm: 'acme', email: 'bob@example.com' },
+        { email: 'acme:bob@example.com' },
+        { realm: 'acme', email: 'alice@example.com' },
+        { email: 'acme:alice@example.com' }
+      ], login, function(err, results) {
+        if (err) return done(err);
+
+        assert.deepEqual(results, [bob.id, bob.id, 'LOGIN_FAILED', 'LOGIN_FAILED']);
+        done();
+      });
+    });
+
+    it('logs users in without a realm', function(done) {
+      login({ email: 'alice@example.com' }, function(err, result) {
+        assert.equal(result, alice.id);
+        done(err);
+      });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('registration', function() {
+  var app;
+
+  before(function(done) {
+    helpers.createApp({
+      mock: { emailVerification: true },
+      user: {
+        settings: {
+          registration: {
+            fields: {
+              surname: { required: false, placeholder: 'Anonymous' },
+              company: { required: true }
+            },
+            autoLogin: true
+          }
+        }
+      }
+    }, function(err, result) {
+      app = result;
+      done(err);
+    });
+  });
+
+  function register(data) {
+    return request(app).post('/api/StormpathUsers/register').send(data);
+  }
+
+  it('creates users, their extra fields going to customData', function(done) {
+    register({
+      email: 'alice@example.com',
+      password: 'Passw0rd',
+      givenName: 'Alice',
+      company: 'Acme',
+      status: 'ENABLED'
+    })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        var user = res.body.user;
+
+        assert.equal(user.email, 'alice@example.com');
+        assert.equal(user.surname, 'Anonymous');
+        assert.equal(user.status, 'UNVERIFIED');
+        assert.equal(user.customData.company, 'Acme');
+        assert.strictEqual(res.body.accessToken, null);
+        done();
+      });
+  });
+
+  it('sends new users a verification email, which verifies them', function(done) {
+    var mock = app.dataSources.stormpath.connector.mock;
+    var StormpathUser = app.loopback.StormpathUser;
+    var email = mock.emails.pop();
+
+    assert.equal(email.type, 'verification');
+    assert.equal(email.to, 'alice@example.com');
+
+    StormpathUser.confirm(email.sptoken, function(err) {
+      if (err) return done(err);
+
+      helpers.login(app, 'alice@example.com', done);
+    });
+  });
+
+  it('lists the missing fields', function(done) {
+    register({ email: 'bob@example.com', password: 'Passw0rd' })
+      .expect(422)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'FIELDS_REQUIRED');
+        assert.deepEqual(res.body.error.fields.sort(), ['company', 'givenName']);
+        done();
+      });
+  });
+
+  it('rejects weak passwords', function(done) {
+    register({ email: 'bob@example.com', password: 'password', givenName: 'Bob', company: 'Acme' })
+      .expect(422)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'INVALID_PASSWORD');
+        done();
+      });
+  });
+
+  it('rejects emails which already have an account', function(done) {
+    register({ email: 'alice@example.com', password: 'Passw0rd', givenName: 'Alice', company: 'Acme' })
+      .expect(409, done);
+  });
+
+  it('keeps the raw create to admins', function(done) {
+    request(app)
+      .post('/api/StormpathUsers')
+      .send({ email: 'bob@example.com', password: 'Passw0rd', givenName: 'Bob', surname: 'B' })
+      .expect(401, done);
+  });
+
+  describe('with sessions', function() {
+    before(function(done) {
+      helpers.createApp({
+        sessions: true,
+        user: { settings: { registration: { autoLogin: true } } }
+      }, function(err, result) {
+        app = result;
+        done(err);
+      });
+    });
+
+    it('starts a session for new users asking for one', function(done) {
+      register({ email: 'carol@example.com', password: 'Passw0rd', givenName: 'Carol', surname: 'C' })
+        .set('X-Stormpath-Session', 'cookie')
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+
+          var header = (res.headers['set-cookie'] || []).join('\n');
+
+          assert(/stormpath_session=[^;]+/.test(header));
+          assert.equal(res.body.accessToken.userId, res.body.user.id);
+          assert(!('id' in res.body.accessToken));
+          done();
+        });
+    });
+  });
+});
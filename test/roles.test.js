@@ -0,0 +1,73 @@
+'use strict';
+
+var async = require('async');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('roles from Stormpath groups', function() {
+  var app, bob, group;
+  var tokens = {};
+
+  before(function(done) {
+    helpers.createApp(function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      async.series([
+        function(cb) {
+          helpers.createUser(app, 'bob@example.com', function(err, user) {
+            bob = user;
+            cb(err);
+          });
+        },
+        function(cb) {
+          helpers.createUser(app, 'admin@example.com', 'admin', cb);
+        },
+        function(cb) {
+          app.loopback.StormpathGroup.create({ name: 'staff' }, function(err, result) {
+            group = result;
+            cb(err);
+          });
+        },
+        function(cb) {
+          async.eachSeries(['bob', 'admin'], function(name, cb) {
+            helpers.login(app, name + '@example.com', function(err, token) {
+              tokens[name] = token;
+              cb(err);
+            });
+          }, cb);
+        }
+      ], done);
+    });
+  });
+
+  it('puts members of the admin group in the admin role', function(done) {
+    request(app)
+      .put('/api/StormpathUsers/' + bob.id + '/groups/rel/' + group.id)
+      .set('Authorization', tokens.admin)
+      .expect(200, done);
+  });
+
+  it('keeps everybody else out of the admin role', function(done) {
+    request(app)
+      .delete('/api/StormpathUsers/' + bob.id + '/groups/rel/' + group.id)
+      .set('Authorization', tokens.bob)
+      .expect(401, done);
+  });
+
+  it('keeps the members of groups to admins', function(done) {
+    request(app)
+      .get('/api/StormpathGroups/' + group.id + '/users')
+      .set('Authorization', tokens.bob)
+      .expect(401)
+      .end(function(err) {
+        if (err) return done(err);
+
+        request(app)
+          .get('/api/StormpathGroups/' + group.id + '/users')
+          .set('Authorization', tokens.admin)
+          .expect(200, done);
+      });
+  });
+});
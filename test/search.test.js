@@ -0,0 +1,163 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('searching', function() {
+  var app, StormpathUser;
+
+  before(function(done) {
+    helpers.createApp(function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      StormpathUser = app.loopback.StormpathUser;
+
+      async.eachSeries([
+        { givenName: 'Alice', surname: 'Adams', email: 'alice@example.com', customData: { score: 10 } },
+        { givenName: 'Bob', surname: 'Brown', email: 'bob@example.com', customData: { score: 20 } },
+        { givenName: 'Carol', surname: 'Clark', email: 'carol@example.org', customData: { score: 30 } }
+      ], function(data, next) {
+        data.password = 'Passw0rd';
+        StormpathUser.create(data, next);
+      }, done);
+    });
+  });
+
+  function emails(users) {
+    return users.map(function(user) {
+      return user.email;
+    });
+  }
+
+  function expectUnsupported(filter, done) {
+    StormpathUser.find(filter, function(err) {
+      assert(err, 'expected an error');
+      assert.equal(err.statusCode, 400);
+      assert.equal(err.code, 'UNSUPPORTED_FILTER');
+      done();
+    });
+  }
+
+  it('searches with like patterns', function(done) {
+    StormpathUser.find({ where: { email: { like: '%@example.com' } }, order: 'email ASC' }, function(err, users) {
+      if (err) return done(err);
+
+      assert.deepEqual(emails(users), ['alice@example.com', 'bob@example.com']);
+      done();
+    });
+  });
+
+  it('rejects like patterns with wildcards in the middle', function(done) {
+    expectUnsupported({ where: { email: { like: 'a%e@example.com' } } }, done);
+  });
+
+  it('searches customData by range', function(done) {
+    StormpathUser.find({ where: { 'customData.score': { gt: 10, lte: 30 } }, order: 'email ASC' },
+      function(err, users) {
+        if (err) return done(err);
+
+        assert.deepEqual(emails(users), ['bob@example.com', 'carol@example.org']);
+        done();
+      });
+  });
+
+  it('searches dates by range', function(done) {
+    StormpathUser.find({ where: { createdAt: { lt: new Date(0) } } }, function(err, users) {
+      if (err) return done(err);
+
+      assert.equal(users.length, 0);
+      done();
+    });
+  });
+
+  it('merges the clauses of and', function(done) {
+    StormpathUser.find({
+      where: { and: [
+        { email: { like: '%@example.com' } },
+        { 'customData.score': { gte: 20 } },
+        { 'customData.score': { lt: 30 } }
+      ] }
+    }, function(err, users) {
+      if (err) return done(err);
+
+      assert.deepEqual(emails(users), ['bob@example.com']);
+      done();
+    });
+  });
+
+  it('rejects or filters', function(done) {
+    expectUnsupported({ where: { or: [{ givenName: 'Alice' }, { givenName: 'Bob' }] } }, done);
+  });
+
+  it('rejects nin filters', function(done) {
+    expectUnsupported({ where: { givenName: { nin: ['Alice'] } } }, done);
+  });
+
+  it('rejects regexp filters', function(done) {
+    expectUnsupported({ where: { givenName: { regexp: '^A' } } }, done);
+  });
+
+  it('rejects unsupported filters over REST with a 400', function(done) {
+    // Only admins can count users.
+    async.waterfall([
+      function(cb) {
+        app.loopback.StormpathGroup.create({ name: 'admin' }, cb);
+      },
+      function(group, cb) {
+        StormpathUser.findOne({ where: { email: 'carol@example.org' } }, function(err, carol) {
+          if (err) return cb(err);
+          carol.groups.add(group, cb);
+        });
+      },
+      function(membership, cb) {
+        helpers.login(app, 'carol@example.org', cb);
+      }
+    ], function(err, token) {
+      if (err) return done(err);
+
+      request(app)
+        .get('/api/StormpathUsers/count')
+        .set('Authorization', token)
+        .query({ where: JSON.stringify({ or: [{ givenName: 'Alice' }] }) })
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+
+          assert.equal(res.body.error.code, 'UNSUPPORTED_FILTER');
+          done();
+        });
+    });
+  });
+
+  it('runs a search per inq value', function(done) {
+    StormpathUser.find({ where: { givenName: { inq: ['Carol', 'Alice'] } }, order: 'surname DESC' },
+      function(err, users) {
+        if (err) return done(err);
+
+        assert.deepEqual(emails(users), ['carol@example.org', 'alice@example.com']);
+        done();
+      });
+  });
+
+  it('orders and pages', function(done) {
+    StormpathUser.find({ order: 'surname DESC', skip: 1, limit: 1 }, function(err, users) {
+      if (err) return done(err);
+
+      assert.deepEqual(emails(users), ['bob@example.com']);
+      done();
+    });
+  });
+
+  it('counts the users matching a where filter', function(done) {
+    StormpathUser.count({ email: { like: '%@example.com' } }, function(err, count) {
+      if (err) return done(err);
+
+      assert.equal(count, 2);
+      done();
+    });
+  });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('browser sessions', function() {
+  var app, user;
+
+  // The cookies a response sets, by name.
+  function cookiesOf(res) {
+    var cookies = {};
+
+    (res.headers['set-cookie'] || []).forEach(function(header) {
+      var pair = header.split(';')[0].split('=');
+      cookies[pair[0]] = pair.slice(1).join('=');
+    });
+
+    return cookies;
+  }
+
+  function login(callback) {
+    request(app)
+      .post('/api/StormpathUsers/login')
+      .set('X-Stormpath-Session', 'cookie')
+      .send({ email: 'alice@example.com', password: 'Passw0rd' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return callback(err);
+        callback(null, cookiesOf(res), res);
+      });
+  }
+
+  // Expect requests with the given cookies to be authenticated as the given
+  // user, or as nobody.
+  function expectUser(cookie, userId, callback) {
+    request(app)
+      .get('/whoami')
+      .set('Cookie', cookie)
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return callback(err);
+
+        assert.strictEqual(res.body.userId, userId);
+        callback(null);
+      });
+  }
+
+  before(function(done) {
+    helpers.createApp({ sessions: true }, function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      helpers.createUser(app, 'alice@example.com', function(err, result) {
+        user = result;
+        done(err);
+      });
+    });
+  });
+
+  it('sets the session cookies on login, and leaves the token out of the body', function(done) {
+    login(function(err, cookies, res) {
+      if (err) return done(err);
+
+      var header = res.headers['set-cookie'].join('\n');
+
+      assert(cookies.stormpath_session);
+      assert(cookies['XSRF-TOKEN']);
+      assert(/stormpath_session=[^;]+;.*HttpOnly/.test(header));
+      assert.equal(res.body.userId, user.id);
+      assert(!('id' in res.body));
+      done();
+    });
+  });
+
+  it('only starts sessions for logins asking for one', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/login')
+      .send({ email: 'alice@example.com', password: 'Passw0rd' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert(res.body.id);
+        assert.deepEqual(cookiesOf(res), {});
+        done();
+      });
+  });
+
+  it('authenticates requests with the session cookie', function(done) {
+    login(function(err, cookies) {
+      if (err) return done(err);
+
+      expectUser('stormpath_session=' + cookies.stormpath_session, user.id, done);
+    });
+  });
+
+  it('requires the CSRF token for requests changing anything', function(done) {
+    login(function(err, cookies) {
+      if (err) return done(err);
+
+      var cookie = 'stormpath_session=' + cookies.stormpath_session;
+
+      request(app)
+        .patch('/api/StormpathUsers/' + user.id)
+        .set('Cookie', cookie)
+        .set('X-XSRF-TOKEN', 'nope')
+        .send({ givenName: 'Changed' })
+        .expect(403)
+        .end(function(err, res) {
+          if (err) return done(err);
+
+          assert.equal(res.body.error.code, 'INVALID_CSRF_TOKEN');
+          request(app)
+            .patch('/api/StormpathUsers/' + user.id)
+            .set('Cookie', cookie)
+            .set('X-XSRF-TOKEN', cookies['XSRF-TOKEN'])
+            .send({ givenName: 'Changed' })
+            .expect(200, done);
+        });
+    });
+  });
+
+  it('clears the session on logout', function(done) {
+    login(function(err, cookies) {
+      if (err) return done(err);
+
+      var cookie = 'stormpath_session=' + cookies.stormpath_session;
+
+      request(app)
+        .post('/api/StormpathUsers/logout')
+        .set('Cookie', cookie)
+        .set('X-XSRF-TOKEN', cookies['XSRF-TOKEN'])
+        .expect(204)
+        .end(function(err, res) {
+          if (err) return done(err);
+
+          assert.strictEqual(cookiesOf(res).stormpath_session, '');
+          expectUser(cookie, null, done);
+        });
+    });
+  });
+
+  it('leaves requests with an access token of their own to it', function(done) {
+    login(function(err, cookies) {
+      if (err) return done(err);
+
+      helpers.login(app, 'alice@example.com', function(err, token) {
+        if (err) return done(err);
+
+        request(app)
+          .patch('/api/StormpathUsers/' + user.id)
+          .set('Cookie', 'stormpath_session=' + cookies.stormpath_session)
+          .set('Authorization', token)
+          .send({ givenName: 'Changed' })
+          .expect(200, done);
+      });
+    });
+  });
+
+  it('does not check the CSRF token of expired sessions', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/login')
+      .set('Cookie', 'stormpath_session=expired-session')
+      .send({ email: 'alice@example.com', password: 'Passw0rd' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.strictEqual(cookiesOf(res).stormpath_session, '');
+        done();
+      });
+  });
+});
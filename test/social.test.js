@@ -0,0 +1,84 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('social login', function() {
+  var app, userId;
+
+  before(function(done) {
+    helpers.createApp(function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      app.dataSources.stormpath.connector.mock.addProviderToken('github', 'github-token', {
+        id: '1234',
+        email: 'octocat@example.com',
+        givenName: 'Mona',
+        surname: 'Octocat'
+      });
+      done();
+    });
+  });
+
+  function loginWithProvider(accessToken) {
+    return request(app)
+      .post('/api/StormpathUsers/login-with-provider?include=user')
+      .send({ providerId: 'github', accessToken: accessToken });
+  }
+
+  it('creates an account on the first login', function(done) {
+    loginWithProvider('github-token')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert(res.body.id);
+        assert.equal(res.body.user.email, 'octocat@example.com');
+        userId = res.body.userId;
+        helpers.expectUser(app, res.body.id, userId, done);
+      });
+  });
+
+  it('logs returning users in to the same account', function(done) {
+    loginWithProvider('github-token')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.userId, userId);
+        app.loopback.StormpathUser.count({ email: 'octocat@example.com' }, function(err, count) {
+          if (err) return done(err);
+
+          assert.equal(count, 1);
+          done();
+        });
+      });
+  });
+
+  it('rejects tokens the provider does not accept', function(done) {
+    loginWithProvider('forged-token')
+      .expect(401)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'LOGIN_FAILED');
+        done();
+      });
+  });
+
+  it('rejects unknown providers', function(done) {
+    request(app)
+      .post('/api/StormpathUsers/login-with-provider')
+      .send({ providerId: 'myspace', accessToken: 'github-token' })
+      .expect(400)
+      .end(function(err, res) {
+        if (err) return done(err);
+
+        assert.equal(res.body.error.code, 'INVALID_PROVIDER');
+        done();
+      });
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var request = require('supertest');
+
+var helpers = require('./helpers');
+
+describe('StormpathUser ACLs', function() {
+  var app, alice;
+  var tokens = {};
+
+  before(function(done) {
+    helpers.createApp(function(err, result) {
+      if (err) return done(err);
+
+      app = result;
+      async.series([
+        function(cb) {
+          helpers.createUser(app, 'alice@example.com', function(err, user) {
+            alice = user;
+            cb(err);
+          });
+        },
+        function(cb) {
+          helpers.createUser(app, 'bob@example.com', cb);
+        },
+        function(cb) {
+          helpers.createUser(app, 'admin@example.com', 'admin', cb);
+        },
+        function(cb) {
+          async.eachSeries(['alice', 'bob', 'admin'], function(name, cb) {
+            helpers.login(app, name + '@example.com', function(err, token) {
+              tokens[name] = token;
+              cb(err);
+            });
+          }, cb);
+        }
+      ], done);
+    });
+  });
+
+  // [method, path, body, expected status for anonymous, bob, alice, admin]
+  var matrix = [
+    ['get', '/', null, 401, 401, 401, 200],
+    ['get', '/count', null, 401, 401, 401, 200],
+    ['get', '/findOne', null, 401, 401, 401, 200],
+    ['get', '/:alice', null, 401, 401, 200, 200],
+    ['get', '/:alice/exists', null, 401, 401, 401, 200],
+    ['get', '/:alice/groups', null, 401, 401, 200, 200],
+    ['patch', '/:alice', { givenName: 'Changed' }, 401, 401, 200, 200],
+    ['patch', '/', { id: ':alice', givenName: 'Changed' }, 401, 401, 401, 200],
+    ['post', '/update?where=%7B%7D', { givenName: 'Changed' }, 401, 401, 401, 401],
+    ['post', '/', { givenName: 'New', surname: 'User', email: 'new@example.com', password: 'Passw0rd' },
+      401, 401, 401, 200],
+    ['post', '/:alice/disable', null, 401, 401, 401, 200],
+    ['post', '/:alice/enable', null, 401, 401, 401, 200]
+  ];
+
+  function withIds(value) {
+    return JSON.parse(JSON.stringify(value).replace(/:alice/g, alice.id));
+  }
+
+  matrix.forEach(function(entry) {
+    [null, 'bob', 'alice', 'admin'].forEach(function(name, index) {
+      var status = entry[3 + index];
+
+      it('answers ' + entry[0].toUpperCase() + ' ' + entry[1] + ' from ' + (name || 'anonymous') +
+        ' with ' + status, function(done) {
+        var req = request(app)[entry[0]](withIds('/api/StormpathUsers' + entry[1]));
+
+        if (name) req.set('Authorization', tokens[name]);
+        if (entry[2]) req.send(withIds(entry[2]));
+
+        req.expect(status, done);
+      });
+    });
+  });
+
+  it('revokes the tokens of users disabled through upsert', function(done) {
+    helpers.createUser(app, 'carol@example.com', function(err, carol) {
+      if (err) return done(err);
+
+      helpers.login(app, 'carol@example.com', function(err, token) {
+        if (err) return done(err);
+
+        request(app)
+          .patch('/api/StormpathUsers')
+          .set('Authorization', tokens.admin)
+          .send({ id: carol.id, status: 'DISABLED' })
+          .expect(200)
+          .end(function(err, res) {
+            if (err) return done(err);
+
+            assert.equal(res.body.status, 'DISABLED');
+            request(app)
+              .get('/api/StormpathUsers/' + carol.id)
+              .set('Authorization', token)
+              .expect(401, done);
+          });
+      });
+    });
+  });
+});